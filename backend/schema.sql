@@ -3,23 +3,70 @@ CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     email TEXT UNIQUE NOT NULL,
     username TEXT UNIQUE, -- Username opsional tapi unik jika ada
-    password_hash TEXT NOT NULL,
+    password_hash TEXT NOT NULL, -- pbkdf2-sha256$iterasi$salt$hash (hash SHA-256 lama di-upgrade saat login)
     token_version INTEGER DEFAULT 1,
+    totp_secret TEXT, -- Base32, 2FA (TOTP); NULL = belum pernah setup
+    totp_enabled INTEGER NOT NULL DEFAULT 0, -- 1 = login wajib kode 2FA
+    totp_last_step INTEGER, -- Time step terakhir yang diterima (anti replay)
+    verified_at INTEGER, -- ms, NULL = email belum diverifikasi (tidak bisa upload lampiran / reset password)
+    verification_sent_at INTEGER, -- ms, email verifikasi terakhir (batas kirim ulang)
+    delete_after INTEGER, -- ms, akun dijadwalkan dihapus (dibatalkan jika login lagi sebelum waktu ini)
     created_at INTEGER DEFAULT (strftime('%s', 'now'))
 );
 
+CREATE INDEX IF NOT EXISTS idx_users_delete_after ON users(delete_after) WHERE delete_after IS NOT NULL;
+
+-- Tabel Jurnal (kumpulan catatan; setiap user punya jurnal pribadi 'personal-<id user>')
+CREATE TABLE IF NOT EXISTS journals (
+    id TEXT PRIMARY KEY,
+    owner_id INTEGER NOT NULL, -- pemilik utama: jika akunnya dihapus, jurnal + catatannya ikut terhapus
+    name TEXT NOT NULL,
+    personal INTEGER NOT NULL DEFAULT 0, -- 1 = jurnal pribadi (tidak bisa dihapus)
+    created_at INTEGER NOT NULL, -- ms
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journals_owner ON journals(owner_id);
+
+-- Tabel Anggota Jurnal (termasuk pemilik utama sebagai 'owner')
+CREATE TABLE IF NOT EXISTS journal_members (
+    journal_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL, -- 'owner' (kelola anggota) | 'editor' (tulis) | 'viewer' (baca saja)
+    created_at INTEGER NOT NULL, -- ms
+    PRIMARY KEY (journal_id, user_id),
+    FOREIGN KEY (journal_id) REFERENCES journals(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_members_user ON journal_members(user_id);
+
 -- Tabel Reset Tokens untuk Lupa Password
+-- Satu token aktif per email, sekali pakai; yang disimpan hanya hash SHA-256 dari token
 CREATE TABLE IF NOT EXISTS reset_tokens (
     email TEXT PRIMARY KEY,
-    token TEXT NOT NULL,
-    expires_at INTEGER NOT NULL
+    token TEXT NOT NULL, -- SHA-256 hex dari token di tautan reset
+    expires_at INTEGER NOT NULL -- ms
+);
+CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON reset_tokens(token);
+
+-- Tabel Attachments (gambar biner, content-addressed by SHA-256)
+-- Gambar identik hanya disimpan sekali
+CREATE TABLE IF NOT EXISTS attachments (
+    hash TEXT PRIMARY KEY,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
 );
 
 -- Tabel Entries (Catatan Jurnal)
 -- Disinkronkan dengan ID dari pengguna
 CREATE TABLE IF NOT EXISTS entries (
     id TEXT PRIMARY KEY, -- Menggunakan ID UUID/String dari frontend agar konsisten
-    user_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL, -- pemilik utama jurnalnya (journals.owner_id)
+    journal_id TEXT REFERENCES journals(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- anggota yang terakhir menyimpan entry
     date TEXT NOT NULL,
     title TEXT NOT NULL,
     type TEXT NOT NULL,
@@ -28,8 +75,256 @@ CREATE TABLE IF NOT EXISTS entries (
     highlight BOOLEAN DEFAULT 0,
     pinned BOOLEAN DEFAULT 0,
     has_image BOOLEAN DEFAULT 0,
-    image_data TEXT, -- Base64 string for cloud storage
+    image_data TEXT, -- LEGACY: Base64 data URL, dikonversi ke attachments oleh worker
+    image_hash TEXT REFERENCES attachments(hash), -- Cover = attachment pertama
+    attachment_count INTEGER DEFAULT 0,
+    version INTEGER NOT NULL DEFAULT 1, -- Naik setiap update, dipakai untuk If-Match (409 jika basi)
     timestamp INTEGER,
     last_synced INTEGER DEFAULT (strftime('%s', 'now')),
+    updated_at INTEGER, -- Server clock (ms), dipakai sebagai cursor delta sync
+    deleted_at INTEGER, -- Soft delete (ms): NULL = aktif, terisi = di Sampah
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_entries_user_id ON entries(user_id);
+CREATE INDEX IF NOT EXISTS idx_entries_date ON entries(date);
+CREATE INDEX IF NOT EXISTS idx_entries_user_updated ON entries(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_entries_user_deleted ON entries(user_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_entries_journal_updated ON entries(journal_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_entries_journal_deleted ON entries(journal_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_entries_image_hash ON entries(image_hash);
+
+-- Tabel Entry Attachments (0..N gambar per entry, berurutan, dengan caption opsional)
+CREATE TABLE IF NOT EXISTS entry_attachments (
+    id TEXT PRIMARY KEY,
+    entry_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    journal_id TEXT, -- disalin dari entry
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- anggota yang mengunggah
+    hash TEXT NOT NULL REFERENCES attachments(hash),
+    caption TEXT DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_attachments_entry ON entry_attachments(entry_id, position);
+CREATE INDEX IF NOT EXISTS idx_entry_attachments_hash ON entry_attachments(hash);
+
+CREATE TRIGGER IF NOT EXISTS entry_attachments_cleanup AFTER DELETE ON entries BEGIN
+    DELETE FROM entry_attachments WHERE entry_id = old.id;
+END;
+
+-- Tabel Entry Revisions (versi sebelumnya dari setiap entry, untuk riwayat + revert)
+CREATE TABLE IF NOT EXISTS entry_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    journal_id TEXT, -- disalin dari entry
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- anggota yang menyimpan versi ini
+    date TEXT NOT NULL,
+    title TEXT NOT NULL,
+    type TEXT NOT NULL,
+    amount REAL DEFAULT 0,
+    reason TEXT,
+    highlight BOOLEAN DEFAULT 0,
+    pinned BOOLEAN DEFAULT 0,
+    created_at INTEGER NOT NULL, -- Server clock (ms): kapan versi ini digantikan
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry ON entry_revisions(entry_id, created_at);
+
+CREATE TRIGGER IF NOT EXISTS entry_revisions_cleanup AFTER DELETE ON entries BEGIN
+    DELETE FROM entry_revisions WHERE entry_id = old.id;
+END;
+
+-- Tabel Tombstones (ID entry yang sudah dihapus, untuk delta sync)
+CREATE TABLE IF NOT EXISTS entry_tombstones (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    journal_id TEXT,
+    deleted_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tombstones_user_deleted ON entry_tombstones(user_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_tombstones_journal_deleted ON entry_tombstones(journal_id, deleted_at);
+
+-- Full-text search (FTS5) untuk title + reason, disinkronkan lewat trigger
+CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+    entry_id UNINDEXED,
+    user_id UNINDEXED,
+    title,
+    reason,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_insert AFTER INSERT ON entries BEGIN
+    INSERT INTO entries_fts (entry_id, user_id, title, reason) VALUES (new.id, new.user_id, new.title, COALESCE(new.reason, ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_delete AFTER DELETE ON entries BEGIN
+    DELETE FROM entries_fts WHERE entry_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_update AFTER UPDATE OF title, reason ON entries BEGIN
+    UPDATE entries_fts SET title = new.title, reason = COALESCE(new.reason, '') WHERE entry_id = old.id;
+END;
+
+-- Tabel Sessions (satu baris per login/perangkat, JWT menyimpan id-nya sebagai "sid")
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    device_label TEXT, -- Contoh: "Chrome di Windows"
+    user_agent TEXT,
+    ip TEXT, -- IP terakhir yang terlihat
+    created_at INTEGER NOT NULL, -- ms
+    last_seen_at INTEGER NOT NULL, -- ms, diperbarui paling sering tiap 5 menit
+    revoked_at INTEGER, -- ms, NULL = masih aktif
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, revoked_at);
+
+-- Tabel Refresh Tokens (rotasi: sekali pakai, satu "family" per session)
+-- Token yang sudah dipakai dan dikirim lagi = dicuri -> session dicabut
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY, -- SHA-256 hex dari refresh token
+    session_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    created_at INTEGER NOT NULL, -- ms
+    expires_at INTEGER NOT NULL, -- ms
+    used_at INTEGER, -- ms, terisi setelah dirotasi
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+-- Tabel Recovery Codes 2FA (sekali pakai, yang disimpan hanya hash SHA-256)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL, -- ms
+    used_at INTEGER, -- ms, NULL = belum dipakai
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id, code_hash);
+
+-- Tabel Percobaan Login Gagal (anti brute-force)
+-- key: 'user:<id>' / 'name:<identifier>' (akun) atau 'ip:<alamat>' (per IP)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0, -- gagal berturut-turut dalam jendela waktu
+    last_failed_at INTEGER NOT NULL, -- ms
+    locked_until INTEGER -- ms, NULL = tidak dikunci
+);
+
+-- Tabel Rate Limit (fixed window per kelas route: auth / read / write / image)
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY, -- '<kelas>:user:<id>' atau '<kelas>:ip:<alamat>'
+    window_start INTEGER NOT NULL, -- ms, awal jendela waktu
+    count INTEGER NOT NULL DEFAULT 0
+);
+
+-- Tabel Log Audit Keamanan (append-only: tidak bisa di-UPDATE, hanya dihapus oleh retensi / hapus akun)
+CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    event TEXT NOT NULL, -- 'login', 'password_changed', 'logout_all', 'data_reset', dst.
+    outcome TEXT NOT NULL, -- 'success' | 'failure' | 'blocked'
+    ip TEXT,
+    user_agent TEXT,
+    detail TEXT, -- JSON opsional (alasan gagal, email lama/baru, jumlah catatan, ...)
+    created_at INTEGER NOT NULL, -- ms
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events(user_id, id);
+
+CREATE TRIGGER IF NOT EXISTS audit_events_append_only
+BEFORE UPDATE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
+
+-- Tabel Token API Pribadi (untuk skrip; hanya hash SHA-256 yang disimpan, token asli ditampilkan sekali)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL, -- Contoh: "Skrip impor bulanan"
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 hex dari token 'jfp_...'
+    token_prefix TEXT NOT NULL, -- beberapa karakter awal, untuk dikenali di daftar
+    scopes TEXT NOT NULL, -- dipisah koma: 'read', 'write' (termasuk read), 'export'
+    created_at INTEGER NOT NULL, -- ms
+    last_used_at INTEGER, -- ms, diperbarui paling sering tiap 5 menit
+    expires_at INTEGER, -- ms, NULL = tidak kedaluwarsa
+    telegram_chat_id TEXT, -- satu-satunya chat Telegram yang boleh mencatat lewat token ini, NULL = belum ada
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+-- Tabel Update Telegram yang sudah diproses (agar kiriman ulang Telegram tidak membuat catatan ganda)
+CREATE TABLE IF NOT EXISTS telegram_updates (
+    token_id TEXT NOT NULL,
+    update_id INTEGER NOT NULL, -- update_id dari Telegram
+    created_at INTEGER NOT NULL, -- ms, dihapus setelah 2 hari
+    PRIMARY KEY (token_id, update_id),
+    FOREIGN KEY (token_id) REFERENCES api_tokens(id) ON DELETE CASCADE
+);
+
+-- Tabel Webhook (URL milik user yang menerima perubahan catatan, ditandatangani HMAC)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    url TEXT NOT NULL, -- https (http hanya untuk localhost saat development)
+    secret TEXT NOT NULL, -- kunci HMAC 'whsec_...', perlu disimpan utuh untuk menandatangani
+    events TEXT NOT NULL, -- dipisah koma: 'entry.created', 'entry.updated', 'entry.deleted', 'data.synced', 'data.reset'
+    created_at INTEGER NOT NULL, -- ms
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id);
+
+-- Tabel Pengiriman Webhook (antrean + riwayat pengiriman per webhook)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL, -- body JSON yang dikirim (sama persis di setiap percobaan)
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'success' | 'failed' (semua percobaan habis)
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER, -- kode HTTP terakhir dari penerima
+    error TEXT, -- alasan gagal terakhir ('HTTP 500', 'timeout', ...)
+    created_at INTEGER NOT NULL, -- ms
+    next_attempt_at INTEGER, -- ms, NULL jika sudah selesai
+    delivered_at INTEGER, -- ms, saat berhasil
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_hook ON webhook_deliveries(webhook_id, id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+-- Tabel Tautan Berbagi Publik (halaman baca-saja untuk satu catatan atau filter tersimpan)
+-- URL: /s/<id>.<tanda tangan HMAC dari id>
+CREATE TABLE IF NOT EXISTS share_links (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL, -- pembuat tautan
+    journal_id TEXT NOT NULL,
+    entry_id TEXT, -- satu catatan; NULL = filter tersimpan
+    filter TEXT, -- query string filter (type, from, to, q, pinned, highlight, sort)
+    title TEXT NOT NULL, -- judul halaman
+    created_at INTEGER NOT NULL, -- ms
+    expires_at INTEGER NOT NULL, -- ms
+    revoked_at INTEGER, -- ms, tautan dicabut
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at INTEGER, -- ms
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (journal_id) REFERENCES journals(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_journal ON share_links(journal_id, created_at);
@@ -3,6 +3,213 @@
  * SERVING API + STATIC ASSETS (Hybrid Mode)
  */
 
+// Metadata columns returned to clients (image_data is fetched lazily per entry)
+const ENTRY_COLUMNS = 'id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, has_image, image_hash, attachment_count, version, timestamp, last_synced, updated_at, deleted_at';
+
+// Attachments: max decoded image size (D1 rows are capped at ~2MB)
+const MAX_ATTACHMENT_BYTES = 1.5 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_ENTRY = 10;
+const MAX_CAPTION_LENGTH = 200;
+// Legacy base64 rows converted per cron run
+const LEGACY_IMAGE_BATCH = 200;
+
+// Delta sync: tombstones older than this are purged, so older cursors get a full snapshot instead
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+// Next cursor is moved back slightly so writes still in flight during a read are picked up next time
+const DELTA_SYNC_OVERLAP_MS = 5000;
+
+// Paged listing: any of these params switches GET /api/entries into filtered + paged mode
+const PAGE_QUERY_PARAMS = ['type', 'from', 'to', 'q', 'pinned', 'highlight', 'sort', 'cursor', 'limit'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Keyset sort orders. `id` is the final tie-breaker so pages stay stable between requests.
+// `field` is the alias selected alongside ENTRY_COLUMNS and encoded into the page cursor.
+const ENTRY_SORTS = {
+    date_desc: [
+        { expr: 'date', field: 'date', dir: 'DESC' },
+        { expr: 'COALESCE(timestamp, 0)', field: 'sort_ts', dir: 'DESC' },
+        { expr: 'id', field: 'id', dir: 'DESC' }
+    ],
+    date_asc: [
+        { expr: 'date', field: 'date', dir: 'ASC' },
+        { expr: 'COALESCE(timestamp, 0)', field: 'sort_ts', dir: 'ASC' },
+        { expr: 'id', field: 'id', dir: 'ASC' }
+    ],
+    // Same order as the app list: pinned first, then newest
+    pinned: [
+        { expr: 'COALESCE(pinned, 0)', field: 'sort_pinned', dir: 'DESC' },
+        { expr: 'date', field: 'date', dir: 'DESC' },
+        { expr: 'COALESCE(timestamp, 0)', field: 'sort_ts', dir: 'DESC' },
+        { expr: 'id', field: 'id', dir: 'DESC' }
+    ]
+};
+
+// Entry validation (POST /api/entries, /api/data/sync)
+const ENTRY_TYPES = ['saham', 'kripto', 'barang', 'peristiwa', 'lainnya'];
+// Covers client ids (Date.now(), legacy "Date.now() + Math.random()", UUIDs) and keeps data-id attributes safe
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_REASON_LENGTH = 20000;
+
+// Password hashing: "pbkdf2-sha256$<iterations>$<salt b64>$<hash b64>".
+// Workers cap PBKDF2 at 100k iterations. Hashes with fewer iterations (or legacy
+// unsalted SHA-256 hex) are re-hashed on the next successful login.
+const PASSWORD_HASH_SCHEME = 'pbkdf2-sha256';
+const PASSWORD_HASH_ITERATIONS = 100000;
+const PASSWORD_SALT_BYTES = 16;
+// Unknown users are still "verified" against this so both paths cost the same
+const DUMMY_PASSWORD_HASH = `${PASSWORD_HASH_SCHEME}$${PASSWORD_HASH_ITERATIONS}$${'A'.repeat(22)}==$${'A'.repeat(43)}=`;
+
+// Account identity rules (register + account settings)
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,30}$/;
+
+// Sessions: one row per login (device). last_seen_at is only rewritten when older than this,
+// so ordinary requests don't turn into writes.
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// Access tokens (JWT) are short-lived; the session lives on through rotating refresh tokens.
+// Each refresh token is single-use: presenting a used one again revokes the whole session (token family).
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sliding: every refresh issues a new one
+// Two tabs refreshing with the same token at once isn't theft: the loser gets 409 and picks up the winner's tokens
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+// Idle sessions past the refresh token lifetime can't be resumed anymore
+const SESSION_MAX_IDLE_MS = REFRESH_TOKEN_TTL_MS;
+const MAX_DEVICE_LABEL_LENGTH = 60;
+
+// Two-factor authentication (RFC 6238 TOTP: SHA-1, 6 digits, 30 s steps, ±1 step clock drift)
+const TOTP_ISSUER = 'JournalFinance';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+// Between password and code: a short-lived token that only /api/auth/login/2fa accepts
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+
+// Brute-force protection (login_attempts). Keys are per account and per client IP; the IP allows more
+// failures since several people may share one address. Past the free attempts every failure locks the
+// key for LOGIN_BASE_LOCKOUT_SECONDS * 2^(extra failures), capped. Counters reset after a quiet window.
+const LOGIN_ACCOUNT_FREE_ATTEMPTS = 5;
+const LOGIN_IP_FREE_ATTEMPTS = 20;
+const LOGIN_BASE_LOCKOUT_SECONDS = 30;
+const LOGIN_MAX_LOCKOUT_SECONDS = 60 * 60;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Email verification: the link carries a signed token (purpose 'verify-email') bound to the address,
+// so it stops working once the email changes. Unverified accounts can't upload attachments.
+const VERIFY_EMAIL_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+const VERIFY_EMAIL_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Security audit log (audit_events, append-only). Written by the auth / account handlers:
+// login, logout, logout_all, session_revoked, refresh_token_reused, password_changed, password_reset_requested,
+// password_reset, email_changed, email_verified, username_changed, two_factor_enabled, two_factor_disabled,
+// data_reset, trash_emptied, account_deletion_scheduled, account_deletion_cancelled, api_token_created, api_token_updated, api_token_revoked,
+// webhook_created, webhook_deleted, journal_member_added, journal_member_removed, share_link_created,
+// share_link_revoked. Outcome is 'success', 'failure' (wrong password / code) or 'blocked' (lockout, reuse).
+const AUDIT_RETENTION_DAYS = 365;
+const AUDIT_PAGE_SIZE = 20;
+const MAX_AUDIT_PAGE_SIZE = 100;
+
+// Personal API tokens for scripts: 'jfp_' + random, sent as a Bearer token like a JWT.
+// 'write' implies 'read'; 'export' only unlocks GET /api/account/export. Other account routes stay session-only.
+const API_TOKEN_PREFIX = 'jfp_';
+const API_TOKEN_SCOPES = ['read', 'write', 'export'];
+const MAX_API_TOKENS_PER_USER = 20;
+const MAX_API_TOKEN_NAME_LENGTH = 60;
+const MAX_API_TOKEN_EXPIRY_DAYS = 365;
+
+// Outgoing webhooks: each event becomes one webhook_deliveries row per subscribed hook. The body is signed as
+// X-JournalFinance-Signature: t=<unix seconds>,v1=<base64url HMAC-SHA256 of "<t>.<body>" with the hook secret>.
+// The first attempt runs right after the change; failures are retried by the WEBHOOK_RETRY_CRON trigger after
+// these delays, then marked failed. Plain http is only accepted for loopback hosts (local receivers in dev).
+const WEBHOOK_EVENTS = ['entry.created', 'entry.updated', 'entry.deleted', 'data.synced', 'data.reset'];
+const WEBHOOK_RETRY_DELAYS_MS = [5, 15, 60, 4 * 60, 12 * 60].map(minutes => minutes * 60 * 1000);
+const WEBHOOK_RETRY_CRON = '*/5 * * * *';
+const WEBHOOK_RETRY_BATCH = 50;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const MAX_WEBHOOK_SYNC_IDS = 500; // data.synced lists at most this many entry ids
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_DELIVERY_PAGE_SIZE = 20;
+
+// Quick capture (POST /api/capture, Telegram adapter): one free-text line becomes an entry, see parseCaptureText.
+// "Today" is taken in the user's zone (request timezone, else CAPTURE_TIMEZONE, else this default).
+const MAX_CAPTURE_TEXT_LENGTH = 2000;
+const DEFAULT_CAPTURE_TIMEZONE = 'Asia/Jakarta';
+const TELEGRAM_UPDATE_RETENTION_DAYS = 2; // Telegram stops redelivering an update after 24 hours
+const CAPTURE_TYPE_TAGS = {
+    saham: 'saham', stock: 'saham', stocks: 'saham',
+    kripto: 'kripto', crypto: 'kripto',
+    barang: 'barang', item: 'barang',
+    peristiwa: 'peristiwa', event: 'peristiwa',
+    lainnya: 'lainnya', other: 'lainnya'
+};
+// Untagged lines naming one of these are filed under 'kripto'
+const CAPTURE_CRYPTO_SYMBOLS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'ADA', 'DOGE', 'USDT', 'USDC'];
+
+// Shared journals: data routes work on the journal named by the X-Journal-Id header, or the caller's
+// personal journal ('personal-<user id>') without one. Roles rank viewer < editor < owner: viewers read,
+// editors write entries, owners also wipe data and manage members.
+const JOURNAL_ROLES = ['viewer', 'editor', 'owner'];
+const PERSONAL_JOURNAL_NAME = 'Jurnal Pribadi';
+const MAX_JOURNAL_NAME_LENGTH = 60;
+const MAX_JOURNALS_PER_USER = 20;
+const MAX_JOURNAL_MEMBERS = 50;
+
+// Public share links (/s/<id>.<signature>): read-only HTML page for one entry or a saved filter.
+// The signature is an HMAC of the id under JWT_SECRET; expiry and revocation are checked on every view.
+const SHARE_LINK_DEFAULT_DAYS = 7;
+const MAX_SHARE_LINK_DAYS = 90;
+const MAX_SHARE_LINKS_PER_JOURNAL = 100;
+const MAX_SHARE_TITLE_LENGTH = 100;
+// Entries rendered for a shared filter (newest / pinned first, like the app list)
+const MAX_SHARE_ENTRIES = 200;
+const SHARE_FILTER_PARAMS = ['q', 'type', 'from', 'to', 'pinned', 'highlight', 'sort'];
+// Expired / revoked links stay listed (with their view count) this long before the cron removes them
+const SHARE_LINK_RETENTION_DAYS = 30;
+
+// Password reset: single-use links, only the SHA-256 of the token is stored (reset_tokens)
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Outgoing mail, picked by env.MAIL_SENDER. 'log' is the development stub (prints to the worker log);
+// 'http' POSTs { to, subject, text } as JSON to env.MAIL_API_URL with env.MAIL_API_KEY as Bearer token.
+const MAIL_SENDERS = {
+    async log(env, message) {
+        console.log(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    },
+
+    async http(env, message) {
+        if (!env.MAIL_API_URL) throw new Error('CONFIG ERROR: MAIL_API_URL env var is missing');
+        const res = await fetch(env.MAIL_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${env.MAIL_API_KEY || ''}` },
+            body: JSON.stringify(message)
+        });
+        if (!res.ok) throw new Error(`Mail API responded ${res.status}`);
+    }
+};
+
+// Rate limiting (rate_limits table, fixed windows). Budgets per route class, keyed by user id when the
+// request carries a valid access token, otherwise by client IP. Override with env.RATE_LIMIT_<CLASS>
+// as "requests/seconds" (window up to a day), e.g. RATE_LIMIT_WRITE = "30/60".
+const RATE_LIMITS = {
+    auth: { limit: 20, windowSeconds: 60 },
+    read: { limit: 300, windowSeconds: 60 },
+    write: { limit: 60, windowSeconds: 60 },
+    image: { limit: 120, windowSeconds: 60 }
+};
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+// Trash: soft-deleted entries are purged after this many days (override via env.TRASH_RETENTION_DAYS)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Account deletion: scheduled, then carried out by the cron after this many days (override via
+// env.ACCOUNT_DELETION_GRACE_DAYS). Signing in before then cancels it.
+const DEFAULT_ACCOUNT_DELETION_GRACE_DAYS = 14;
+
 export default {
     async fetch(request, env, ctx) {
         const url = new URL(request.url);
@@ -12,8 +219,9 @@ export default {
         // CORS Headers - MUST be defined FIRST before any usage
         const corsHeaders = {
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS, DELETE',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, OPTIONS, DELETE',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match, If-Match, X-Journal-Id',
+            'Access-Control-Expose-Headers': ['ETag', ...RATE_LIMIT_HEADERS].join(', '),
             'X-Content-Type-Options': 'nosniff',
             'X-Frame-Options': 'DENY'
         };
@@ -22,34 +230,23 @@ export default {
             return new Response(null, { headers: corsHeaders });
         }
 
-        // --- SECURITY: RATE LIMITING (Memory-based for Hot Isolate) ---
-        // 100 requests per minute per IP
-        const clientIp = request.headers.get('CF-Connecting-IP') || 'unknown';
-        const currentTime = Date.now();
-
-        if (!globalThis.rateLimiter) globalThis.rateLimiter = new Map();
-        const limiter = globalThis.rateLimiter;
-
-        const limitData = limiter.get(clientIp) || { count: 0, lastReset: currentTime };
-
-        // Reset every 60 seconds
-        if (currentTime - limitData.lastReset > 60000) {
-            limitData.count = 0;
-            limitData.lastReset = currentTime;
-        }
-
-        limitData.count++;
-        limiter.set(clientIp, limitData);
-
-        if (limitData.count > 100) {
-            return new Response(JSON.stringify({ error: 'Too Many Requests (Rate Limit Exceeded)' }), {
-                status: 429,
-                headers: corsHeaders
-            });
-        }
-        // -----------------------------------------------------------
-
         try {
+            // --- SECURITY: RATE LIMITING (per route class, stored in D1) ---
+            // Every API response below carries the RateLimit-* headers through corsHeaders
+            const rateClass = (path.startsWith('/api/') && path !== '/api/health') || path.startsWith('/s/') ? this.rateLimitClass(path, method) : null;
+            if (rateClass) {
+                const rate = await this.consumeRateLimit(request, env, rateClass);
+                if (rate) {
+                    Object.assign(corsHeaders, rate.headers);
+                    if (rate.limited) {
+                        return new Response(JSON.stringify({ error: 'Too Many Requests (Rate Limit Exceeded)', code: 'RATE_LIMITED', retryAfter: rate.retryAfter }), {
+                            status: 429,
+                            headers: { ...corsHeaders, 'Retry-After': String(rate.retryAfter) }
+                        });
+                    }
+                }
+            }
+
             // 1. API ROUTES
             if (path.startsWith('/api/')) {
                 // Health Check (for ConnectionMonitor)
@@ -64,105 +261,188 @@ export default {
                 }
 
                 // Auth Routes
-                if (path === '/api/auth/register' && method === 'POST') return await this.register(request, env, corsHeaders);
+                if (path === '/api/auth/register' && method === 'POST') return await this.register(request, url, env, ctx, corsHeaders);
+                if (path === '/api/auth/verify-email' && method === 'POST') return await this.verifyEmail(request, env, corsHeaders);
                 if (path === '/api/auth/login' && method === 'POST') return await this.login(request, env, corsHeaders);
-                if (path === '/api/auth/logout-all' && method === 'POST') {
+                if (path === '/api/auth/forgot' && method === 'POST') return await this.forgotPassword(request, url, env, ctx, corsHeaders);
+                if (path === '/api/auth/reset' && method === 'POST') return await this.resetPassword(request, env, corsHeaders);
+                if (path === '/api/auth/login/2fa' && method === 'POST') return await this.loginSecondFactor(request, env, corsHeaders);
+                if (path === '/api/auth/refresh' && method === 'POST') return await this.refreshSession(request, env, corsHeaders);
+                if (path === '/api/auth/logout' && method === 'POST') {
                     const user = await this.verifyAuth(request, env);
                     if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
+                    if (user.api_token) return this.tokenScopeResponse(null, corsHeaders);
 
-                    // Increment token version
-                    await env.DB.prepare('UPDATE users SET token_version = IFNULL(token_version, 1) + 1 WHERE id = ?').bind(user.id).run();
+                    // Ends this device's session only
+                    if (user.session_id) await this.revokeSessions(env, user.id, { sessionId: user.session_id }).run();
+                    await this.logAudit(request, env, user.id, 'logout');
+                    return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+                }
+                if (path === '/api/auth/logout-all' && method === 'POST') {
+                    const user = await this.verifyAuth(request, env);
+                    if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
+                    if (user.api_token) return this.tokenScopeResponse(null, corsHeaders);
+
+                    // Increment token version (also kills legacy tokens without a session)
+                    await env.DB.batch([
+                        env.DB.prepare('UPDATE users SET token_version = IFNULL(token_version, 1) + 1 WHERE id = ?').bind(user.id),
+                        this.revokeSessions(env, user.id)
+                    ]);
+                    await this.logAudit(request, env, user.id, 'logout_all');
                     return new Response(JSON.stringify({ success: true, message: 'All sessions invalidated' }), { headers: corsHeaders });
                 }
 
+                // Account Settings (profile, email, password)
+                if (path.startsWith('/api/account')) {
+                    const user = await this.verifyAuth(request, env);
+                    if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
+
+                    // API tokens may read the profile and export; managing the account needs a real session
+                    if (user.api_token) {
+                        const scope = path === '/api/account/export' ? 'export' : (path === '/api/account' && method === 'GET' ? 'read' : null);
+                        if (!scope || !this.apiTokenAllows(user, scope)) return this.tokenScopeResponse(scope, corsHeaders);
+                    }
+
+                    if (path === '/api/account' && method === 'GET') return await this.getAccount(user, corsHeaders);
+                    if (path === '/api/account/username' && method === 'PUT') return await this.changeUsername(request, env, user, corsHeaders);
+                    if (path === '/api/account/email' && method === 'PUT') return await this.changeEmail(request, url, env, ctx, user, corsHeaders);
+                    if (path === '/api/account/email/resend' && method === 'POST') return await this.resendVerification(url, env, ctx, user, corsHeaders);
+                    if (path === '/api/account/password' && method === 'PUT') return await this.changePassword(request, env, user, corsHeaders);
+                    if (path === '/api/account/2fa/setup' && method === 'POST') return await this.setupTwoFactor(env, user, corsHeaders);
+                    if (path === '/api/account/2fa/enable' && method === 'POST') return await this.enableTwoFactor(request, env, user, corsHeaders);
+                    if (path === '/api/account/2fa/disable' && method === 'POST') return await this.disableTwoFactor(request, env, user, corsHeaders);
+                    if (path === '/api/account/sessions' && method === 'GET') return await this.listSessions(env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/sessions\/[^\/]+$/) && method === 'DELETE') return await this.revokeSession(request, path.split('/')[4], env, user, corsHeaders);
+                    if (path === '/api/account/audit' && method === 'GET') return await this.listAuditEvents(url, env, user, corsHeaders);
+                    if (path === '/api/account/export' && method === 'GET') return await this.exportAccount(env, ctx, user, corsHeaders);
+                    if (path === '/api/account/delete' && method === 'POST') return await this.scheduleAccountDeletion(request, env, ctx, user, corsHeaders);
+                    if (path === '/api/account/tokens' && method === 'GET') return await this.listApiTokens(env, user, corsHeaders);
+                    if (path === '/api/account/tokens' && method === 'POST') return await this.createApiToken(request, env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/tokens\/[^\/]+$/) && method === 'PATCH') return await this.updateApiToken(request, path.split('/')[4], env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/tokens\/[^\/]+$/) && method === 'DELETE') return await this.revokeApiToken(request, path.split('/')[4], env, user, corsHeaders);
+                    if (path === '/api/account/webhooks' && method === 'GET') return await this.listWebhooks(env, user, corsHeaders);
+                    if (path === '/api/account/webhooks' && method === 'POST') return await this.createWebhook(request, env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/webhooks\/[^\/]+$/) && method === 'DELETE') return await this.deleteWebhook(request, path.split('/')[4], env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/webhooks\/[^\/]+\/deliveries$/) && method === 'GET') return await this.listWebhookDeliveries(url, path.split('/')[4], env, user, corsHeaders);
+                    if (path.match(/^\/api\/account\/webhooks\/[^\/]+\/test$/) && method === 'POST') return await this.testWebhook(path.split('/')[4], env, user, corsHeaders);
+                }
+
+                // Journals (list / create / rename / delete, members and roles). API tokens may only list.
+                if (path.startsWith('/api/journals')) {
+                    const user = await this.verifyAuth(request, env);
+                    if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
+                    if (user.api_token && !(method === 'GET' && this.apiTokenAllows(user, 'read'))) {
+                        return this.tokenScopeResponse(method === 'GET' ? 'read' : null, corsHeaders);
+                    }
+
+                    const journalRoute = path.match(/^\/api\/journals(?:\/([^\/]+)(?:\/members(?:\/(\d+))?)?)?$/);
+                    if (journalRoute) {
+                        const [, journalId, memberId] = journalRoute;
+                        const isMembers = path.includes('/members');
+                        if (!journalId && method === 'GET') return await this.listJournals(env, user, corsHeaders);
+                        if (!journalId && method === 'POST') return await this.createJournal(request, env, user, corsHeaders);
+                        if (journalId && !isMembers && method === 'PUT') return await this.renameJournal(request, journalId, env, user, corsHeaders);
+                        if (journalId && !isMembers && method === 'DELETE') return await this.deleteJournal(journalId, env, user, corsHeaders);
+                        if (isMembers && !memberId && method === 'GET') return await this.listJournalMembers(journalId, env, user, corsHeaders);
+                        if (isMembers && !memberId && method === 'POST') return await this.addJournalMember(request, journalId, env, user, corsHeaders);
+                        if (memberId && method === 'PUT') return await this.updateJournalMember(request, journalId, Number(memberId), env, user, corsHeaders);
+                        if (memberId && method === 'DELETE') return await this.removeJournalMember(request, journalId, Number(memberId), env, user, corsHeaders);
+                    }
+                }
+
+                // Quick Capture (one line of text -> entry). API tokens need the 'write' scope.
+                if (path === '/api/capture' && method === 'POST') {
+                    const user = await this.verifyAuth(request, env);
+                    if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
+                    if (!this.apiTokenAllows(user, 'write')) return this.tokenScopeResponse('write', corsHeaders);
+                    const journalError = await this.useJournal(request, env, user, 'editor', corsHeaders);
+                    if (journalError) return journalError;
+                    return await this.captureEntry(request, env, ctx, user, corsHeaders);
+                }
+                if (path === '/api/capture/telegram' && method === 'POST') return await this.captureTelegram(request, env, ctx, corsHeaders);
+
                 // Protected Data Routes
-                if (path.startsWith('/api/data') || path.startsWith('/api/entries')) {
+                if (path.startsWith('/api/data') || path.startsWith('/api/entries') || path.startsWith('/api/trash') || path === '/api/search' || path.startsWith('/api/shares')) {
                     const user = await this.verifyAuth(request, env);
                     if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers: corsHeaders });
 
-                    // 1. GET ALL ENTRIES (Lightweight - No Images)
-                    if (path === '/api/entries' && method === 'GET') {
-                        // Select everything EXCEPT image_data to save bandwidth
-                        const { results } = await env.DB.prepare('SELECT id, user_id, date, title, type, amount, reason, highlight, pinned, has_image, timestamp, last_synced FROM entries WHERE user_id = ? ORDER BY date DESC, timestamp DESC').bind(user.id).all();
-
-                        const normalized = results.map(e => ({
-                            ...e,
-                            highlight: !!e.highlight,
-                            pinned: !!e.pinned,
-                            hasImage: !!e.has_image
-                        }));
-                        return new Response(JSON.stringify({ success: true, data: normalized }), { headers: corsHeaders });
+                    // API tokens: GET needs 'read', anything else 'write'; wiping all data stays session-only
+                    if (user.api_token) {
+                        const scope = path === '/api/data/reset' ? null : (method === 'GET' ? 'read' : 'write');
+                        if (!scope || !this.apiTokenAllows(user, scope)) return this.tokenScopeResponse(scope, corsHeaders);
                     }
 
-                    // 2. GET SINGLE ENTRY / IMAGE
+                    // Journal membership: reading needs viewer, changing entries (and seeing share links) editor,
+                    // wiping everything owner
+                    const wipes = (path === '/api/data/reset' || path === '/api/trash') && method === 'DELETE';
+                    const reads = method === 'GET' && !path.startsWith('/api/shares');
+                    const journalError = await this.useJournal(request, env, user, reads ? 'viewer' : (wipes ? 'owner' : 'editor'), corsHeaders);
+                    if (journalError) return journalError;
+
+                    // 1. GET ALL ENTRIES (Lightweight - No Images)
+                    // ?since=<cursor> returns only changes + tombstones (Delta Sync)
+                    if (path === '/api/entries' && method === 'GET') return await this.listEntries(url, env, user, corsHeaders);
+
+                    // 2. GET SINGLE ENTRY / IMAGE (raw bytes from attachments store)
                     // Pattern: /api/entries/IMAGE_ID/image
                     if (path.match(/\/api\/entries\/[^\/]+\/image/) && method === 'GET') {
                         const entryId = path.split('/')[3]; // /api/entries/ID/image
-                        const entry = await env.DB.prepare('SELECT image_data FROM entries WHERE id = ? AND user_id = ?').bind(entryId, user.id).first();
-
-                        if (entry && entry.image_data) {
-                            return new Response(JSON.stringify({ success: true, imageData: entry.image_data }), { headers: corsHeaders });
-                        }
-                        return new Response(JSON.stringify({ success: false, error: 'Not found' }), { status: 404, headers: corsHeaders });
+                        return await this.serveEntryImage(request, entryId, env, user, corsHeaders);
                     }
 
-                    // 3. CREATE / UPDATE ENTRY (Upsert)
-                    if (path === '/api/entries' && method === 'POST') {
-                        const e = await request.json();
-
-                        // If image_data is NOT provided, we should probably keep existing if it exists, or handle it carefully.
-                        // However, for simplicity in this full-cloud migration: expecting full payload for save.
-                        // But wait, if we edit text only, we don't want to re-upload image.
-                        // Logic: check if imageData is present in payload.
-
-                        let query;
-                        let args;
-
-                        const exists = await env.DB.prepare('SELECT id, image_data FROM entries WHERE id = ? AND user_id = ?').bind(e.id, user.id).first();
-
-                        const imageDataToSave = (e.imageData !== undefined) ? e.imageData : (exists ? exists.image_data : null);
-
-                        await env.DB.batch([
-                            env.DB.prepare(`
-                                INSERT OR IGNORE INTO entries (id, user_id, date, title, type, amount, reason, highlight, pinned, has_image, image_data, timestamp)
-                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                            `).bind(
-                                e.id, user.id, e.date, e.title, e.type, e.amount || 0, e.reason || '',
-                                e.highlight ? 1 : 0, e.pinned ? 1 : 0, e.hasImage ? 1 : 0, imageDataToSave, e.timestamp
-                            ),
-                            env.DB.prepare(`
-                                UPDATE entries SET
-                                date=?, title=?, type=?, amount=?, reason=?, 
-                                highlight=?, pinned=?, has_image=?, image_data=?, timestamp=?
-                                WHERE id = ? AND user_id = ?
-                            `).bind(
-                                e.date, e.title, e.type, e.amount || 0, e.reason || '',
-                                e.highlight ? 1 : 0, e.pinned ? 1 : 0, e.hasImage ? 1 : 0, imageDataToSave, e.timestamp,
-                                e.id, user.id
-                            )
-                        ]);
-
-                        return new Response(JSON.stringify({ success: true, id: e.id }), { headers: corsHeaders });
+                    // 2b. ATTACHMENTS (list / add / reorder / caption / remove / raw bytes)
+                    // Pattern: /api/entries/ENTRY_ID/attachments[/ATTACHMENT_ID]
+                    const attachmentRoute = path.match(/^\/api\/entries\/([^\/]+)\/attachments(?:\/([^\/]+))?$/);
+                    if (attachmentRoute) return await this.handleAttachments(request, attachmentRoute[1], attachmentRoute[2], env, user, corsHeaders);
+
+                    // 2c. REVISION HISTORY (list / revert)
+                    if (path.match(/^\/api\/entries\/[^\/]+\/revisions$/) && method === 'GET') return await this.listRevisions(path.split('/')[3], env, user, corsHeaders);
+                    if (path.match(/^\/api\/entries\/[^\/]+\/revisions\/\d+\/revert$/) && method === 'POST') {
+                        const [, , , entryId, , revisionId] = path.split('/');
+                        return await this.revertEntry(request, entryId, Number(revisionId), env, ctx, user, corsHeaders);
                     }
 
-                    // 4. DELETE ENTRY
+                    // 3. CREATE / UPDATE ENTRY (Upsert, If-Match: "<version>" -> 409 when stale)
+                    if (path === '/api/entries' && method === 'POST') return await this.upsertEntry(request, env, ctx, user, corsHeaders);
+
+                    // 4. DELETE ENTRY (Soft Delete -> Trash)
                     if (path.startsWith('/api/entries/') && method === 'DELETE') {
                         const entryId = path.split('/')[3];
-                        await env.DB.prepare('DELETE FROM entries WHERE id = ? AND user_id = ?').bind(entryId, user.id).run();
-                        return new Response(JSON.stringify({ success: true }), { headers: corsHeaders });
+                        const now = Date.now();
+                        const result = await env.DB.prepare('UPDATE entries SET deleted_at = ?, updated_at = ? WHERE id = ? AND journal_id = ? AND deleted_at IS NULL').bind(now, now, entryId, user.journal_id).run();
+                        if (result.meta.changes) await this.queueWebhookEvent(env, ctx, user.journal_id, 'entry.deleted', { id: entryId, trashed: true });
+                        return new Response(JSON.stringify({ success: true, trashed: true }), { headers: corsHeaders });
                     }
 
+                    // 5. FULL-TEXT SEARCH (FTS5, ranked)
+                    if (path === '/api/search' && method === 'GET') return await this.searchEntries(url, env, user, corsHeaders);
+
+                    // 6. TRASH (List / Restore / Permanent Delete)
+                    if (path === '/api/trash' && method === 'GET') return await this.listTrash(env, user, corsHeaders);
+                    if (path === '/api/trash' && method === 'DELETE') return await this.emptyTrash(request, env, user, corsHeaders);
+                    if (path.match(/^\/api\/trash\/[^\/]+\/restore$/) && method === 'POST') return await this.restoreEntry(path.split('/')[3], env, ctx, user, corsHeaders);
+                    if (path.match(/^\/api\/trash\/[^\/]+$/) && method === 'DELETE') return await this.purgeEntry(path.split('/')[3], env, ctx, user, corsHeaders);
+
                     // Legacy / Bulk Utils
-                    if (path === '/api/data/reset' && method === 'DELETE') return await this.resetData(request, env, user, corsHeaders);
+                    if (path === '/api/data/reset' && method === 'DELETE') return await this.resetData(request, env, ctx, user, corsHeaders);
 
                     // Keep Sync for now as a "Bulk Import"? Or just redirect usage.
-                    if (path === '/api/data/sync' && method === 'POST') return await this.syncData(request, env, user, corsHeaders);
+                    if (path === '/api/data/sync' && method === 'POST') return await this.syncData(request, env, ctx, user, corsHeaders);
+
+                    // 7. PUBLIC SHARE LINKS (list / create / revoke)
+                    if (path === '/api/shares' && method === 'GET') return await this.listShareLinks(url, env, user, corsHeaders);
+                    if (path === '/api/shares' && method === 'POST') return await this.createShareLink(request, url, env, user, corsHeaders);
+                    if (path.match(/^\/api\/shares\/[^\/]+$/) && method === 'DELETE') return await this.revokeShareLink(request, path.split('/')[3], env, user, corsHeaders);
                 }
 
                 return new Response(JSON.stringify({ error: 'API Endpoint Not Found' }), { status: 404, headers: corsHeaders });
             }
 
-            // 2. STATIC ASSETS (Frontend)
+            // 2. PUBLIC SHARE PAGES (no login; the signed link is the credential)
+            const shareRoute = path.match(/^\/s\/([^\/]+)(?:\/images\/([^\/]+))?$/);
+            if (shareRoute && (method === 'GET' || method === 'HEAD')) return await this.serveSharePage(request, shareRoute[1], shareRoute[2], env);
+
+            // 3. STATIC ASSETS (Frontend)
             // Cloudflare Assets binding automatically handles file serving
             // If the request matches a file in 'public/', serve it.
             // If not, serve 404.html for SPA fallback (or just let it 404).
@@ -196,7 +476,7 @@ export default {
 
     // --- AUTH LOGIC (Same as before) ---
 
-    async register(request, env, headers) {
+    async register(request, url, env, ctx, headers) {
         const { email, username, password } = await request.json();
 
         // INPUT VALIDATION - SECURITY CRITICAL
@@ -205,23 +485,20 @@ export default {
         }
 
         // Email format validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email) || email.length > 255) {
+        if (!EMAIL_PATTERN.test(email) || email.length > 255) {
             return new Response(JSON.stringify({ error: 'Invalid email format' }), { status: 400, headers });
         }
 
         // Username validation (Optional)
         if (username) {
-            const usernameRegex = /^[a-zA-Z0-9_]{3,30}$/;
-            if (!usernameRegex.test(username)) {
+            if (!USERNAME_PATTERN.test(username)) {
                 return new Response(JSON.stringify({ error: 'Username must be 3-30 chars, alphanumeric only' }), { status: 400, headers });
             }
         }
 
         // Password strength validation
-        if (password.length < 8 || password.length > 128) {
-            return new Response(JSON.stringify({ error: 'Password must be 8-128 characters' }), { status: 400, headers });
-        }
+        const passwordError = this.checkPasswordStrength(password);
+        if (passwordError) return new Response(JSON.stringify({ error: passwordError }), { status: 400, headers });
 
         const passwordHash = await this.hashPassword(password);
         try {
@@ -237,7 +514,10 @@ export default {
                 .bind(email.toLowerCase().trim(), username || null, passwordHash)
                 .run();
 
-            return new Response(JSON.stringify({ success: true, userId: result.meta.last_row_id }), { headers });
+            const userId = result.meta.last_row_id;
+            await env.DB.batch(this.createJournalStatements(env, this.personalJournalId(userId), userId, PERSONAL_JOURNAL_NAME, true));
+            await this.sendVerificationEmail(url, env, ctx, { id: userId, email: email.toLowerCase().trim() });
+            return new Response(JSON.stringify({ success: true, userId, verificationSent: true }), { headers });
         } catch (e) {
             if (e.message.includes('UNIQUE')) return new Response(JSON.stringify({ error: 'Email already exists' }), { status: 400, headers });
             throw e;
@@ -245,13 +525,18 @@ export default {
     },
 
     async login(request, env, headers) {
-        const { email, password } = await request.json(); // 'email' field can now contain email OR username
+        const body = await request.json();
+        const { email, password } = body; // 'email' field can now contain email OR username
 
         // INPUT VALIDATION
         if (!email || !password) {
             return new Response(JSON.stringify({ error: 'Invalid credentials' }), { status: 401, headers });
         }
 
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return new Response(JSON.stringify({ error: 'Invalid credentials' }), { status: 401, headers });
+        }
+
         const identifier = email.trim(); // Can be email or username
         let user;
 
@@ -265,156 +550,3217 @@ export default {
             user = await env.DB.prepare('SELECT * FROM users WHERE username = ?').bind(identifier).first();
         }
 
+        // Unknown identifiers get their own counter so lockouts don't reveal which accounts exist
+        const attemptKeys = this.loginAttemptKeys(request, user ? `user:${user.id}` : `name:${identifier.toLowerCase()}`);
+        const locked = await this.checkLoginLock(env, attemptKeys, headers);
+        if (locked) {
+            if (user) await this.logAudit(request, env, user.id, 'login', 'blocked', { reason: 'locked' });
+            return locked;
+        }
+
         // SECURITY: Constant-time comparison to prevent timing attacks
         // Always hash password even if user not found to prevent timing-based enumeration
-        const dummyHash = '0'.repeat(64); // Dummy hash for timing safety
-        const hashToCompare = user ? user.password_hash : dummyHash;
+        const hashToCompare = user ? user.password_hash : DUMMY_PASSWORD_HASH;
         const isValid = await this.verifyPassword(password, hashToCompare);
 
         if (!user || !isValid) {
-            return new Response(JSON.stringify({ error: 'Invalid credentials' }), { status: 401, headers });
+            const lockedOut = await this.recordLoginFailure(env, attemptKeys, headers);
+            if (user) await this.logAudit(request, env, user.id, 'login', lockedOut ? 'blocked' : 'failure', { reason: 'password' });
+            return lockedOut || new Response(JSON.stringify({ error: 'Invalid credentials' }), { status: 401, headers });
         }
+        await this.clearLoginFailures(env, attemptKeys);
 
-        // ENTERPRISE SECURITY: Force use of Environment Variable
-        if (!env.JWT_SECRET) {
-            throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+        // Transparent upgrade of legacy / weaker hashes (guarded so a concurrent password change wins)
+        if (this.passwordNeedsRehash(user.password_hash)) {
+            const upgraded = await this.hashPassword(password);
+            await env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ? AND password_hash = ?')
+                .bind(upgraded, user.id, user.password_hash).run();
         }
-        const secret = env.JWT_SECRET;
 
-        // Get current token version, default to 1 if null
-        const tokenVersion = user.token_version || 1;
+        // 2FA: no session yet, the client comes back with a code to /api/auth/login/2fa
+        if (user.totp_enabled) {
+            if (!env.JWT_SECRET) throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+            const mfaToken = await this.signToken({ id: user.id, v: user.token_version || 1, purpose: 'mfa' }, env.JWT_SECRET, MFA_TOKEN_TTL_SECONDS);
+            return new Response(JSON.stringify({ success: true, mfaRequired: true, mfaToken }), { headers });
+        }
 
-        const token = await this.signToken({ id: user.id, email: user.email, username: user.username, v: tokenVersion }, secret);
-        return new Response(JSON.stringify({ success: true, token, user: { id: user.id, email: user.email, username: user.username } }), { headers });
+        await this.logAudit(request, env, user.id, 'login');
+        return await this.completeLogin(request, env, user, body.deviceLabel, headers);
     },
 
+    async loginSecondFactor(request, env, headers) {
+        const body = await this.readJson(request);
+        const { mfaToken, code } = this.isPlainObject(body) ? body : {};
+        const expired = () => new Response(JSON.stringify({ error: 'Login expired, please sign in again', code: 'MFA_EXPIRED' }), { status: 401, headers });
+        if (typeof mfaToken !== 'string' || typeof code !== 'string') return expired();
 
+        let payload;
+        try {
+            payload = await this.verifyToken(mfaToken, env.JWT_SECRET);
+        } catch (e) {
+            return expired();
+        }
+        if (payload.purpose !== 'mfa') return expired();
 
-    async syncData(request, env, user, headers) {
-        const { entries } = await request.json();
-        if (entries && Array.isArray(entries) && entries.length > 0) {
-            const batchStmts = [];
+        const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(payload.id).first();
+        if (!user || !user.totp_enabled || (user.token_version || 1) !== payload.v) return expired();
 
-            // Prepare Statements
-            // 1. Try Insert (Safe)
-            const insertStmt = env.DB.prepare(`
-                INSERT OR IGNORE INTO entries (id, user_id, date, title, type, amount, reason, highlight, pinned, has_image, image_data, timestamp)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
+        // Same counters as the password step: guessing codes counts against the account
+        const attemptKeys = this.loginAttemptKeys(request, `user:${user.id}`);
+        const locked = await this.checkLoginLock(env, attemptKeys, headers);
+        if (locked) {
+            await this.logAudit(request, env, user.id, 'login', 'blocked', { reason: 'locked' });
+            return locked;
+        }
 
-            // 2. Update ONLY if owned by user
-            const updateStmt = env.DB.prepare(`
-                UPDATE entries SET
-                date=?, title=?, type=?, amount=?, reason=?, 
-                highlight=?, pinned=?, has_image=?, 
-                image_data=?, timestamp=?
-                WHERE id = ? AND user_id = ?
-            `);
+        const method = await this.verifySecondFactor(env, user, code);
+        if (!method) {
+            const lockedOut = await this.recordLoginFailure(env, attemptKeys, headers);
+            await this.logAudit(request, env, user.id, 'login', lockedOut ? 'blocked' : 'failure', { reason: 'second_factor' });
+            return lockedOut || new Response(JSON.stringify({ error: 'Invalid code', code: 'INVALID_CODE' }), { status: 401, headers });
+        }
+        await this.clearLoginFailures(env, attemptKeys);
+        await this.logAudit(request, env, user.id, 'login', 'success', { secondFactor: method });
 
-            for (const e of entries) {
-                const amount = e.amount || 0;
-                const reason = e.reason || '';
-                const highlight = e.highlight ? 1 : 0;
-                const pinned = e.pinned ? 1 : 0;
-                const hasImage = e.hasImage ? 1 : 0;
-                const imageData = e.imageData || null;
-
-                // Push Insert
-                batchStmts.push(insertStmt.bind(
-                    e.id, user.id, e.date, e.title, e.type,
-                    amount, reason, highlight, pinned, hasImage, imageData, e.timestamp
-                ));
-
-                // Push Update
-                batchStmts.push(updateStmt.bind(
-                    e.date, e.title, e.type, amount, reason,
-                    highlight, pinned, hasImage, imageData, e.timestamp,
-                    e.id, user.id // Where Clause
-                ));
-            }
-
-            // Execute Batch
-            if (batchStmts.length > 0) {
-                // Split into chunks if too large (D1 limit is usually high, but safe practice)
-                const CHUNK_SIZE = 100; // 50 entries * 2 statements = 100
-                for (let i = 0; i < batchStmts.length; i += CHUNK_SIZE) {
-                    await env.DB.batch(batchStmts.slice(i, i + CHUNK_SIZE));
-                }
+        const response = await this.completeLogin(request, env, user, body.deviceLabel, headers);
+        if (method !== 'recovery') return response;
+
+        // Let the user know when recovery codes are running out
+        const json = await response.json();
+        json.recoveryCodesRemaining = await this.countRecoveryCodes(env, user.id);
+        return new Response(JSON.stringify(json), { headers });
+    },
+
+    // --- Rate limiting ---
+
+    rateLimitClass(path, method) {
+        if (path.startsWith('/api/auth/')) return 'auth';
+        if (method === 'GET' && /^\/api\/entries\/[^\/]+\/(image|attachments\/[^\/]+)$/.test(path)) return 'image';
+        if (method === 'GET' && /^\/s\/[^\/]+\/images\/[^\/]+$/.test(path)) return 'image';
+        return method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+    },
+
+    getRateLimit(env, rateClass) {
+        const match = /^(\d+)\/(\d+)$/.exec(env[`RATE_LIMIT_${rateClass.toUpperCase()}`] || '');
+        if (match && Number(match[1]) > 0 && Number(match[2]) > 0 && Number(match[2]) <= 86400) return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+        return RATE_LIMITS[rateClass];
+    },
+
+    // Counts the request in the current window. Returns { limited, retryAfter, headers }, or null if the
+    // counter could not be updated: a D1 hiccup should not take the whole API down with it.
+    async consumeRateLimit(request, env, rateClass) {
+        const { limit, windowSeconds } = this.getRateLimit(env, rateClass);
+        const subject = await this.rateLimitSubject(request, env);
+        const windowMs = windowSeconds * 1000;
+        const now = Date.now();
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+
+        let row;
+        try {
+            row = await env.DB.prepare(`
+                INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, 1)
+                ON CONFLICT(key) DO UPDATE SET
+                    count = CASE WHEN window_start = excluded.window_start THEN count + 1 ELSE 1 END,
+                    window_start = excluded.window_start
+                RETURNING count
+            `).bind(`${rateClass}:${subject}`, windowStart).first();
+        } catch (e) {
+            console.error('Rate limit error:', e);
+            return null;
+        }
+
+        const reset = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+        return {
+            limited: row.count > limit,
+            retryAfter: reset,
+            headers: {
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': String(Math.max(0, limit - row.count)),
+                'RateLimit-Reset': String(reset),
+                'RateLimit-Policy': `${limit};w=${windowSeconds}`
+            }
+        };
+    },
+
+    // Only the signature and expiry are checked here (API tokens: one indexed lookup); the route still runs verifyAuth
+    async rateLimitSubject(request, env) {
+        const telegramToken = request.headers.get('X-Telegram-Bot-Api-Secret-Token');
+        const auth = request.headers.get('Authorization') || (telegramToken ? `Bearer ${telegramToken}` : null);
+        if (auth && auth.startsWith('Bearer ' + API_TOKEN_PREFIX)) {
+            const tokenHash = await this.sha256Hex(new TextEncoder().encode(auth.split(' ')[1]));
+            const row = await env.DB.prepare('SELECT user_id FROM api_tokens WHERE token_hash = ?').bind(tokenHash).first();
+            if (row) return `user:${row.user_id}`;
+        } else if (auth && auth.startsWith('Bearer ') && env.JWT_SECRET) {
+            try {
+                const payload = await this.verifyToken(auth.split(' ')[1], env.JWT_SECRET);
+                if (payload.id && !payload.purpose) return `user:${payload.id}`;
+            } catch (e) {
+                // Invalid or expired token: fall back to the IP
             }
         }
+        return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+    },
 
-        // Fetch fresh data (METADATA ONLY) to prevent huge payload crash
-        // Client can fetch images lazily
-        const { results } = await env.DB.prepare('SELECT id, user_id, date, title, type, amount, reason, highlight, pinned, has_image, timestamp, last_synced FROM entries WHERE user_id = ? ORDER BY date DESC').bind(user.id).all();
+    // --- Security audit log ---
 
-        const normalized = results.map(e => ({
-            ...e,
-            highlight: !!e.highlight,
-            pinned: !!e.pinned,
-            hasImage: !!e.has_image,
-            imageData: null // Explicitly null to indicate need for fetch if hasImage=true
+    // Never fails the request it records: a lost audit row is logged, not surfaced to the user
+    async logAudit(request, env, userId, event, outcome = 'success', detail = null) {
+        try {
+            await env.DB.prepare('INSERT INTO audit_events (user_id, event, outcome, ip, user_agent, detail, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+                .bind(
+                    userId, event, outcome,
+                    request.headers.get('CF-Connecting-IP') || null,
+                    (request.headers.get('User-Agent') || '').slice(0, 255) || null,
+                    detail ? JSON.stringify(detail) : null,
+                    Date.now()
+                ).run();
+        } catch (e) {
+            console.error('Audit log failed:', event, e.message);
+        }
+    },
+
+    // Newest first, keyset paginated on id (?cursor=<last id>&limit=)
+    async listAuditEvents(url, env, user, headers) {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || AUDIT_PAGE_SIZE, 1), MAX_AUDIT_PAGE_SIZE);
+        const cursor = parseInt(url.searchParams.get('cursor'), 10);
+
+        const { results } = await env.DB.prepare(`
+            SELECT id, event, outcome, ip, user_agent, detail, created_at FROM audit_events
+            WHERE user_id = ? AND id < ? ORDER BY id DESC LIMIT ?
+        `).bind(user.id, Number.isInteger(cursor) && cursor > 0 ? cursor : Number.MAX_SAFE_INTEGER, limit + 1).all();
+
+        const hasMore = results.length > limit;
+        const page = hasMore ? results.slice(0, limit) : results;
+        const events = page.map(row => ({
+            id: row.id,
+            event: row.event,
+            outcome: row.outcome,
+            ip: row.ip,
+            device: row.user_agent ? this.deviceLabelFromUserAgent(row.user_agent) : null,
+            detail: row.detail ? JSON.parse(row.detail) : null,
+            createdAt: row.created_at
+        }));
+
+        return new Response(JSON.stringify({ success: true, events, nextCursor: hasMore ? page[page.length - 1].id : null }), { headers });
+    },
+
+    // --- Brute-force protection ---
+
+    loginAttemptKeys(request, accountKey) {
+        return {
+            account: { key: accountKey, free: LOGIN_ACCOUNT_FREE_ATTEMPTS },
+            ip: { key: `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`, free: LOGIN_IP_FREE_ATTEMPTS }
+        };
+    },
+
+    lockedResponse(lockedUntil, headers) {
+        const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+        return new Response(JSON.stringify({ error: 'Too many failed login attempts', code: 'LOGIN_LOCKED', retryAfter }), {
+            status: 429,
+            headers: { ...headers, 'Retry-After': String(retryAfter) }
+        });
+    },
+
+    // Returns a 429 response while either key is locked, otherwise null
+    async checkLoginLock(env, keys, headers) {
+        const row = await env.DB.prepare('SELECT MAX(locked_until) AS locked_until FROM login_attempts WHERE key IN (?, ?) AND locked_until > ?')
+            .bind(keys.account.key, keys.ip.key, Date.now()).first();
+        return row && row.locked_until ? this.lockedResponse(row.locked_until, headers) : null;
+    },
+
+    // Counts the failure on both keys; returns a 429 response if this failure started a lockout
+    async recordLoginFailure(env, keys, headers) {
+        const now = Date.now();
+        let lockedUntil = 0;
+
+        for (const { key, free } of [keys.account, keys.ip]) {
+            const row = await env.DB.prepare(`
+                INSERT INTO login_attempts (key, failures, last_failed_at) VALUES (?, 1, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                    failures = CASE WHEN last_failed_at < ? THEN 1 ELSE failures + 1 END,
+                    last_failed_at = excluded.last_failed_at
+                RETURNING failures
+            `).bind(key, now, now - LOGIN_FAILURE_WINDOW_MS).first();
+
+            if (row.failures < free) continue;
+            const seconds = Math.min(LOGIN_BASE_LOCKOUT_SECONDS * 2 ** (row.failures - free), LOGIN_MAX_LOCKOUT_SECONDS);
+            const until = now + seconds * 1000;
+            await env.DB.prepare('UPDATE login_attempts SET locked_until = ? WHERE key = ?').bind(until, key).run();
+            lockedUntil = Math.max(lockedUntil, until);
+        }
+
+        return lockedUntil ? this.lockedResponse(lockedUntil, headers) : null;
+    },
+
+    // Only the account counter: logging into your own account must not reset a spraying IP
+    async clearLoginFailures(env, keys) {
+        await env.DB.prepare('DELETE FROM login_attempts WHERE key = ?').bind(keys.account.key).run();
+    },
+
+    // Password (and 2FA, if enabled) passed: open a session for this device
+    // Signing in also cancels a scheduled account deletion
+    async completeLogin(request, env, user, deviceLabel, headers) {
+        let deletionCancelled = false;
+        if (user.delete_after) {
+            await env.DB.prepare('UPDATE users SET delete_after = NULL WHERE id = ?').bind(user.id).run();
+            await this.logAudit(request, env, user.id, 'account_deletion_cancelled');
+            deletionCancelled = true;
+        }
+
+        const sessionId = await this.createSession(request, env, user.id, deviceLabel);
+        const token = await this.issueToken(env, user, sessionId);
+        const refreshToken = await this.issueRefreshToken(env, user.id, sessionId);
+        return new Response(JSON.stringify({
+            success: true, token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, user: this.publicUser(user),
+            ...(deletionCancelled ? { deletionCancelled } : {})
+        }), { headers });
+    },
+
+
+
+    // Returns an error message, or null if the password is acceptable
+    checkPasswordStrength(password) {
+        if (typeof password !== 'string' || password.length < 8 || password.length > 128) return 'Password must be 8-128 characters';
+        return null;
+    },
+
+    // --- ACCOUNT SETTINGS ---
+
+    publicUser(user) {
+        return { id: user.id, email: user.email, username: user.username, emailVerified: !!user.verified_at, twoFactorEnabled: !!user.totp_enabled };
+    },
+
+    async getAccount(user, headers) {
+        return new Response(JSON.stringify({ success: true, user: this.publicUser(user) }), { headers });
+    },
+
+    // Token for one device session (sid), carrying the current email / username / token_version
+    async issueToken(env, user, sessionId = user.session_id) {
+        if (!env.JWT_SECRET) throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+        const payload = { id: user.id, email: user.email, username: user.username, v: user.token_version || 1 };
+        if (sessionId) payload.sid = sessionId;
+        return this.signToken(payload, env.JWT_SECRET);
+    },
+
+    // --- SESSIONS (one per login / device) ---
+
+    async createSession(request, env, userId, deviceLabel) {
+        const id = crypto.randomUUID();
+        const userAgent = (request.headers.get('User-Agent') || '').slice(0, 255);
+        const label = (typeof deviceLabel === 'string' && deviceLabel.trim())
+            ? deviceLabel.trim().slice(0, MAX_DEVICE_LABEL_LENGTH)
+            : this.deviceLabelFromUserAgent(userAgent);
+        const now = Date.now();
+
+        await env.DB.prepare('INSERT INTO sessions (id, user_id, device_label, user_agent, ip, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+            .bind(id, userId, label, userAgent, request.headers.get('CF-Connecting-IP') || null, now, now).run();
+        return id;
+    },
+
+    // "Chrome di Windows" style label for clients that don't send one
+    deviceLabelFromUserAgent(ua) {
+        const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+            .find(([token]) => ua.includes(token));
+        const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+            .find(([token]) => ua.includes(token));
+        if (!browser && !os) return 'Perangkat tidak dikenal';
+        return [browser && browser[1], os && os[1]].filter(Boolean).join(' di ');
+    },
+
+    // Statement that revokes the user's sessions: one (sessionId), all but one (exceptSessionId) or all
+    revokeSessions(env, userId, { sessionId = null, exceptSessionId = null } = {}) {
+        return env.DB.prepare(`
+            UPDATE sessions SET revoked_at = ?
+            WHERE user_id = ? AND revoked_at IS NULL
+            AND (? IS NULL OR id = ?) AND (? IS NULL OR id != ?)
+        `).bind(Date.now(), userId, sessionId, sessionId, exceptSessionId, exceptSessionId);
+    },
+
+    async listSessions(env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT id, device_label, user_agent, ip, created_at, last_seen_at FROM sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND last_seen_at > ?
+            ORDER BY last_seen_at DESC
+        `).bind(user.id, Date.now() - SESSION_MAX_IDLE_MS).all();
+
+        const data = results.map(row => ({
+            id: row.id,
+            deviceLabel: row.device_label,
+            userAgent: row.user_agent,
+            ip: row.ip,
+            createdAt: row.created_at,
+            lastSeenAt: row.last_seen_at,
+            current: row.id === user.session_id
+        }));
+        return new Response(JSON.stringify({ success: true, data }), { headers });
+    },
+
+    // --- REFRESH TOKENS (rotation + reuse detection) ---
+
+    async issueRefreshToken(env, userId, sessionId) {
+        const token = this.randomToken();
+        const now = Date.now();
+        await env.DB.prepare('INSERT INTO refresh_tokens (token_hash, session_id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+            .bind(await this.sha256Hex(new TextEncoder().encode(token)), sessionId, userId, now, now + REFRESH_TOKEN_TTL_MS).run();
+        return token;
+    },
+
+    async refreshSession(request, env, headers) {
+        const body = await this.readJson(request);
+        const refreshToken = this.isPlainObject(body) ? body.refreshToken : null;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return new Response(JSON.stringify({ error: 'Refresh token required' }), { status: 400, headers });
+        }
+
+        const invalid = (code) => new Response(JSON.stringify({ error: 'Invalid refresh token', code }), { status: 401, headers });
+        const tokenHash = await this.sha256Hex(new TextEncoder().encode(refreshToken));
+        const now = Date.now();
+
+        const row = await env.DB.prepare(`
+            SELECT rt.session_id, rt.user_id, rt.expires_at, rt.used_at, s.revoked_at
+            FROM refresh_tokens rt JOIN sessions s ON s.id = rt.session_id
+            WHERE rt.token_hash = ?
+        `).bind(tokenHash).first();
+        if (!row || row.revoked_at || row.expires_at < now) return invalid('REFRESH_INVALID');
+
+        const raced = () => new Response(JSON.stringify({ error: 'Refresh token already rotated', code: 'REFRESH_RACE' }), { status: 409, headers });
+        if (row.used_at) {
+            if (now - row.used_at < REFRESH_REUSE_GRACE_MS) return raced();
+            // Replay of a rotated token: someone else holds this family, end it for everyone
+            await this.revokeSessions(env, row.user_id, { sessionId: row.session_id }).run();
+            await this.logAudit(request, env, row.user_id, 'refresh_token_reused', 'blocked', { sessionId: row.session_id });
+            return invalid('REFRESH_REUSED');
+        }
+
+        // Claim it; a concurrent request that got here first wins
+        const claimed = await env.DB.prepare('UPDATE refresh_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL').bind(now, tokenHash).run();
+        if (!claimed.meta.changes) return raced();
+
+        const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(row.user_id).first();
+        if (!user) return invalid('REFRESH_INVALID');
+
+        await env.DB.prepare('UPDATE sessions SET last_seen_at = ?, ip = ? WHERE id = ?')
+            .bind(now, request.headers.get('CF-Connecting-IP') || null, row.session_id).run();
+
+        const token = await this.issueToken(env, user, row.session_id);
+        const nextRefreshToken = await this.issueRefreshToken(env, user.id, row.session_id);
+        return new Response(JSON.stringify({ success: true, token, refreshToken: nextRefreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS }), { headers });
+    },
+
+    async revokeSession(request, sessionId, env, user, headers) {
+        const result = await this.revokeSessions(env, user.id, { sessionId }).run();
+        if (!result.meta.changes) return new Response(JSON.stringify({ error: 'Session not found' }), { status: 404, headers });
+        await this.logAudit(request, env, user.id, 'session_revoked', 'success', { sessionId });
+        return new Response(JSON.stringify({ success: true, current: sessionId === user.session_id }), { headers });
+    },
+
+    // --- PERSONAL API TOKENS ---
+
+    async listApiTokens(env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT id, name, token_prefix, scopes, created_at, last_used_at, expires_at, telegram_chat_id FROM api_tokens
+            WHERE user_id = ? AND (expires_at IS NULL OR expires_at > ?)
+            ORDER BY created_at DESC
+        `).bind(user.id, Date.now()).all();
+
+        const data = results.map(row => ({
+            id: row.id,
+            name: row.name,
+            prefix: row.token_prefix,
+            scopes: row.scopes.split(','),
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            telegramChatId: row.telegram_chat_id
         }));
+        return new Response(JSON.stringify({ success: true, data }), { headers });
+    },
+
+    // The plaintext token is only ever in this response; the DB keeps its SHA-256
+    async createApiToken(request, env, user, headers) {
+        if (!user.verified_at) return this.emailNotVerifiedResponse(headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const errors = {};
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) errors.name = 'required';
+        else if (name.length > MAX_API_TOKEN_NAME_LENGTH) errors.name = 'too_long';
+
+        let scopes = body.scopes;
+        if (!Array.isArray(scopes) || !scopes.length) errors.scopes = 'required';
+        else if (scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) errors.scopes = 'invalid_value';
+        else {
+            if (scopes.includes('write')) scopes = [...scopes, 'read'];
+            scopes = API_TOKEN_SCOPES.filter(scope => scopes.includes(scope));
+        }
+
+        const expiresInDays = body.expiresInDays;
+        if (expiresInDays !== undefined && expiresInDays !== null
+            && !(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_API_TOKEN_EXPIRY_DAYS)) {
+            errors.expiresInDays = 'out_of_range';
+        }
+        if (Object.keys(errors).length) return this.validationErrorResponse(errors, headers);
+
+        const now = Date.now();
+        const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ? AND (expires_at IS NULL OR expires_at > ?)').bind(user.id, now).first();
+        if (count >= MAX_API_TOKENS_PER_USER) {
+            return new Response(JSON.stringify({ error: `At most ${MAX_API_TOKENS_PER_USER} API tokens per account`, code: 'TOO_MANY_TOKENS' }), { status: 409, headers });
+        }
+
+        const id = crypto.randomUUID();
+        const token = API_TOKEN_PREFIX + this.randomToken();
+        const expiresAt = expiresInDays ? now + expiresInDays * 24 * 60 * 60 * 1000 : null;
+        const prefix = token.slice(0, API_TOKEN_PREFIX.length + 4);
+        await env.DB.prepare('INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, scopes, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+            .bind(id, user.id, name, await this.sha256Hex(new TextEncoder().encode(token)), prefix, scopes.join(','), now, expiresAt).run();
+        await this.logAudit(request, env, user.id, 'api_token_created', 'success', { tokenId: id, name, scopes });
+
+        return new Response(JSON.stringify({
+            success: true, token,
+            data: { id, name, prefix, scopes, createdAt: now, lastUsedAt: null, expiresAt, telegramChatId: null }
+        }), { status: 201, headers });
+    },
 
-        return new Response(JSON.stringify({ success: true, entries: normalized }), { headers });
+    // PATCH { telegramChatId }: the one Telegram chat allowed to capture through this token (null clears it).
+    // Chat ids are integers, negative for groups; kept as text so large ids survive unchanged.
+    async updateApiToken(request, tokenId, env, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        let chatId = body.telegramChatId;
+        if (typeof chatId === 'number') chatId = String(chatId);
+        else if (typeof chatId === 'string') chatId = chatId.trim() || null;
+        if (chatId === undefined) return this.validationErrorResponse({ telegramChatId: 'required' }, headers);
+        if (chatId !== null && typeof chatId !== 'string') return this.validationErrorResponse({ telegramChatId: 'invalid_type' }, headers);
+        if (chatId !== null && !/^-?\d{1,20}$/.test(chatId)) return this.validationErrorResponse({ telegramChatId: 'invalid_value' }, headers);
+
+        const row = await env.DB.prepare('UPDATE api_tokens SET telegram_chat_id = ? WHERE id = ? AND user_id = ? AND (expires_at IS NULL OR expires_at > ?) RETURNING name')
+            .bind(chatId, tokenId, user.id, Date.now()).first();
+        if (!row) return new Response(JSON.stringify({ error: 'API token not found' }), { status: 404, headers });
+        await this.logAudit(request, env, user.id, 'api_token_updated', 'success', { tokenId, name: row.name, telegramChatId: chatId });
+        return new Response(JSON.stringify({ success: true, telegramChatId: chatId }), { headers });
     },
 
-    async resetData(request, env, user, headers) {
+    async revokeApiToken(request, tokenId, env, user, headers) {
+        const row = await env.DB.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ? RETURNING name').bind(tokenId, user.id).first();
+        if (!row) return new Response(JSON.stringify({ error: 'API token not found' }), { status: 404, headers });
+        await this.logAudit(request, env, user.id, 'api_token_revoked', 'success', { tokenId, name: row.name });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // --- OUTGOING WEBHOOKS ---
+
+    // https only, except loopback hosts so a local receiver works during development
+    validateWebhookUrl(value) {
+        if (typeof value !== 'string' || !value.trim()) return 'required';
+        if (value.length > MAX_WEBHOOK_URL_LENGTH) return 'too_long';
+        let parsed;
         try {
-            await env.DB.prepare('DELETE FROM entries WHERE user_id = ?').bind(user.id).run();
-            return new Response(JSON.stringify({ success: true, message: 'Cloud data wiped' }), { headers });
+            parsed = new URL(value.trim());
         } catch (e) {
-            return new Response(JSON.stringify({ error: e.message }), { status: 500, headers });
+            return 'invalid_format';
         }
+        if (parsed.username || parsed.password) return 'invalid_format';
+        if (parsed.protocol === 'https:') return null;
+        if (parsed.protocol === 'http:' && WEBHOOK_LOOPBACK_HOSTS.includes(parsed.hostname)) return null;
+        return 'https_required';
     },
 
-    async verifyAuth(request, env) {
-        const auth = request.headers.get('Authorization');
-        if (!auth || !auth.startsWith('Bearer ')) return null;
-        const token = auth.split(' ')[1];
+    normalizeWebhook(row) {
+        return {
+            id: row.id,
+            url: row.url,
+            events: row.events.split(','),
+            createdAt: row.created_at,
+            lastStatus: row.last_status || null,
+            lastDeliveryAt: row.last_delivery_at || null
+        };
+    },
 
-        if (!env.JWT_SECRET) {
-            throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+    async listWebhooks(env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT w.id, w.url, w.events, w.created_at, d.status AS last_status, d.created_at AS last_delivery_at
+            FROM webhooks w
+            LEFT JOIN webhook_deliveries d ON d.id = (SELECT MAX(id) FROM webhook_deliveries WHERE webhook_id = w.id)
+            WHERE w.user_id = ?
+            ORDER BY w.created_at DESC
+        `).bind(user.id).all();
+        return new Response(JSON.stringify({ success: true, data: results.map(row => this.normalizeWebhook(row)) }), { headers });
+    },
+
+    // The signing secret is returned here only; receivers verify X-JournalFinance-Signature with it
+    async createWebhook(request, env, user, headers) {
+        if (!user.verified_at) return this.emailNotVerifiedResponse(headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const errors = {};
+        const urlError = this.validateWebhookUrl(body.url);
+        if (urlError) errors.url = urlError;
+
+        let events = body.events;
+        if (events === undefined) events = WEBHOOK_EVENTS;
+        else if (!Array.isArray(events) || !events.length) errors.events = 'required';
+        else if (events.some(event => !WEBHOOK_EVENTS.includes(event))) errors.events = 'invalid_value';
+        if (Object.keys(errors).length) return this.validationErrorResponse(errors, headers);
+
+        const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?').bind(user.id).first();
+        if (count >= MAX_WEBHOOKS_PER_USER) {
+            return new Response(JSON.stringify({ error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks per account`, code: 'TOO_MANY_WEBHOOKS' }), { status: 409, headers });
         }
-        const secret = env.JWT_SECRET;
 
-        try {
-            const payload = await this.verifyToken(token, secret);
+        const row = {
+            id: crypto.randomUUID(),
+            url: body.url.trim(),
+            events: WEBHOOK_EVENTS.filter(event => events.includes(event)).join(','),
+            created_at: Date.now()
+        };
+        const secret = 'whsec_' + this.randomToken();
+        await env.DB.prepare('INSERT INTO webhooks (id, user_id, url, secret, events, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .bind(row.id, user.id, row.url, secret, row.events, row.created_at).run();
+        await this.logAudit(request, env, user.id, 'webhook_created', 'success', { webhookId: row.id, url: row.url });
 
-            // Check Token Version against DB
-            // Use SELECT * to avoid crash if token_version column is missing (migration pending)
-            const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(payload.id).first();
-            if (!user) return null;
+        return new Response(JSON.stringify({ success: true, secret, data: this.normalizeWebhook(row) }), { status: 201, headers });
+    },
 
-            const currentVersion = user.token_version || 1;
-            // Backward compatibility: If payload has no version ('v'), accept if DB is 1 or null.
-            // But if DB > 1, reject legacy tokens.
-            const payloadVersion = payload.v || 0;
+    async deleteWebhook(request, webhookId, env, user, headers) {
+        const row = await env.DB.prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ? RETURNING url').bind(webhookId, user.id).first();
+        if (!row) return new Response(JSON.stringify({ error: 'Webhook not found' }), { status: 404, headers });
+        await this.logAudit(request, env, user.id, 'webhook_deleted', 'success', { webhookId, url: row.url });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
 
-            // Strict check: if payload has version, it must match.
-            // If payload has NO version (old token), it is valid ONLY if DB version is default (1 or null)
-            if (payload.v) {
-                if (payload.v !== currentVersion) return null; // Invalidated
-            } else {
-                // Legacy token. If user has logged out all (version > 1), this should fail.
-                // Assuming starting version is 1.
-                if (currentVersion > 1) return null;
-            }
+    // Newest first, keyset paginated on id (?cursor=<last id>)
+    async listWebhookDeliveries(url, webhookId, env, user, headers) {
+        const hook = await env.DB.prepare('SELECT id FROM webhooks WHERE id = ? AND user_id = ?').bind(webhookId, user.id).first();
+        if (!hook) return new Response(JSON.stringify({ error: 'Webhook not found' }), { status: 404, headers });
 
-            return user;
-        } catch (e) { return null; }
+        const cursorParam = url.searchParams.get('cursor');
+        const cursor = cursorParam === null ? null : Number(cursorParam);
+        if (cursor !== null && !(Number.isInteger(cursor) && cursor > 0)) {
+            return this.validationErrorResponse({ cursor: 'invalid_format' }, headers);
+        }
+
+        const { results } = await env.DB.prepare(`
+            SELECT id, event, status, attempts, response_status, error, created_at, next_attempt_at, delivered_at
+            FROM webhook_deliveries
+            WHERE webhook_id = ? AND (? IS NULL OR id < ?)
+            ORDER BY id DESC LIMIT ?
+        `).bind(webhookId, cursor, cursor, WEBHOOK_DELIVERY_PAGE_SIZE + 1).all();
+
+        const page = results.slice(0, WEBHOOK_DELIVERY_PAGE_SIZE);
+        const deliveries = page.map(row => ({
+            id: row.id,
+            event: row.event,
+            status: row.status,
+            attempts: row.attempts,
+            responseStatus: row.response_status,
+            error: row.error,
+            createdAt: row.created_at,
+            nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+            deliveredAt: row.delivered_at
+        }));
+        const nextCursor = results.length > WEBHOOK_DELIVERY_PAGE_SIZE ? String(page[page.length - 1].id) : null;
+        return new Response(JSON.stringify({ success: true, deliveries, nextCursor }), { headers });
     },
 
-    async hashPassword(password) {
-        const msgBuffer = new TextEncoder().encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', msgBuffer);
-        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    // Sends a 'ping' to this hook only and waits for the first attempt, so the UI can show the result right away
+    async testWebhook(webhookId, env, user, headers) {
+        const hook = await env.DB.prepare('SELECT id FROM webhooks WHERE id = ? AND user_id = ?').bind(webhookId, user.id).first();
+        if (!hook) return new Response(JSON.stringify({ error: 'Webhook not found' }), { status: 404, headers });
+
+        const [deliveryId] = await this.insertWebhookDeliveries(env, [hook.id], 'ping', { webhookId });
+        await this.deliverWebhook(env, deliveryId);
+        const delivery = await env.DB.prepare('SELECT status, response_status, error FROM webhook_deliveries WHERE id = ?').bind(deliveryId).first();
+        return new Response(JSON.stringify({
+            success: true,
+            delivered: delivery.status === 'success',
+            responseStatus: delivery.response_status,
+            error: delivery.error
+        }), { headers });
+    },
+
+    // Called by the data handlers after a change is committed. Never fails the request: a lost event is logged.
+    // Every member's hooks fire for a shared journal; data.journalId tells them apart.
+    async queueWebhookEvent(env, ctx, journalId, event, data) {
+        try {
+            const { results } = await env.DB.prepare(`
+                SELECT w.id FROM webhooks w JOIN journal_members m ON m.user_id = w.user_id
+                WHERE m.journal_id = ? AND (',' || w.events || ',') LIKE ?
+            `).bind(journalId, `%,${event},%`).all();
+            if (!results.length) return;
+
+            const deliveryIds = await this.insertWebhookDeliveries(env, results.map(hook => hook.id), event, { journalId, ...data });
+            ctx.waitUntil(Promise.all(deliveryIds.map(id => this.deliverWebhook(env, id))));
+        } catch (e) {
+            console.error('Webhook queue failed:', event, e.message);
+        }
+    },
+
+    // One body per event, shared by every hook; its id lets receivers drop duplicates from retries
+    async insertWebhookDeliveries(env, webhookIds, event, data) {
+        const now = Date.now();
+        const payload = JSON.stringify({ id: crypto.randomUUID(), event, createdAt: now, data });
+        const inserted = await env.DB.batch(webhookIds.map(webhookId => env.DB.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event, payload, created_at, next_attempt_at)
+            VALUES (?, ?, ?, ?, ?) RETURNING id
+        `).bind(webhookId, event, payload, now, now)));
+        return inserted.map(result => result.results[0].id);
+    },
+
+    async deliverWebhook(env, deliveryId) {
+        const now = Date.now();
+        // Claim the attempt (lease past the timeout) so the cron and an in-flight first attempt can't both send it
+        const claimed = await env.DB.prepare(`
+            UPDATE webhook_deliveries SET next_attempt_at = ?
+            WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?
+        `).bind(now + 2 * WEBHOOK_TIMEOUT_MS, deliveryId, now).run();
+        if (!claimed.meta.changes) return;
+
+        const row = await env.DB.prepare(`
+            SELECT d.event, d.payload, d.attempts, w.url, w.secret
+            FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+            WHERE d.id = ?
+        `).bind(deliveryId).first();
+        if (!row) return;
+
+        const timestamp = Math.floor(now / 1000);
+        let responseStatus = null;
+        let error = null;
+        try {
+            const res = await fetch(row.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'JournalFinance-Webhooks',
+                    'X-JournalFinance-Event': row.event,
+                    'X-JournalFinance-Delivery': String(deliveryId),
+                    'X-JournalFinance-Signature': `t=${timestamp},v1=${await this.hmacSha256(`${timestamp}.${row.payload}`, row.secret)}`
+                },
+                body: row.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            responseStatus = res.status;
+            if (!res.ok) error = `HTTP ${res.status}`;
+        } catch (e) {
+            error = e.name === 'TimeoutError' ? 'timeout' : (e.message || 'network error').slice(0, 200);
+        }
+
+        const attempts = row.attempts + 1;
+        const done = !error || attempts > WEBHOOK_RETRY_DELAYS_MS.length;
+        await env.DB.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ?
+            WHERE id = ?
+        `).bind(
+            error ? (done ? 'failed' : 'pending') : 'success',
+            attempts, responseStatus, error,
+            done ? null : Date.now() + WEBHOOK_RETRY_DELAYS_MS[attempts - 1],
+            error ? null : Date.now(),
+            deliveryId
+        ).run();
+    },
+
+    async retryWebhookDeliveries(env) {
+        const { results } = await env.DB.prepare(`
+            SELECT id FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at LIMIT ?
+        `).bind(Date.now(), WEBHOOK_RETRY_BATCH).all();
+        for (const { id } of results) await this.deliverWebhook(env, id);
     },
 
-    async verifyPassword(password, hash) { return (await this.hashPassword(password)) === hash; },
+    async changeUsername(request, env, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        // Empty / null clears it (login by email still works)
+        const username = typeof body.username === 'string' ? body.username.trim() : body.username;
+        if (username && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+            return new Response(JSON.stringify({ error: 'Username must be 3-30 chars, alphanumeric only' }), { status: 400, headers });
+        }
+
+        try {
+            await env.DB.prepare('UPDATE users SET username = ? WHERE id = ?').bind(username || null, user.id).run();
+        } catch (e) {
+            if (e.message.includes('UNIQUE')) return new Response(JSON.stringify({ error: 'Username already taken' }), { status: 400, headers });
+            throw e;
+        }
+
+        await this.logAudit(request, env, user.id, 'username_changed', 'success', { from: user.username, to: username || null });
+        const updated = { ...user, username: username || null };
+        return new Response(JSON.stringify({ success: true, user: this.publicUser(updated), token: await this.issueToken(env, updated) }), { headers });
+    },
+
+    async changeEmail(request, url, env, ctx, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const email = typeof body.email === 'string' ? body.email.toLowerCase().trim() : '';
+        if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+            return new Response(JSON.stringify({ error: 'Invalid email format' }), { status: 400, headers });
+        }
+        if (!(await this.verifyPassword(String(body.currentPassword || ''), user.password_hash))) {
+            await this.logAudit(request, env, user.id, 'email_changed', 'failure', { reason: 'password' });
+            return new Response(JSON.stringify({ error: 'Current password is incorrect' }), { status: 403, headers });
+        }
+
+        if (email === user.email) return new Response(JSON.stringify({ success: true, user: this.publicUser(user) }), { headers });
+
+        try {
+            await env.DB.batch([
+                // The new address has to be confirmed again
+                env.DB.prepare('UPDATE users SET email = ?, verified_at = NULL WHERE id = ?').bind(email, user.id),
+                // A pending reset link still points at the old address
+                env.DB.prepare('DELETE FROM reset_tokens WHERE email = ?').bind(user.email)
+            ]);
+        } catch (e) {
+            if (e.message.includes('UNIQUE')) return new Response(JSON.stringify({ error: 'Email already exists' }), { status: 400, headers });
+            throw e;
+        }
+
+        await this.logAudit(request, env, user.id, 'email_changed', 'success', { from: user.email, to: email });
+        const updated = { ...user, email, verified_at: null };
+        await this.sendVerificationEmail(url, env, ctx, updated);
+        return new Response(JSON.stringify({ success: true, user: this.publicUser(updated), token: await this.issueToken(env, updated) }), { headers });
+    },
+
+    // Bumps token_version: every other device is signed out, this one gets a new token
+    async changePassword(request, env, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const passwordError = this.checkPasswordStrength(body.newPassword);
+        if (passwordError) return new Response(JSON.stringify({ error: passwordError }), { status: 400, headers });
+        if (!(await this.verifyPassword(String(body.currentPassword || ''), user.password_hash))) {
+            await this.logAudit(request, env, user.id, 'password_changed', 'failure', { reason: 'password' });
+            return new Response(JSON.stringify({ error: 'Current password is incorrect' }), { status: 403, headers });
+        }
+
+        const passwordHash = await this.hashPassword(body.newPassword);
+        const [updated] = await env.DB.batch([
+            env.DB.prepare(`
+                UPDATE users SET password_hash = ?, token_version = IFNULL(token_version, 1) + 1
+                WHERE id = ? RETURNING token_version
+            `).bind(passwordHash, user.id),
+            this.revokeSessions(env, user.id, { exceptSessionId: user.session_id })
+        ]);
+
+        await this.logAudit(request, env, user.id, 'password_changed');
+        const next = { ...user, token_version: updated.results[0].token_version };
+        return new Response(JSON.stringify({ success: true, token: await this.issueToken(env, next) }), { headers });
+    },
+
+    // --- SHARED JOURNALS ---
+
+    personalJournalId(userId) {
+        return `personal-${userId}`;
+    },
+
+    journalRoleAllows(role, requiredRole) {
+        return JOURNAL_ROLES.indexOf(role) >= JOURNAL_ROLES.indexOf(requiredRole);
+    },
+
+    // Journal row + its owner's membership, as one batch so a journal never exists without an owner
+    createJournalStatements(env, id, ownerId, name, personal = false) {
+        const now = Date.now();
+        return [
+            env.DB.prepare('INSERT INTO journals (id, owner_id, name, personal, created_at) VALUES (?, ?, ?, ?, ?)').bind(id, ownerId, name, personal ? 1 : 0, now),
+            env.DB.prepare("INSERT INTO journal_members (journal_id, user_id, role, created_at) VALUES (?, ?, 'owner', ?)").bind(id, ownerId, now)
+        ];
+    },
+
+    async getJournalMembership(env, journalId, userId) {
+        return await env.DB.prepare(`
+            SELECT j.id, j.owner_id, j.name, j.personal, j.created_at, m.role
+            FROM journal_members m JOIN journals j ON j.id = m.journal_id
+            WHERE m.journal_id = ? AND m.user_id = ?
+        `).bind(journalId, userId).first();
+    },
+
+    // Non-members get the same 404 as a missing journal, so IDs can't be probed
+    journalNotFoundResponse(headers) {
+        return new Response(JSON.stringify({ error: 'Journal not found', code: 'JOURNAL_NOT_FOUND' }), { status: 404, headers });
+    },
+
+    journalRoleResponse(requiredRole, headers) {
+        return new Response(JSON.stringify({ error: `This needs the ${requiredRole} role in this journal`, code: 'JOURNAL_ROLE', requiredRole }), { status: 403, headers });
+    },
+
+    // Resolves X-Journal-Id for the data routes and sets user.journal_id / journal_owner_id / journal_role.
+    // Returns an error response when the caller isn't a member or their role is too low.
+    async useJournal(request, env, user, requiredRole, headers) {
+        const journalId = request.headers.get('X-Journal-Id') || this.personalJournalId(user.id);
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (!this.journalRoleAllows(journal.role, requiredRole)) return this.journalRoleResponse(requiredRole, headers);
+
+        user.journal_id = journal.id;
+        user.journal_owner_id = journal.owner_id;
+        user.journal_role = journal.role;
+        return null;
+    },
+
+    normalizeJournal(row, userId) {
+        return {
+            id: row.id,
+            name: row.name,
+            personal: !!row.personal,
+            role: row.role,
+            isOwnerOfRecord: row.owner_id === userId,
+            memberCount: row.member_count,
+            createdAt: row.created_at
+        };
+    },
+
+    validateJournalName(value) {
+        const name = typeof value === 'string' ? value.trim() : '';
+        if (!name) return { error: 'required' };
+        if (name.length > MAX_JOURNAL_NAME_LENGTH) return { error: 'too_long' };
+        return { name };
+    },
+
+    async listJournals(env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT j.id, j.owner_id, j.name, j.personal, j.created_at, m.role,
+                (SELECT COUNT(*) FROM journal_members WHERE journal_id = j.id) AS member_count
+            FROM journal_members m JOIN journals j ON j.id = m.journal_id
+            WHERE m.user_id = ?
+            ORDER BY j.personal DESC, j.created_at
+        `).bind(user.id).all();
+        return new Response(JSON.stringify({ success: true, data: results.map(row => this.normalizeJournal(row, user.id)) }), { headers });
+    },
+
+    async createJournal(request, env, user, headers) {
+        if (!user.verified_at) return this.emailNotVerifiedResponse(headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const { name, error } = this.validateJournalName(body.name);
+        if (error) return this.validationErrorResponse({ name: error }, headers);
+
+        const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM journals WHERE owner_id = ?').bind(user.id).first();
+        if (count >= MAX_JOURNALS_PER_USER) {
+            return new Response(JSON.stringify({ error: `At most ${MAX_JOURNALS_PER_USER} journals per account`, code: 'TOO_MANY_JOURNALS' }), { status: 409, headers });
+        }
+
+        const id = crypto.randomUUID();
+        await env.DB.batch(this.createJournalStatements(env, id, user.id, name));
+        const journal = await this.getJournalMembership(env, id, user.id);
+        return new Response(JSON.stringify({ success: true, data: this.normalizeJournal({ ...journal, member_count: 1 }, user.id) }), { status: 201, headers });
+    },
+
+    async renameJournal(request, journalId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (journal.role !== 'owner') return this.journalRoleResponse('owner', headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        const { name, error } = this.validateJournalName(body.name);
+        if (error) return this.validationErrorResponse({ name: error }, headers);
+
+        await env.DB.prepare('UPDATE journals SET name = ? WHERE id = ?').bind(name, journalId).run();
+        return new Response(JSON.stringify({ success: true, name }), { headers });
+    },
+
+    // Only the owner of record can delete, and never the personal journal. Entries, attachments and
+    // revisions go through ON DELETE CASCADE; tombstones have no foreign key, so they are removed here.
+    async deleteJournal(journalId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (journal.owner_id !== user.id) {
+            return new Response(JSON.stringify({ error: 'Only the journal creator can delete it', code: 'JOURNAL_ROLE' }), { status: 403, headers });
+        }
+        if (journal.personal) {
+            return new Response(JSON.stringify({ error: 'The personal journal cannot be deleted', code: 'PERSONAL_JOURNAL' }), { status: 409, headers });
+        }
+
+        await env.DB.batch([
+            env.DB.prepare('DELETE FROM entry_tombstones WHERE journal_id = ?').bind(journalId),
+            env.DB.prepare('DELETE FROM journals WHERE id = ?').bind(journalId)
+        ]);
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    async listJournalMembers(journalId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+
+        const { results } = await env.DB.prepare(`
+            SELECT m.user_id, m.role, m.created_at, u.email, u.username
+            FROM journal_members m JOIN users u ON u.id = m.user_id
+            WHERE m.journal_id = ?
+            ORDER BY m.created_at
+        `).bind(journalId).all();
+
+        const data = results.map(row => ({
+            userId: row.user_id,
+            email: row.email,
+            username: row.username,
+            role: row.role,
+            isOwnerOfRecord: row.user_id === journal.owner_id,
+            joinedAt: row.created_at
+        }));
+        return new Response(JSON.stringify({ success: true, role: journal.role, data }), { headers });
+    },
+
+    // Adds an existing account by email or username; there is no pending-invite state
+    async addJournalMember(request, journalId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (journal.role !== 'owner') return this.journalRoleResponse('owner', headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const errors = {};
+        const login = typeof body.login === 'string' ? body.login.trim() : '';
+        if (!login) errors.login = 'required';
+        const role = body.role === undefined ? 'viewer' : body.role;
+        if (!JOURNAL_ROLES.includes(role)) errors.role = 'invalid_value';
+        if (Object.keys(errors).length) return this.validationErrorResponse(errors, headers);
+
+        const member = login.includes('@')
+            ? await env.DB.prepare('SELECT id, email, username FROM users WHERE email = ? AND delete_after IS NULL').bind(login.toLowerCase()).first()
+            : await env.DB.prepare('SELECT id, email, username FROM users WHERE username = ? AND delete_after IS NULL').bind(login).first();
+        if (!member) return new Response(JSON.stringify({ error: 'No account with that email or username', code: 'USER_NOT_FOUND' }), { status: 404, headers });
+
+        const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM journal_members WHERE journal_id = ?').bind(journalId).first();
+        if (count >= MAX_JOURNAL_MEMBERS) {
+            return new Response(JSON.stringify({ error: `At most ${MAX_JOURNAL_MEMBERS} members per journal`, code: 'TOO_MANY_MEMBERS' }), { status: 409, headers });
+        }
+
+        const now = Date.now();
+        const result = await env.DB.prepare('INSERT OR IGNORE INTO journal_members (journal_id, user_id, role, created_at) VALUES (?, ?, ?, ?)')
+            .bind(journalId, member.id, role, now).run();
+        if (!result.meta.changes) {
+            return new Response(JSON.stringify({ error: 'Already a member of this journal', code: 'ALREADY_MEMBER' }), { status: 409, headers });
+        }
+        await this.logAudit(request, env, user.id, 'journal_member_added', 'success', { journalId, memberId: member.id, role });
+
+        return new Response(JSON.stringify({
+            success: true,
+            data: { userId: member.id, email: member.email, username: member.username, role, isOwnerOfRecord: false, joinedAt: now }
+        }), { status: 201, headers });
+    },
+
+    // The owner of record always stays an owner, so a journal can't be left without one
+    async updateJournalMember(request, journalId, memberId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (journal.role !== 'owner') return this.journalRoleResponse('owner', headers);
+        if (memberId === journal.owner_id) {
+            return new Response(JSON.stringify({ error: 'The journal creator is always an owner', code: 'JOURNAL_CREATOR' }), { status: 409, headers });
+        }
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        if (!JOURNAL_ROLES.includes(body.role)) return this.validationErrorResponse({ role: body.role === undefined ? 'required' : 'invalid_value' }, headers);
+
+        const statements = [env.DB.prepare('UPDATE journal_members SET role = ? WHERE journal_id = ? AND user_id = ?').bind(body.role, journalId, memberId)];
+        // Viewers can't share: links the member created while they could stop working with the demotion
+        if (!this.journalRoleAllows(body.role, 'editor')) statements.push(this.revokeMemberShareLinksStatement(env, journalId, memberId));
+        const [result] = await env.DB.batch(statements);
+        if (!result.meta.changes) return new Response(JSON.stringify({ error: 'Member not found' }), { status: 404, headers });
+        return new Response(JSON.stringify({ success: true, role: body.role }), { headers });
+    },
+
+    // Revokes the still-active share links a member created in a journal (on removal or demotion to viewer)
+    revokeMemberShareLinksStatement(env, journalId, memberId) {
+        return env.DB.prepare('UPDATE share_links SET revoked_at = ? WHERE journal_id = ? AND user_id = ? AND revoked_at IS NULL')
+            .bind(Date.now(), journalId, memberId);
+    },
+
+    // Owners remove anyone but the owner of record; any member may remove themselves (leave)
+    async removeJournalMember(request, journalId, memberId, env, user, headers) {
+        const journal = await this.getJournalMembership(env, journalId, user.id);
+        if (!journal) return this.journalNotFoundResponse(headers);
+        if (memberId !== user.id && journal.role !== 'owner') {
+            return this.journalRoleResponse('owner', headers);
+        }
+        if (memberId === journal.owner_id) {
+            return new Response(JSON.stringify({ error: 'The journal creator cannot be removed', code: 'JOURNAL_CREATOR' }), { status: 409, headers });
+        }
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare('DELETE FROM journal_members WHERE journal_id = ? AND user_id = ?').bind(journalId, memberId),
+            this.revokeMemberShareLinksStatement(env, journalId, memberId)
+        ]);
+        if (!result.meta.changes) return new Response(JSON.stringify({ error: 'Member not found' }), { status: 404, headers });
+        await this.logAudit(request, env, user.id, 'journal_member_removed', 'success', { journalId, memberId, left: memberId === user.id });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // --- ACCOUNT DELETION & EXPORT ---
+
+    getAccountDeletionGraceDays(env) {
+        const days = parseInt(env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+        return Number.isInteger(days) && days > 0 ? days : DEFAULT_ACCOUNT_DELETION_GRACE_DAYS;
+    },
+
+    // Re-authenticates (password, plus a code when 2FA is on), signs out every device and schedules the
+    // delete. purgeExpired removes the user row once delete_after passes; ON DELETE CASCADE does the rest.
+    async scheduleAccountDeletion(request, env, ctx, user, headers) {
+        const body = await this.readJson(request);
+        const { password, code } = this.isPlainObject(body) ? body : {};
+        if (!(await this.verifyPassword(String(password || ''), user.password_hash))) {
+            await this.logAudit(request, env, user.id, 'account_deletion_scheduled', 'failure', { reason: 'password' });
+            return new Response(JSON.stringify({ error: 'Current password is incorrect' }), { status: 403, headers });
+        }
+        if (user.totp_enabled && !(await this.verifySecondFactor(env, user, code))) {
+            await this.logAudit(request, env, user.id, 'account_deletion_scheduled', 'failure', { reason: 'second_factor' });
+            return new Response(JSON.stringify({ error: 'Invalid code', code: 'INVALID_CODE' }), { status: 403, headers });
+        }
+
+        const deleteAfter = Date.now() + this.getAccountDeletionGraceDays(env) * 24 * 60 * 60 * 1000;
+        await env.DB.batch([
+            env.DB.prepare('UPDATE users SET delete_after = ?, token_version = IFNULL(token_version, 1) + 1 WHERE id = ?').bind(deleteAfter, user.id),
+            this.revokeSessions(env, user.id)
+        ]);
+        await this.logAudit(request, env, user.id, 'account_deletion_scheduled', 'success', { deleteAfter });
+
+        const date = new Date(deleteAfter).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+        ctx.waitUntil(this.sendMail(env, {
+            to: user.email,
+            subject: 'Akun JournalFinance akan dihapus',
+            text: `Akun ini beserta semua catatan dan lampirannya akan dihapus permanen pada ${date}.\n\nBerubah pikiran? Cukup masuk kembali sebelum tanggal itu dan penghapusan dibatalkan.`
+        }).catch(e => console.error('Deletion mail failed:', e.message)));
+
+        return new Response(JSON.stringify({ success: true, deleteAfter }), { headers });
+    },
+
+    // Everything stored for the account as one JSON download. Entries and images use the backup format
+    // (version 2), so the file can be restored into another account. Streamed: images are read and
+    // written one at a time instead of holding the whole export in memory.
+    async exportAccount(env, ctx, user, headers) {
+        const { results: rows } = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE user_id = ? ORDER BY date DESC`).bind(user.id).all();
+        const { results: sessions } = await env.DB.prepare('SELECT device_label, user_agent, ip, created_at, last_seen_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY created_at').bind(user.id).all();
+        const { results: auditEvents } = await env.DB.prepare('SELECT event, outcome, ip, user_agent, detail, created_at FROM audit_events WHERE user_id = ? ORDER BY id').bind(user.id).all();
+        const { results: images } = await env.DB.prepare('SELECT id, entry_id, hash, caption, position FROM entry_attachments WHERE user_id = ? ORDER BY entry_id, position, created_at').bind(user.id).all();
+
+        // Entries span every journal the user owns, so attachment metadata comes from the same rows as
+        // "images" below instead of withAttachmentMeta (which reads one journal)
+        const attachmentsByEntry = new Map();
+        for (const { entry_id, ...att } of images) {
+            if (!attachmentsByEntry.has(entry_id)) attachmentsByEntry.set(entry_id, []);
+            attachmentsByEntry.get(entry_id).push({ ...att, caption: att.caption || '' });
+        }
+        const all = rows.map(e => ({ ...this.normalizeEntry(e), attachments: attachmentsByEntry.get(e.id) || [] }));
+        const { results: legacyImages } = await env.DB.prepare('SELECT id FROM entries WHERE user_id = ? AND image_data IS NOT NULL').bind(user.id).all();
+
+        const head = {
+            version: 2,
+            timestamp: new Date().toISOString(),
+            account: { ...this.publicUser(user), createdAt: user.created_at },
+            entries: all.filter(e => !e.deleted_at),
+            trash: all.filter(e => e.deleted_at),
+            sessions,
+            auditEvents
+        };
+
+        const encoder = new TextEncoder();
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+
+        ctx.waitUntil((async () => {
+            try {
+                // Open the object, leaving "images" last so it can be streamed
+                await writer.write(encoder.encode(JSON.stringify(head).slice(0, -1) + ',"images":['));
+                let first = true;
+                const writeImage = async (image) => {
+                    await writer.write(encoder.encode((first ? '' : ',') + JSON.stringify(image)));
+                    first = false;
+                };
+
+                for (const image of images) {
+                    const attachment = await env.DB.prepare('SELECT mime_type, data FROM attachments WHERE hash = ?').bind(image.hash).first();
+                    if (!attachment) continue;
+                    const data = `data:${attachment.mime_type};base64,${this.bytesToBase64(new Uint8Array(attachment.data))}`;
+                    await writeImage({ entryId: image.entry_id, data, caption: image.caption || '', position: image.position });
+                }
+                // Not yet converted to the attachments store
+                for (const { id } of legacyImages) {
+                    const row = await env.DB.prepare('SELECT image_data FROM entries WHERE id = ? AND user_id = ?').bind(id, user.id).first();
+                    if (row && row.image_data) await writeImage({ entryId: id, data: row.image_data, position: 0 });
+                }
+
+                await writer.write(encoder.encode(']}'));
+                await writer.close();
+            } catch (e) {
+                console.error('Export failed:', e);
+                await writer.abort(e);
+            }
+        })());
+
+        const filename = `JournalFinance_export_${new Date().toISOString().slice(0, 10)}.json`;
+        return new Response(readable, {
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    },
+
+    // --- TWO-FACTOR AUTHENTICATION (TOTP + recovery codes) ---
+
+    // Step 1: new (pending) secret. Nothing changes for login until /enable confirms a code.
+    async setupTwoFactor(env, user, headers) {
+        if (user.totp_enabled) return new Response(JSON.stringify({ error: '2FA is already enabled' }), { status: 409, headers });
+
+        const secret = this.base32Encode(crypto.getRandomValues(new Uint8Array(TOTP_SECRET_BYTES)));
+        await env.DB.prepare('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?').bind(secret, user.id).run();
+
+        const label = encodeURIComponent(`${TOTP_ISSUER}:${user.email}`);
+        const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+        return new Response(JSON.stringify({ success: true, secret, otpauthUri }), { headers });
+    },
+
+    // Step 2: prove the authenticator works, then 2FA is on and recovery codes are shown once
+    async enableTwoFactor(request, env, user, headers) {
+        if (user.totp_enabled) return new Response(JSON.stringify({ error: '2FA is already enabled' }), { status: 409, headers });
+        if (!user.totp_secret) return new Response(JSON.stringify({ error: 'Start 2FA setup first' }), { status: 400, headers });
+
+        const body = await this.readJson(request);
+        const code = this.isPlainObject(body) ? body.code : null;
+        if (!(await this.verifyTotp(env, user, code))) {
+            return new Response(JSON.stringify({ error: 'Invalid code', code: 'INVALID_CODE' }), { status: 400, headers });
+        }
+
+        const { codes, statements } = await this.generateRecoveryCodes(env, user.id);
+        await env.DB.batch([
+            env.DB.prepare('UPDATE users SET totp_enabled = 1 WHERE id = ?').bind(user.id),
+            ...statements
+        ]);
+        await this.logAudit(request, env, user.id, 'two_factor_enabled');
+        return new Response(JSON.stringify({ success: true, recoveryCodes: codes }), { headers });
+    },
+
+    // Needs the password and a current code (or a recovery code)
+    async disableTwoFactor(request, env, user, headers) {
+        if (!user.totp_enabled) return new Response(JSON.stringify({ error: '2FA is not enabled' }), { status: 400, headers });
+
+        const body = await this.readJson(request);
+        const { password, code } = this.isPlainObject(body) ? body : {};
+        if (!(await this.verifyPassword(String(password || ''), user.password_hash))) {
+            await this.logAudit(request, env, user.id, 'two_factor_disabled', 'failure', { reason: 'password' });
+            return new Response(JSON.stringify({ error: 'Current password is incorrect' }), { status: 403, headers });
+        }
+        if (!(await this.verifySecondFactor(env, user, code))) {
+            await this.logAudit(request, env, user.id, 'two_factor_disabled', 'failure', { reason: 'second_factor' });
+            return new Response(JSON.stringify({ error: 'Invalid code', code: 'INVALID_CODE' }), { status: 403, headers });
+        }
+
+        await env.DB.batch([
+            env.DB.prepare('UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?').bind(user.id),
+            env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(user.id)
+        ]);
+        await this.logAudit(request, env, user.id, 'two_factor_disabled');
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // 6 digits -> TOTP, anything else -> recovery code. Returns 'totp' / 'recovery' or null.
+    async verifySecondFactor(env, user, code) {
+        if (typeof code !== 'string') return null;
+        const trimmed = code.replace(/\s/g, '');
+        if (/^\d+$/.test(trimmed)) return (await this.verifyTotp(env, user, trimmed)) ? 'totp' : null;
+        return (await this.useRecoveryCode(env, user.id, trimmed)) ? 'recovery' : null;
+    },
+
+    // Accepts the current step ±1, each step only once (totp_last_step blocks replays)
+    async verifyTotp(env, user, code) {
+        if (typeof code !== 'string' || code.length !== TOTP_DIGITS || !/^\d+$/.test(code) || !user.totp_secret) return false;
+
+        const secret = this.base32Decode(user.totp_secret);
+        const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+        for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+            if (user.totp_last_step !== null && user.totp_last_step !== undefined && step <= user.totp_last_step) continue;
+            if (!this.timingSafeEqual(await this.totpCode(secret, step), code)) continue;
+
+            const claimed = await env.DB.prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)')
+                .bind(step, user.id, step).run();
+            return claimed.meta.changes > 0;
+        }
+        return false;
+    },
+
+    async totpCode(secretBytes, step) {
+        const counter = new Uint8Array(8);
+        new DataView(counter.buffer).setUint32(4, step); // Steps fit in 32 bits until 6053
+        const key = await crypto.subtle.importKey('raw', secretBytes, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+        // Dynamic truncation (RFC 4226 §5.3)
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+        return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+    },
+
+    // xxxx-xxxx codes without look-alike characters; only their SHA-256 is stored
+    async generateRecoveryCodes(env, userId) {
+        const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+        const codes = [];
+        const statements = [env.DB.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId)];
+        for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            const chars = Array.from(crypto.getRandomValues(new Uint8Array(8)), b => alphabet[b % alphabet.length]).join('');
+            const code = `${chars.slice(0, 4)}-${chars.slice(4)}`;
+            codes.push(code);
+            statements.push(env.DB.prepare('INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)')
+                .bind(userId, await this.hashRecoveryCode(code), Date.now()));
+        }
+        return { codes, statements };
+    },
+
+    hashRecoveryCode(code) {
+        return this.sha256Hex(new TextEncoder().encode(code.toLowerCase().replace(/[^a-z0-9]/g, '')));
+    },
+
+    async useRecoveryCode(env, userId, code) {
+        if (!code || code.length > 32) return false;
+        const result = await env.DB.prepare('UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL')
+            .bind(Date.now(), userId, await this.hashRecoveryCode(code)).run();
+        return result.meta.changes > 0;
+    },
+
+    async countRecoveryCodes(env, userId) {
+        const row = await env.DB.prepare('SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').bind(userId).first();
+        return row.count;
+    },
+
+    base32Encode(bytes) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0, value = 0, output = '';
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += alphabet[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) output += alphabet[(value << (5 - bits)) & 31];
+        return output;
+    },
+
+    base32Decode(text) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        let bits = 0, value = 0;
+        const output = [];
+        for (const char of text.toUpperCase().replace(/=+$/, '')) {
+            value = (value << 5) | alphabet.indexOf(char);
+            bits += 5;
+            if (bits >= 8) {
+                output.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(output);
+    },
+
+    // --- PASSWORD RESET ---
+
+    async forgotPassword(request, url, env, ctx, headers) {
+        const body = await this.readJson(request);
+        const email = this.isPlainObject(body) && typeof body.email === 'string' ? body.email.toLowerCase().trim() : '';
+        if (!email) return new Response(JSON.stringify({ error: 'Email required' }), { status: 400, headers });
+
+        // Same answer whether or not the account exists (no email enumeration)
+        const response = new Response(JSON.stringify({ success: true, message: 'If the email is registered, a reset link has been sent' }), { headers });
+
+        // Only to addresses the owner has confirmed; otherwise whoever typed it at signup could take the account
+        const user = await env.DB.prepare('SELECT id, email FROM users WHERE email = ? AND verified_at IS NOT NULL').bind(email).first();
+        if (!user) return response;
+
+        const token = this.randomToken();
+        // One outstanding link per account: requesting again invalidates the previous one
+        await env.DB.prepare('INSERT OR REPLACE INTO reset_tokens (email, token, expires_at) VALUES (?, ?, ?)')
+            .bind(user.email, await this.sha256Hex(new TextEncoder().encode(token)), Date.now() + RESET_TOKEN_TTL_MS).run();
+
+        // Link goes to the configured app, never to a client-supplied URL
+        await this.logAudit(request, env, user.id, 'password_reset_requested');
+
+        const link = `${env.APP_URL || url.origin}/reset-password.html#token=${token}`;
+        ctx.waitUntil(this.sendMail(env, {
+            to: user.email,
+            subject: 'Reset password JournalFinance',
+            text: `Seseorang meminta reset password untuk akun ini.\n\nBuka tautan berikut dalam 1 jam untuk membuat password baru:\n${link}\n\nAbaikan email ini jika Anda tidak memintanya.`
+        }).catch(e => console.error('Reset mail failed:', e.message)));
+
+        return response;
+    },
+
+    async resetPassword(request, env, headers) {
+        const body = await this.readJson(request);
+        const { token, password } = this.isPlainObject(body) ? body : {};
+        if (typeof token !== 'string' || !token) return new Response(JSON.stringify({ error: 'Invalid or expired reset link' }), { status: 400, headers });
+
+        const passwordError = this.checkPasswordStrength(password);
+        if (passwordError) return new Response(JSON.stringify({ error: passwordError }), { status: 400, headers });
+
+        const tokenHash = await this.sha256Hex(new TextEncoder().encode(token));
+        const passwordHash = await this.hashPassword(password);
+        const owner = await env.DB.prepare('SELECT u.id FROM users u JOIN reset_tokens t ON t.email = u.email WHERE t.token = ? AND t.expires_at > ?')
+            .bind(tokenHash, Date.now()).first();
+
+        // Consume the token and change the password in one go; bumping token_version signs out every session.
+        // Two concurrent requests with the same token: only the first finds the row.
+        const results = await env.DB.batch([
+            env.DB.prepare(`
+                UPDATE users SET password_hash = ?, token_version = IFNULL(token_version, 1) + 1
+                WHERE email = (SELECT email FROM reset_tokens WHERE token = ? AND expires_at > ?)
+            `).bind(passwordHash, tokenHash, Date.now()),
+            env.DB.prepare(`
+                UPDATE sessions SET revoked_at = ?
+                WHERE revoked_at IS NULL AND user_id = (SELECT id FROM users WHERE email = (SELECT email FROM reset_tokens WHERE token = ? AND expires_at > ?))
+            `).bind(Date.now(), tokenHash, Date.now()),
+            env.DB.prepare('DELETE FROM reset_tokens WHERE token = ?').bind(tokenHash)
+        ]);
+
+        if (results[0].meta.changes === 0) {
+            return new Response(JSON.stringify({ error: 'Invalid or expired reset link' }), { status: 400, headers });
+        }
+        if (owner) await this.logAudit(request, env, owner.id, 'password_reset');
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // --- Email verification ---
+
+    async sendVerificationEmail(url, env, ctx, user) {
+        if (!env.JWT_SECRET) throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+        const token = await this.signToken({ id: user.id, email: user.email, purpose: 'verify-email' }, env.JWT_SECRET, VERIFY_EMAIL_TOKEN_TTL_SECONDS);
+        await env.DB.prepare('UPDATE users SET verification_sent_at = ? WHERE id = ?').bind(Date.now(), user.id).run();
+
+        const link = `${env.APP_URL || url.origin}/verify-email.html#token=${token}`;
+        ctx.waitUntil(this.sendMail(env, {
+            to: user.email,
+            subject: 'Verifikasi email JournalFinance',
+            text: `Konfirmasi bahwa alamat ini milik Anda dengan membuka tautan berikut dalam 24 jam:\n${link}\n\nAbaikan email ini jika Anda tidak mendaftar di JournalFinance.`
+        }).catch(e => console.error('Verification mail failed:', e.message)));
+    },
+
+    async resendVerification(url, env, ctx, user, headers) {
+        if (user.verified_at) return new Response(JSON.stringify({ error: 'Email already verified', code: 'ALREADY_VERIFIED' }), { status: 409, headers });
+
+        const wait = (user.verification_sent_at || 0) + VERIFY_EMAIL_RESEND_COOLDOWN_MS - Date.now();
+        if (wait > 0) {
+            const retryAfter = Math.ceil(wait / 1000);
+            return new Response(JSON.stringify({ error: 'Verification email sent recently', code: 'RESEND_TOO_SOON', retryAfter }), {
+                status: 429,
+                headers: { ...headers, 'Retry-After': String(retryAfter) }
+            });
+        }
+
+        await this.sendVerificationEmail(url, env, ctx, user);
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // Public: the link may be opened on a device that isn't signed in
+    async verifyEmail(request, env, headers) {
+        const body = await this.readJson(request);
+        const token = this.isPlainObject(body) ? body.token : null;
+        const invalid = () => new Response(JSON.stringify({ error: 'Invalid or expired verification link', code: 'INVALID_LINK' }), { status: 400, headers });
+        if (typeof token !== 'string' || !token) return invalid();
+
+        let payload;
+        try {
+            payload = await this.verifyToken(token, env.JWT_SECRET);
+        } catch (e) {
+            return invalid();
+        }
+        if (payload.purpose !== 'verify-email') return invalid();
+
+        // Bound to the address: a link for an email the account no longer uses is dead
+        const result = await env.DB.prepare('UPDATE users SET verified_at = IFNULL(verified_at, ?) WHERE id = ? AND email = ?')
+            .bind(Date.now(), payload.id, payload.email).run();
+        if (!result.meta.changes) return invalid();
+
+        await this.logAudit(request, env, payload.id, 'email_verified', 'success', { email: payload.email });
+        return new Response(JSON.stringify({ success: true, email: payload.email }), { headers });
+    },
+
+    emailNotVerifiedResponse(headers) {
+        return new Response(JSON.stringify({ error: 'Verify your email address first', code: 'EMAIL_NOT_VERIFIED' }), { status: 403, headers });
+    },
+
+    async sendMail(env, message) {
+        const sender = MAIL_SENDERS[env.MAIL_SENDER || 'log'];
+        if (!sender) throw new Error(`CONFIG ERROR: unknown MAIL_SENDER "${env.MAIL_SENDER}"`);
+        await sender(env, message);
+    },
+
+    // URL-safe random secret (256 bits)
+    randomToken() {
+        return this.bytesToBase64(crypto.getRandomValues(new Uint8Array(32))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    async syncData(request, env, ctx, user, headers) {
+        const body = await this.readJson(request);
+        if (body === undefined) return this.invalidJsonResponse(headers);
+        if (!this.isPlainObject(body) || (body.entries !== undefined && !Array.isArray(body.entries))) {
+            return this.validationErrorResponse({ entries: 'invalid_type' }, headers);
+        }
+
+        // All-or-nothing: one bad entry rejects the batch, with errors per entry index
+        const { entries } = body;
+        if (entries) {
+            const invalidEntries = [];
+            entries.forEach((e, index) => {
+                const fields = this.validateEntry(e);
+                if (fields) invalidEntries.push({ index, id: this.isPlainObject(e) ? e.id : undefined, fields });
+            });
+            if (invalidEntries.length > 0) {
+                return new Response(JSON.stringify({
+                    error: 'Validation failed',
+                    code: 'VALIDATION_FAILED',
+                    entries: invalidEntries.slice(0, 50)
+                }), { status: 400, headers });
+            }
+        }
+
+        let attachmentsSkipped = 0;
+        const synced = [];
+        // Entries not written, [{ id, code }]: CONFLICT (entry.version is stale) or ID_TAKEN (the id belongs to
+        // an entry in another journal; ids are global)
+        const rejected = [];
+        if (entries && Array.isArray(entries) && entries.length > 0) {
+            // Prepare Statements
+            // 1. Insert new ids
+            const insertStmt = env.DB.prepare(`
+                INSERT OR IGNORE INTO entries (id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, timestamp, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            // 2. Update ONLY if it belongs to this journal and, when the entry carries a version, is still that version
+            const updateStmt = env.DB.prepare(`
+                UPDATE entries SET
+                date=?, title=?, type=?, amount=?, reason=?, 
+                highlight=?, pinned=?, timestamp=?, updated_at=?, author_id=?, version = version + 1
+                WHERE id = ? AND journal_id = ? AND (? IS NULL OR version = ?)
+            `);
+
+            // Where each id lives now: this journal (update), another journal (taken) or nowhere (insert)
+            const { results: found } = await env.DB.prepare('SELECT id, journal_id, version FROM entries WHERE id IN (SELECT value FROM json_each(?))')
+                .bind(JSON.stringify(entries.map(e => e.id))).all();
+            const existing = new Map(found.map(row => [row.id, row]));
+
+            // Also marks the rows this sync wrote: attachment and tombstone statements only apply to those
+            const updatedAt = Date.now();
+            let batchStmts = [];
+            // Entry writes in batchStmts ({ id, index, code if it matched nothing }), checked once the batch ran
+            let writes = [];
+            const flush = async () => {
+                const results = await env.DB.batch(batchStmts);
+                for (const { id, index, code } of writes) {
+                    if (results[index].meta.changes) synced.push(id);
+                    else rejected.push({ id, code });
+                }
+                batchStmts = [];
+                writes = [];
+            };
+
+            for (const e of entries) {
+                const amount = e.amount || 0;
+                const reason = e.reason || '';
+                const highlight = e.highlight ? 1 : 0;
+                const pinned = e.pinned ? 1 : 0;
+                const expectedVersion = Number.isInteger(e.version) ? e.version : null;
+                const row = existing.get(e.id);
+
+                if (row && row.journal_id !== user.journal_id) {
+                    rejected.push({ id: e.id, code: 'ID_TAKEN' });
+                    continue;
+                }
+                if (row && expectedVersion !== null && row.version !== expectedVersion) {
+                    rejected.push({ id: e.id, code: 'CONFLICT' });
+                    continue;
+                }
+
+                if (row) {
+                    // Push Revision (previous version) + Update; the guard is repeated in SQL for a save racing this batch
+                    batchStmts.push(this.revisionStatement(env, e.id, user.journal_id, e, expectedVersion));
+                    writes.push({ id: e.id, index: batchStmts.length, code: 'CONFLICT' });
+                    batchStmts.push(updateStmt.bind(
+                        e.date, e.title, e.type, amount, reason,
+                        highlight, pinned, e.timestamp, updatedAt, user.id,
+                        e.id, user.journal_id, expectedVersion, expectedVersion
+                    ));
+                } else {
+                    // Ignored only if the id was taken between the lookup above and this batch
+                    writes.push({ id: e.id, index: batchStmts.length, code: 'ID_TAKEN' });
+                    batchStmts.push(insertStmt.bind(
+                        e.id, user.journal_owner_id, user.journal_id, user.id, e.date, e.title, e.type,
+                        amount, reason, highlight, pinned, e.timestamp, updatedAt
+                    ));
+                }
+                // The same id later in this request updates the row just written
+                existing.set(e.id, { journal_id: user.journal_id, version: row ? row.version + 1 : 1 });
+
+                // A re-created ID must not be reported as deleted anymore
+                batchStmts.push(env.DB.prepare(`
+                    DELETE FROM entry_tombstones WHERE id = ? AND journal_id = ?
+                    AND EXISTS (SELECT 1 FROM entries WHERE id = ? AND journal_id = ? AND updated_at = ?)
+                `).bind(e.id, user.journal_id, e.id, user.journal_id, updatedAt));
+
+                // Images go to the attachments store; unreadable legacy images are skipped, not fatal
+                let images = [];
+                if (Array.isArray(e.attachments)) images = e.attachments;
+                else if (typeof e.imageData === 'string' && e.imageData) images = [{ imageData: e.imageData }];
+
+                // Unverified accounts: text only, attachments already stored are left alone
+                if (user.verified_at || !images.length) {
+                    const replaced = await this.prepareAttachmentReplace(env, e.id, user.journal_id, images, { skipInvalid: true, savedAt: updatedAt, authorId: user.id });
+                    batchStmts.push(...replaced.statements);
+                } else {
+                    attachmentsSkipped++;
+                }
+
+                // Execute in chunks (D1 limit is usually high, but safe practice).
+                // Flushed per entry so attachments and their entry always land in the same batch.
+                if (batchStmts.length >= 100) await flush();
+            }
+
+            if (batchStmts.length > 0) await flush();
+        }
+
+        // Fetch fresh data (METADATA ONLY) to prevent huge payload crash
+        // Client can fetch images lazily
+        const { results } = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE journal_id = ? AND deleted_at IS NULL ORDER BY date DESC`).bind(user.journal_id).all();
+
+        const normalized = results.map(e => ({
+            ...this.normalizeEntry(e),
+            imageData: null // Explicitly null to indicate need for fetch if hasImage=true
+        }));
+
+        if (synced.length > 0) {
+            await this.queueWebhookEvent(env, ctx, user.journal_id, 'data.synced', {
+                count: synced.length,
+                ids: synced.slice(0, MAX_WEBHOOK_SYNC_IDS)
+            });
+        }
+
+        return new Response(JSON.stringify({
+            success: true,
+            entries: normalized,
+            ...(rejected.length ? { rejected } : {}),
+            ...(attachmentsSkipped ? { attachmentsSkipped } : {})
+        }), { headers });
+    },
+
+    async resetData(request, env, ctx, user, headers) {
+        try {
+            // Move everything to Trash; other devices see them as deleted on their next delta pull
+            const now = Date.now();
+            const result = await env.DB.prepare('UPDATE entries SET deleted_at = ?, updated_at = ? WHERE journal_id = ? AND deleted_at IS NULL').bind(now, now, user.journal_id).run();
+            await this.logAudit(request, env, user.id, 'data_reset', 'success', { entries: result.meta.changes, journalId: user.journal_id });
+            await this.queueWebhookEvent(env, ctx, user.journal_id, 'data.reset', { trashed: result.meta.changes });
+            return new Response(JSON.stringify({ success: true, message: 'Cloud data moved to trash' }), { headers });
+        } catch (e) {
+            return new Response(JSON.stringify({ error: e.message }), { status: 500, headers });
+        }
+    },
+
+    // --- DELTA SYNC ---
+
+    async listEntries(url, env, user, headers) {
+        // Delta sync (?since) takes precedence over paging
+        if (!url.searchParams.has('since') && PAGE_QUERY_PARAMS.some(p => url.searchParams.has(p))) {
+            return await this.listEntryPage(url.searchParams, env, user, headers);
+        }
+
+        const now = Date.now();
+        const sinceParam = url.searchParams.get('since');
+        const since = sinceParam === null ? null : Number(sinceParam);
+
+        if (since !== null && (!Number.isInteger(since) || since < 0)) {
+            return new Response(JSON.stringify({ error: 'Invalid since cursor' }), { status: 400, headers });
+        }
+
+        const cursor = now - DELTA_SYNC_OVERLAP_MS;
+
+        // Full snapshot: first load, or cursor older than the tombstone retention window
+        if (since === null || since < now - TOMBSTONE_TTL_MS) {
+            const { results } = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE journal_id = ? AND deleted_at IS NULL ORDER BY date DESC, timestamp DESC`).bind(user.journal_id).all();
+            return new Response(JSON.stringify({
+                success: true,
+                full: true,
+                data: await this.withAttachmentMeta(env, user.journal_id, results.map(e => this.normalizeEntry(e))),
+                deleted: [],
+                cursor
+            }), { headers });
+        }
+
+        const [changed, removed] = await env.DB.batch([
+            env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE journal_id = ? AND updated_at > ? ORDER BY date DESC, timestamp DESC`).bind(user.journal_id, since),
+            env.DB.prepare('SELECT id FROM entry_tombstones WHERE journal_id = ? AND deleted_at > ?').bind(user.journal_id, since)
+        ]);
+
+        // Entries moved to Trash since the cursor are reported as deleted too
+        const live = changed.results.filter(e => e.deleted_at === null);
+        const trashed = changed.results.filter(e => e.deleted_at !== null).map(e => e.id);
+
+        return new Response(JSON.stringify({
+            success: true,
+            full: false,
+            data: await this.withAttachmentMeta(env, user.journal_id, live.map(e => this.normalizeEntry(e))),
+            deleted: removed.results.map(t => t.id).concat(trashed),
+            cursor
+        }), { headers });
+    },
+
+    // --- PAGED LISTING (Server-side Filter + Keyset Pagination) ---
+
+    // type / from / to / q / pinned / highlight -> SQL conditions on entries. Shared with the saved filters
+    // of share links. Returns { error } for a malformed value.
+    entryFilterClauses(params) {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const flag = (name) => {
+            const v = params.get(name);
+            if (v === null || v === '') return null;
+            if (v === '1' || v === 'true') return 1;
+            if (v === '0' || v === 'false') return 0;
+            return undefined;
+        };
+        const where = [];
+        const args = [];
+
+        const type = params.get('type');
+        if (type) { where.push('type = ?'); args.push(type); }
+
+        const from = params.get('from');
+        if (from) {
+            if (!datePattern.test(from)) return { error: 'Invalid from date' };
+            where.push('date >= ?'); args.push(from);
+        }
+
+        const to = params.get('to');
+        if (to) {
+            if (!datePattern.test(to)) return { error: 'Invalid to date' };
+            where.push('date <= ?'); args.push(to);
+        }
+
+        const q = (params.get('q') || '').trim();
+        if (q) {
+            const like = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+            where.push("(title LIKE ? ESCAPE '\\' OR reason LIKE ? ESCAPE '\\')");
+            args.push(like, like);
+        }
+
+        for (const name of ['pinned', 'highlight']) {
+            const value = flag(name);
+            if (value === undefined) return { error: `Invalid ${name} flag` };
+            if (value !== null) { where.push(`COALESCE(${name}, 0) = ?`); args.push(value); }
+        }
+
+        return { where, args };
+    },
+
+    async listEntryPage(params, env, user, headers) {
+        const bad = (error) => new Response(JSON.stringify({ error }), { status: 400, headers });
+
+        const sortKey = params.get('sort') || 'date_desc';
+        const keys = ENTRY_SORTS[sortKey];
+        if (!keys) return bad('Invalid sort');
+
+        const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return bad(`limit must be 1-${MAX_PAGE_SIZE}`);
+
+        const filter = this.entryFilterClauses(params);
+        if (filter.error) return bad(filter.error);
+        const where = ['journal_id = ?', 'deleted_at IS NULL', ...filter.where];
+        const args = [user.journal_id, ...filter.args];
+
+        // Totals only on the first page, so scrolling doesn't re-count every time
+        const cursorParam = params.get('cursor');
+        let totals = null;
+        if (!cursorParam) {
+            totals = await env.DB.prepare(`SELECT COUNT(*) AS total, COALESCE(SUM(has_image), 0) AS images FROM entries WHERE ${where.join(' AND ')}`).bind(...args).first();
+        }
+
+        if (cursorParam) {
+            let values;
+            try {
+                values = JSON.parse(decodeURIComponent(atob(cursorParam)));
+            } catch (e) {
+                return bad('Invalid cursor');
+            }
+            // Values go straight into .bind(): only what a cursor we issued can hold
+            const isKeyValue = (v) => v === null || typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v));
+            if (!Array.isArray(values) || values.length !== keys.length || !values.every(isKeyValue)) return bad('Invalid cursor');
+
+            const keyset = this.buildKeysetClause(keys, values);
+            where.push(keyset.sql);
+            args.push(...keyset.args);
+        }
+
+        const orderBy = keys.map(k => `${k.expr} ${k.dir}`).join(', ');
+        const { results } = await env.DB.prepare(`
+            SELECT ${ENTRY_COLUMNS}, COALESCE(timestamp, 0) AS sort_ts, COALESCE(pinned, 0) AS sort_pinned
+            FROM entries WHERE ${where.join(' AND ')}
+            ORDER BY ${orderBy} LIMIT ?
+        `).bind(...args, limit + 1).all();
+
+        // One extra row tells us whether another page exists
+        const hasMore = results.length > limit;
+        const page = hasMore ? results.slice(0, limit) : results;
+        const last = page[page.length - 1];
+        const nextCursor = hasMore ? btoa(encodeURIComponent(JSON.stringify(keys.map(k => last[k.field])))) : null;
+
+        const data = await this.withAttachmentMeta(env, user.journal_id, page.map(({ sort_ts, sort_pinned, ...e }) => this.normalizeEntry(e)));
+
+        return new Response(JSON.stringify({
+            success: true,
+            data,
+            nextCursor,
+            total: totals ? totals.total : undefined,
+            images: totals ? totals.images : undefined
+        }), { headers });
+    },
+
+    // --- FULL-TEXT SEARCH (FTS5) ---
+
+    async searchEntries(url, env, user, headers) {
+        const params = url.searchParams;
+        const bad = (error) => new Response(JSON.stringify({ error }), { status: 400, headers });
+
+        const match = this.buildFtsQuery(params.get('q') || '');
+        if (!match) return bad('Search query required');
+
+        const limit = params.has('limit') ? Number(params.get('limit')) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return bad(`limit must be 1-${MAX_PAGE_SIZE}`);
+        const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+        if (!Number.isInteger(offset) || offset < 0) return bad('Invalid offset');
+
+        const where = ['entries_fts MATCH ?', 'e.journal_id = ?', 'e.deleted_at IS NULL'];
+        const args = [match, user.journal_id];
+
+        const type = params.get('type');
+        if (type) { where.push('e.type = ?'); args.push(type); }
+        for (const [name, op] of [['from', '>='], ['to', '<=']]) {
+            const value = params.get(name);
+            if (!value) continue;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return bad(`Invalid ${name} date`);
+            where.push(`e.date ${op} ?`); args.push(value);
+        }
+
+        const from = `FROM entries_fts JOIN entries e ON e.id = entries_fts.entry_id WHERE ${where.join(' AND ')}`;
+        const columns = ENTRY_COLUMNS.split(', ').map(c => `e.${c}`).join(', ');
+
+        let results, totals = null;
+        try {
+            // Matches are wrapped in \u0002 ... \u0003 so clients can escape text before marking it up
+            ({ results } = await env.DB.prepare(`
+                SELECT ${columns},
+                    highlight(entries_fts, 2, char(2), char(3)) AS hl_title,
+                    highlight(entries_fts, 3, char(2), char(3)) AS hl_reason,
+                    snippet(entries_fts, 3, char(2), char(3), '…', 16) AS snippet,
+                    bm25(entries_fts, 0.0, 0.0, 10.0, 1.0) AS rank
+                ${from}
+                ORDER BY rank, e.date DESC LIMIT ? OFFSET ?
+            `).bind(...args, limit + 1, offset).all());
+
+            if (offset === 0) {
+                totals = await env.DB.prepare(`SELECT COUNT(*) AS total ${from}`).bind(...args).first();
+            }
+        } catch (e) {
+            if (e.message.includes('fts5')) return bad('Invalid search query');
+            throw e;
+        }
+
+        const hasMore = results.length > limit;
+        const data = await this.withAttachmentMeta(env, user.journal_id, (hasMore ? results.slice(0, limit) : results).map(({ hl_title, hl_reason, snippet, rank, ...e }) => ({
+            ...this.normalizeEntry(e),
+            highlight: { title: hl_title, reason: hl_reason },
+            snippet,
+            rank
+        })));
+
+        return new Response(JSON.stringify({
+            success: true,
+            data,
+            nextOffset: hasMore ? offset + limit : null,
+            total: totals ? totals.total : undefined
+        }), { headers });
+    },
+
+    // User text -> safe FTS5 query: "quoted phrases" stay phrases, other words become prefix terms (AND-ed)
+    buildFtsQuery(input) {
+        const terms = [];
+        const hasWordChar = /[\p{L}\p{N}]/u;
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let m;
+
+        while ((m = pattern.exec(input.slice(0, 200))) !== null) {
+            if (m[1] !== undefined) {
+                if (hasWordChar.test(m[1])) terms.push(`"${m[1].trim()}"`);
+            } else {
+                const word = m[2].replace(/"/g, '');
+                if (hasWordChar.test(word)) terms.push(`"${word}"*`);
+            }
+        }
+
+        return terms.join(' ');
+    },
+
+    // (k1 < v1) OR (k1 = v1 AND k2 < v2) OR ... - flipped to > for ASC keys
+    buildKeysetClause(keys, values) {
+        const clauses = [];
+        const args = [];
+
+        keys.forEach((key, i) => {
+            const parts = [];
+            for (let j = 0; j < i; j++) {
+                parts.push(`${keys[j].expr} = ?`);
+                args.push(values[j]);
+            }
+            parts.push(`${key.expr} ${key.dir === 'DESC' ? '<' : '>'} ?`);
+            args.push(values[i]);
+            clauses.push(`(${parts.join(' AND ')})`);
+        });
+
+        return { sql: `(${clauses.join(' OR ')})`, args };
+    },
+
+    normalizeEntry(e) {
+        return {
+            ...e,
+            highlight: !!e.highlight,
+            pinned: !!e.pinned,
+            hasImage: !!e.has_image
+        };
+    },
+
+    // Adds `attachments` ([{ id, hash, caption, position }], no bytes) to listed entries in one query,
+    // so the list can render its thumbnail strips without a request per entry
+    async withAttachmentMeta(env, journalId, entries) {
+        const ids = entries.filter(e => e.attachment_count > 0).map(e => e.id);
+        const byEntry = new Map();
+
+        if (ids.length > 0) {
+            // json_each keeps this to 2 bound params however many entries are listed
+            const { results } = await env.DB.prepare(`
+                SELECT id, entry_id, hash, caption, position FROM entry_attachments
+                WHERE journal_id = ? AND entry_id IN (SELECT value FROM json_each(?))
+                ORDER BY position, created_at
+            `).bind(journalId, JSON.stringify(ids)).all();
+
+            for (const { entry_id, ...att } of results) {
+                if (!byEntry.has(entry_id)) byEntry.set(entry_id, []);
+                byEntry.get(entry_id).push({ ...att, caption: att.caption || '' });
+            }
+        }
+
+        return entries.map(e => ({ ...e, attachments: byEntry.get(e.id) || [] }));
+    },
+
+    // --- ATTACHMENTS (Content-Addressed Store) ---
+
+    // Cover image (first attachment) of an entry
+    async serveEntryImage(request, entryId, env, user, headers) {
+        const entry = await env.DB.prepare('SELECT image_hash, image_data FROM entries WHERE id = ? AND journal_id = ?').bind(entryId, user.journal_id).first();
+        if (!entry) return new Response(JSON.stringify({ success: false, error: 'Not found' }), { status: 404, headers });
+
+        let hash = entry.image_hash;
+        if (!hash && entry.image_data) {
+            hash = await this.convertLegacyImage(env, entryId, entry.image_data);
+        }
+        return await this.serveAttachmentBytes(request, hash, env, headers);
+    },
+
+    // immutable: the URL always means these bytes (an attachment id never changes its hash), so the browser
+    // keeps them for a year. Otherwise (cover image alias, share pages) it revalidates with a cheap 304.
+    async serveAttachmentBytes(request, hash, env, headers, { immutable = false } = {}) {
+        const notFound = () => new Response(JSON.stringify({ success: false, error: 'Not found' }), { status: 404, headers });
+        if (!hash) return notFound();
+
+        // Same hash = same bytes
+        const etag = `"${hash}"`;
+        const cacheHeaders = { ...headers, 'ETag': etag, 'Cache-Control': immutable ? 'private, max-age=31536000, immutable' : 'private, no-cache' };
+
+        if (request.headers.get('If-None-Match') === etag) {
+            return new Response(null, { status: 304, headers: cacheHeaders });
+        }
+
+        const attachment = await env.DB.prepare('SELECT mime_type, size, data FROM attachments WHERE hash = ?').bind(hash).first();
+        if (!attachment) return notFound();
+
+        return new Response(new Uint8Array(attachment.data), {
+            headers: {
+                ...cacheHeaders,
+                'Content-Type': attachment.mime_type,
+                'Content-Length': String(attachment.size)
+            }
+        });
+    },
+
+    async handleAttachments(request, entryId, attachmentId, env, user, headers) {
+        const method = request.method;
+        const entry = await env.DB.prepare('SELECT id, image_data, deleted_at FROM entries WHERE id = ? AND journal_id = ?').bind(entryId, user.journal_id).first();
+
+        // Trashed entries are read-only
+        if (!entry || (method !== 'GET' && entry.deleted_at)) {
+            return new Response(JSON.stringify({ error: 'Entry not found' }), { status: 404, headers });
+        }
+
+        // An unconverted legacy image becomes attachment #0 first, so ids and positions are real
+        if (entry.image_data) await this.convertLegacyImage(env, entryId, entry.image_data);
+
+        if (!attachmentId) {
+            if (method === 'GET') return await this.listAttachments(entryId, env, user, headers);
+            if (method === 'POST') return await this.addAttachment(request, entryId, env, user, headers);
+            if (method === 'PUT') return await this.reorderAttachments(request, entryId, env, user, headers);
+        } else {
+            if (method === 'GET') {
+                const link = await env.DB.prepare('SELECT hash FROM entry_attachments WHERE id = ? AND entry_id = ? AND journal_id = ?').bind(attachmentId, entryId, user.journal_id).first();
+                return await this.serveAttachmentBytes(request, link && link.hash, env, headers, { immutable: true });
+            }
+            if (method === 'PATCH') return await this.updateAttachmentCaption(request, entryId, attachmentId, env, user, headers);
+            if (method === 'DELETE') return await this.removeAttachment(entryId, attachmentId, env, user, headers);
+        }
+
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), { status: 405, headers });
+    },
+
+    async listAttachments(entryId, env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT ea.id, ea.hash, ea.caption, ea.position, ea.author_id, a.mime_type, a.size
+            FROM entry_attachments ea JOIN attachments a ON a.hash = ea.hash
+            WHERE ea.entry_id = ? AND ea.journal_id = ?
+            ORDER BY ea.position, ea.created_at
+        `).bind(entryId, user.journal_id).all();
+
+        const data = results.map(r => ({
+            id: r.id,
+            hash: r.hash,
+            caption: r.caption || '',
+            position: r.position,
+            mimeType: r.mime_type,
+            size: r.size,
+            authorId: r.author_id
+        }));
+        return new Response(JSON.stringify({ success: true, data }), { headers });
+    },
+
+    async addAttachment(request, entryId, env, user, headers) {
+        if (!user.verified_at) return this.emailNotVerifiedResponse(headers);
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        const { imageData, caption } = body;
+
+        if (caption !== undefined && caption !== null && typeof caption !== 'string') return this.validationErrorResponse({ caption: 'invalid_type' }, headers);
+        if (typeof caption === 'string' && caption.length > MAX_CAPTION_LENGTH) return this.validationErrorResponse({ caption: 'too_long' }, headers);
+
+        const stats = await env.DB.prepare('SELECT COUNT(*) AS count, MAX(position) AS last FROM entry_attachments WHERE entry_id = ? AND journal_id = ?').bind(entryId, user.journal_id).first();
+        if (stats.count >= MAX_ATTACHMENTS_PER_ENTRY) return this.validationErrorResponse({ attachments: 'too_many' }, headers);
+
+        const attachment = await this.prepareAttachment(env, imageData);
+        if (attachment.error) return this.validationErrorResponse({ imageData: attachment.code }, headers);
+
+        const id = crypto.randomUUID();
+        const position = stats.last === null ? 0 : stats.last + 1;
+        const cleanCaption = this.cleanCaption(caption);
+
+        await env.DB.batch([
+            attachment.statement,
+            this.linkAttachmentStatement(env, entryId, user.journal_id, user.id, attachment.hash, cleanCaption, position, id),
+            this.refreshAttachmentSummaryStatement(env, entryId, user.journal_id, { bumpVersion: true })
+        ]);
+
+        return new Response(JSON.stringify({
+            success: true,
+            attachment: { id, hash: attachment.hash, caption: cleanCaption, position, mimeType: attachment.mimeType, size: attachment.size }
+        }), { status: 201, headers });
+    },
+
+    async reorderAttachments(request, entryId, env, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        const { order } = body;
+        const { results } = await env.DB.prepare('SELECT id FROM entry_attachments WHERE entry_id = ? AND journal_id = ?').bind(entryId, user.journal_id).all();
+
+        // Must be a permutation of the current attachment ids
+        const current = new Set(results.map(r => r.id));
+        if (!Array.isArray(order) || order.length !== current.size || new Set(order).size !== order.length || !order.every(id => current.has(id))) {
+            return new Response(JSON.stringify({ error: 'order must list every attachment id exactly once' }), { status: 400, headers });
+        }
+
+        await env.DB.batch([
+            ...order.map((id, position) => env.DB.prepare('UPDATE entry_attachments SET position = ? WHERE id = ? AND journal_id = ?').bind(position, id, user.journal_id)),
+            this.refreshAttachmentSummaryStatement(env, entryId, user.journal_id, { bumpVersion: true })
+        ]);
+        return await this.listAttachments(entryId, env, user, headers);
+    },
+
+    async updateAttachmentCaption(request, entryId, attachmentId, env, user, headers) {
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        const { caption } = body;
+
+        if (caption !== undefined && caption !== null && typeof caption !== 'string') return this.validationErrorResponse({ caption: 'invalid_type' }, headers);
+        if (typeof caption === 'string' && caption.length > MAX_CAPTION_LENGTH) return this.validationErrorResponse({ caption: 'too_long' }, headers);
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare('UPDATE entry_attachments SET caption = ? WHERE id = ? AND entry_id = ? AND journal_id = ?')
+                .bind(this.cleanCaption(caption), attachmentId, entryId, user.journal_id),
+            this.refreshAttachmentSummaryStatement(env, entryId, user.journal_id, { bumpVersion: true })
+        ]);
+
+        if (!result.meta.changes) return new Response(JSON.stringify({ error: 'Attachment not found' }), { status: 404, headers });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    async removeAttachment(entryId, attachmentId, env, user, headers) {
+        const [removed] = await env.DB.batch([
+            env.DB.prepare('DELETE FROM entry_attachments WHERE id = ? AND entry_id = ? AND journal_id = ?').bind(attachmentId, entryId, user.journal_id),
+            this.refreshAttachmentSummaryStatement(env, entryId, user.journal_id, { bumpVersion: true })
+        ]);
+
+        if (!removed.meta.changes) return new Response(JSON.stringify({ error: 'Attachment not found' }), { status: 404, headers });
+        // Blob itself is garbage-collected by the cron once nothing links to it
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // data URL -> { mimeType, bytes }, null if it is not a supported base64 image
+    decodeImageDataUrl(dataUrl) {
+        const match = /^data:(image\/(?:jpeg|png|webp|gif));base64,([A-Za-z0-9+/=\s]+)$/.exec(dataUrl);
+        if (!match) return null;
+
+        try {
+            const binary = atob(match[2].replace(/\s/g, ''));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            return { mimeType: match[1], bytes };
+        } catch (e) {
+            return null;
+        }
+    },
+
+    async sha256Hex(bytes) {
+        const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    // Returns { hash, statement, mimeType, size } (statement is a no-op if the blob already exists) or { error, code }
+    async prepareAttachment(env, dataUrl) {
+        const image = typeof dataUrl === 'string' ? this.decodeImageDataUrl(dataUrl) : null;
+        if (!image) return { error: 'Unsupported image format', code: 'unsupported_image' };
+        if (image.bytes.length > MAX_ATTACHMENT_BYTES) return { error: 'Image too large', code: 'image_too_large' };
+
+        const hash = await this.sha256Hex(image.bytes);
+        const statement = env.DB.prepare('INSERT OR IGNORE INTO attachments (hash, mime_type, size, data) VALUES (?, ?, ?, ?)')
+            .bind(hash, image.mimeType, image.bytes.length, image.bytes);
+        return { hash, statement, mimeType: image.mimeType, size: image.bytes.length };
+    },
+
+    // Links a stored blob to an entry. Selecting from entries means nothing is linked to an entry the user doesn't own.
+    // authorId: the member uploading it. savedAt: only if the entry row carries this updated_at (see prepareAttachmentReplace)
+    linkAttachmentStatement(env, entryId, journalId, authorId, hash, caption, position, id = crypto.randomUUID(), savedAt = null) {
+        return env.DB.prepare(`
+            INSERT INTO entry_attachments (id, entry_id, user_id, journal_id, author_id, hash, caption, position)
+            SELECT ?, id, user_id, journal_id, ?, ?, ?, ? FROM entries WHERE id = ? AND journal_id = ? AND (? IS NULL OR updated_at = ?)
+        `).bind(id, authorId, hash, this.cleanCaption(caption), position, entryId, journalId, savedAt, savedAt);
+    },
+
+    // Recomputes the denormalized cover / count / has_image flag. Bumps updated_at so delta sync picks it up.
+    // The attachment routes also bump version (If-Match); entry saves already do that in the same batch.
+    // savedAt: only if the entry row carries this updated_at, which it then keeps.
+    refreshAttachmentSummaryStatement(env, entryId, journalId, { bumpVersion = false, savedAt = null } = {}) {
+        return env.DB.prepare(`
+            UPDATE entries SET
+            attachment_count = (SELECT COUNT(*) FROM entry_attachments WHERE entry_id = entries.id),
+            image_hash = (SELECT hash FROM entry_attachments WHERE entry_id = entries.id ORDER BY position, created_at LIMIT 1),
+            has_image = CASE WHEN image_data IS NOT NULL OR EXISTS (SELECT 1 FROM entry_attachments WHERE entry_id = entries.id) THEN 1 ELSE 0 END,
+            updated_at = ?, version = version + ?
+            WHERE id = ? AND journal_id = ? AND (? IS NULL OR updated_at = ?)
+        `).bind(savedAt || Date.now(), bumpVersion ? 1 : 0, entryId, journalId, savedAt, savedAt);
+    },
+
+    cleanCaption(caption) {
+        return String(caption || '').trim().slice(0, MAX_CAPTION_LENGTH);
+    },
+
+    // Statements replacing all attachments of an entry with `images` ([{ imageData, caption }]).
+    // Returns { statements } or { error, code } (unless skipInvalid, which drops unreadable images instead).
+    // savedAt: the updated_at the entry's own write in the same batch sets. Every statement then only runs
+    // if that write happened, so a save rejected by its version guard leaves the attachments alone.
+    // authorId: the member saving, recorded as uploader of the new attachments.
+    async prepareAttachmentReplace(env, entryId, journalId, images, { skipInvalid = false, savedAt = null, authorId = null } = {}) {
+        if (images.length > MAX_ATTACHMENTS_PER_ENTRY) {
+            if (!skipInvalid) return { error: `Max ${MAX_ATTACHMENTS_PER_ENTRY} attachments per entry`, code: 'too_many' };
+            images = images.slice(0, MAX_ATTACHMENTS_PER_ENTRY);
+        }
+
+        const statements = [
+            env.DB.prepare(`
+                DELETE FROM entry_attachments WHERE entry_id = ? AND journal_id = ?
+                AND EXISTS (SELECT 1 FROM entries WHERE id = ? AND journal_id = ? AND (? IS NULL OR updated_at = ?))
+            `).bind(entryId, journalId, entryId, journalId, savedAt, savedAt),
+            env.DB.prepare('UPDATE entries SET image_data = NULL WHERE id = ? AND journal_id = ? AND (? IS NULL OR updated_at = ?)').bind(entryId, journalId, savedAt, savedAt)
+        ];
+
+        let position = 0;
+        for (const image of images) {
+            const attachment = await this.prepareAttachment(env, image && image.imageData);
+            if (attachment.error) {
+                if (skipInvalid) continue;
+                return attachment;
+            }
+            statements.push(attachment.statement, this.linkAttachmentStatement(env, entryId, journalId, authorId, attachment.hash, image.caption, position++, undefined, savedAt));
+        }
+
+        statements.push(this.refreshAttachmentSummaryStatement(env, entryId, journalId, { savedAt }));
+        return { statements };
+    },
+
+    // Moves one legacy base64 image_data row into the attachments store (as attachment #0). Returns the hash or null.
+    // Idempotent: concurrent image requests and the cron may convert the same entry, only the first one links it.
+    async convertLegacyImage(env, entryId, imageData) {
+        const attachment = await this.prepareAttachment(env, imageData);
+        if (attachment.error) return null;
+
+        await env.DB.batch([
+            attachment.statement,
+            env.DB.prepare(`
+                INSERT INTO entry_attachments (id, entry_id, user_id, journal_id, author_id, hash, position)
+                SELECT ?, id, user_id, journal_id, author_id, ?, 0 FROM entries
+                WHERE id = ? AND image_data IS NOT NULL AND NOT EXISTS (SELECT 1 FROM entry_attachments WHERE entry_id = entries.id)
+            `).bind(crypto.randomUUID(), attachment.hash, entryId),
+            env.DB.prepare(`
+                UPDATE entries SET
+                image_data = NULL,
+                attachment_count = (SELECT COUNT(*) FROM entry_attachments WHERE entry_id = entries.id),
+                image_hash = (SELECT hash FROM entry_attachments WHERE entry_id = entries.id ORDER BY position, created_at LIMIT 1)
+                WHERE id = ?
+            `).bind(entryId)
+        ]);
+        return attachment.hash;
+    },
+
+    async migrateLegacyImages(env) {
+        let converted = 0;
+        let lastId = '';
+
+        // Keyset walk so undecodable rows don't block the rest
+        while (converted < LEGACY_IMAGE_BATCH) {
+            const { results } = await env.DB.prepare('SELECT id, image_data FROM entries WHERE image_data IS NOT NULL AND image_hash IS NULL AND id > ? ORDER BY id LIMIT 20').bind(lastId).all();
+            if (results.length === 0) break;
+
+            for (const row of results) {
+                if (await this.convertLegacyImage(env, row.id, row.image_data)) converted++;
+                lastId = row.id;
+            }
+        }
+    },
+
+    // --- VALIDATION ---
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    // Parsed body, or undefined if it is not valid JSON
+    async readJson(request) {
+        try {
+            return await request.json();
+        } catch (e) {
+            return undefined;
+        }
+    },
+
+    invalidJsonResponse(headers) {
+        return new Response(JSON.stringify({ error: 'Invalid JSON body', code: 'INVALID_JSON' }), { status: 400, headers });
+    },
+
+    // fields: { fieldName: errorCode } -> 400 the client maps to inline messages
+    validationErrorResponse(fields, headers) {
+        return new Response(JSON.stringify({ error: 'Validation failed', code: 'VALIDATION_FAILED', fields }), { status: 400, headers });
+    },
+
+    isValidIsoDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        // Round-trip rejects impossible dates like 2024-02-30
+        const parsed = new Date(`${value}T00:00:00Z`);
+        return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+    },
+
+    // Entry payload (upsert / sync item) -> { field: code } or null when valid.
+    // Codes: required, invalid_type, invalid_format, invalid_date, invalid_value, too_long, too_many
+    validateEntry(e) {
+        if (!this.isPlainObject(e)) return { entry: 'invalid_type' };
+
+        const errors = {};
+        const isBlank = (v) => v === undefined || v === null || v === '';
+        const isFlag = (v) => v === undefined || v === null || typeof v === 'boolean' || v === 0 || v === 1;
+
+        if (isBlank(e.id)) errors.id = 'required';
+        else if (typeof e.id !== 'string' || !ENTRY_ID_PATTERN.test(e.id)) errors.id = 'invalid_format';
+
+        if (isBlank(e.date)) errors.date = 'required';
+        else if (!this.isValidIsoDate(e.date)) errors.date = 'invalid_date';
+
+        if (isBlank(e.type)) errors.type = 'required';
+        else if (!ENTRY_TYPES.includes(e.type)) errors.type = 'invalid_value';
+
+        if (typeof e.title !== 'string' && !isBlank(e.title)) errors.title = 'invalid_type';
+        else if (isBlank(e.title) || !e.title.trim()) errors.title = 'required';
+        else if (e.title.length > MAX_TITLE_LENGTH) errors.title = 'too_long';
+
+        if (!isBlank(e.reason)) {
+            if (typeof e.reason !== 'string') errors.reason = 'invalid_type';
+            else if (e.reason.length > MAX_REASON_LENGTH) errors.reason = 'too_long';
+        }
+
+        if (!isBlank(e.amount) && (typeof e.amount !== 'number' || !Number.isFinite(e.amount))) errors.amount = 'invalid_type';
+        if (!isBlank(e.timestamp) && (!Number.isInteger(e.timestamp) || e.timestamp < 0)) errors.timestamp = 'invalid_type';
+        if (!isFlag(e.highlight)) errors.highlight = 'invalid_type';
+        if (!isFlag(e.pinned)) errors.pinned = 'invalid_type';
+        if (!isFlag(e.hasImage)) errors.hasImage = 'invalid_type';
+        if (!isBlank(e.version) && !(Number.isInteger(e.version) && e.version >= 1)) errors.version = 'invalid_type';
+        if (!isBlank(e.imageData) && typeof e.imageData !== 'string') errors.imageData = 'invalid_type';
+
+        if (e.attachments !== undefined) {
+            if (!Array.isArray(e.attachments)) errors.attachments = 'invalid_type';
+            else if (e.attachments.length > MAX_ATTACHMENTS_PER_ENTRY) errors.attachments = 'too_many';
+            else if (e.attachments.some(a => !this.isPlainObject(a) || (!isBlank(a.caption) && typeof a.caption !== 'string'))) errors.attachments = 'invalid_type';
+            else if (e.attachments.some(a => typeof a.caption === 'string' && a.caption.length > MAX_CAPTION_LENGTH)) errors.attachments = 'too_long';
+        }
+
+        return Object.keys(errors).length > 0 ? errors : null;
+    },
+
+    // --- ENTRY UPSERT (Optimistic Concurrency) ---
+
+    // If-Match: "<version>" -> number, absent / * -> null (unconditional), anything else -> NaN
+    parseIfMatch(request) {
+        const header = request.headers.get('If-Match');
+        if (!header || header.trim() === '*') return null;
+        const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+        return match ? Number(match[1]) : NaN;
+    },
+
+    async conflictResponse(env, user, entry, headers) {
+        const [current] = await this.withAttachmentMeta(env, user.journal_id, [this.normalizeEntry(entry)]);
+        return new Response(JSON.stringify({ error: 'Conflict', message: 'Entry was changed on another device', current }), {
+            status: 409,
+            headers: { ...headers, 'ETag': `"${entry.version}"` }
+        });
+    },
+
+    async upsertEntry(request, env, ctx, user, headers) {
+        const e = await this.readJson(request);
+        if (e === undefined) return this.invalidJsonResponse(headers);
+
+        const invalid = this.validateEntry(e);
+        if (invalid) return this.validationErrorResponse(invalid, headers);
+
+        const expectedVersion = this.parseIfMatch(request);
+        if (Number.isNaN(expectedVersion)) {
+            return new Response(JSON.stringify({ error: 'Invalid If-Match header' }), { status: 400, headers });
+        }
+
+        const current = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(e.id, user.journal_id).first();
+
+        // Stale update: someone else saved since this client loaded the entry
+        if (current && expectedVersion !== null && current.version !== expectedVersion) {
+            return await this.conflictResponse(env, user, current, headers);
+        }
+
+        // Attachment logic:
+        // - attachments ([{ imageData, caption }]) or imageData present -> replace all attachments
+        // - hasImage false -> all attachments removed
+        // - otherwise keep existing attachments (text-only edits don't re-upload)
+        //   Adding / removing / reordering single attachments goes through /api/entries/:id/attachments
+        let images = null;
+        if (Array.isArray(e.attachments)) images = e.attachments;
+        else if (typeof e.imageData === 'string' && e.imageData) images = [{ imageData: e.imageData }];
+        else if (e.hasImage === false) images = [];
+
+        // Also marks this save's row: the attachment statements only apply where the entry write below landed
+        const updatedAt = Date.now();
+
+        let attachmentStmts = [];
+        if (images && images.length && !user.verified_at) return this.emailNotVerifiedResponse(headers);
+        if (images) {
+            const replaced = await this.prepareAttachmentReplace(env, e.id, user.journal_id, images, { savedAt: updatedAt, authorId: user.id });
+            if (replaced.error) return this.validationErrorResponse({ [Array.isArray(e.attachments) ? 'attachments' : 'imageData']: replaced.code }, headers);
+            attachmentStmts = replaced.statements;
+        }
+
+        const stmts = [];
+
+        if (current) {
+            stmts.push(
+                // Previous version -> history (no-op for unchanged saves)
+                this.revisionStatement(env, e.id, user.journal_id, e, expectedVersion),
+                // Version guard repeated here so a save racing between the check above and this batch can't slip through
+                env.DB.prepare(`
+                    UPDATE entries SET
+                    date=?, title=?, type=?, amount=?, reason=?, 
+                    highlight=?, pinned=?, timestamp=?, updated_at=?, author_id=?, version = version + 1
+                    WHERE id = ? AND journal_id = ? AND (? IS NULL OR version = ?)
+                `).bind(
+                    e.date, e.title, e.type, e.amount || 0, e.reason || '',
+                    e.highlight ? 1 : 0, e.pinned ? 1 : 0, e.timestamp, updatedAt, user.id,
+                    e.id, user.journal_id, expectedVersion, expectedVersion
+                )
+            );
+        } else {
+            stmts.push(env.DB.prepare(`
+                INSERT OR IGNORE INTO entries (id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, timestamp, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).bind(
+                e.id, user.journal_owner_id, user.journal_id, user.id, e.date, e.title, e.type, e.amount || 0, e.reason || '',
+                e.highlight ? 1 : 0, e.pinned ? 1 : 0, e.timestamp, updatedAt
+            ));
+        }
+
+        stmts.push(
+            ...attachmentStmts,
+            // A re-created ID must not be reported as deleted anymore
+            env.DB.prepare('DELETE FROM entry_tombstones WHERE id = ? AND journal_id = ?').bind(e.id, user.journal_id)
+        );
+
+        const results = await env.DB.batch(stmts);
+
+        const saved = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(e.id, user.journal_id).first();
+
+        // Lost the race against another save
+        if (current && !results[1].meta.changes) {
+            return await this.conflictResponse(env, user, saved, headers);
+        }
+        // Nothing inserted: created meanwhile in this journal (a conflict), or the id belongs to an entry
+        // in another journal (ids are global), which must not be reported as saved
+        if (!current && !results[0].meta.changes) {
+            if (saved) return await this.conflictResponse(env, user, saved, headers);
+            return new Response(JSON.stringify({ error: 'Entry id is already in use', code: 'ID_TAKEN' }), { status: 409, headers });
+        }
+        await this.queueWebhookEvent(env, ctx, user.journal_id, current ? 'entry.updated' : 'entry.created', { entry: this.normalizeEntry(saved) });
+
+        return new Response(JSON.stringify({
+            success: true,
+            id: e.id,
+            version: saved ? saved.version : null,
+            imageHash: saved ? saved.image_hash : null,
+            attachmentCount: saved ? saved.attachment_count : 0
+        }), { headers: saved ? { ...headers, 'ETag': `"${saved.version}"` } : headers });
+    },
+
+    // --- QUICK CAPTURE ---
+
+    // Free-text line -> entry fields, e.g. "beli BBCA 9200 x10 alasan breakout #saham kemarin":
+    // - #tag picks the category (CAPTURE_TYPE_TAGS) or a flag (#penting, #pin); other #tags stay in the title
+    // - dates: YYYY-MM-DD, DD/MM[/YYYY], DD-MM-YYYY, hari ini / kemarin (default: today)
+    // - amount: first number (9200, 9.200, 1,5jt, 10rb), times a quantity token (x10 / 10x)
+    // - everything after "alasan" / "karena" becomes the reason, the rest is the title
+    // Returns { fields } or { error } (validation code per field).
+    parseCaptureText(text, today) {
+        if (typeof text !== 'string' || !text.trim()) return { error: { text: 'required' } };
+        if (text.length > MAX_CAPTURE_TEXT_LENGTH) return { error: { text: 'too_long' } };
+
+        let type = null;
+        let highlight = false;
+        let pinned = false;
+        const untagged = text.replace(/(^|\s)#([\p{L}\d_]+)/gu, (match, space, tag) => {
+            const key = tag.toLowerCase();
+            if (CAPTURE_TYPE_TAGS[key] && !type) type = CAPTURE_TYPE_TAGS[key];
+            else if (key === 'penting' || key === 'highlight') highlight = true;
+            else if (key === 'pin') pinned = true;
+            else return match;
+            return space;
+        });
+
+        const [head, ...reasonParts] = untagged.split(/\s(?:alasan|karena|krn|because|reason):?\s/i);
+        const reason = reasonParts.join(' ').trim();
+
+        let date = null;
+        let price = null;
+        let quantity = 1;
+        const titleWords = [];
+        for (const word of head.trim().split(/\s+/).filter(Boolean)) {
+            const lower = word.toLowerCase();
+            let quantityMatch;
+            if (!date && (date = this.parseCaptureDate(lower, today))) continue;
+            if (quantity === 1 && (quantityMatch = /^(?:x(\d+)|(\d+)x)$/.exec(lower))) {
+                quantity = Number(quantityMatch[1] || quantityMatch[2]);
+            } else if (price === null) {
+                price = this.parseCaptureNumber(lower);
+            }
+            titleWords.push(word);
+        }
+        // "hari" + "ini" arrive as two words
+        const title = titleWords.join(' ').replace(/(^|\s)hari ini(?=\s|$)/i, '$1').trim() || reason || 'Catatan cepat';
+
+        if (!type) {
+            const words = head.split(/\s+/);
+            if (words.some(word => CAPTURE_CRYPTO_SYMBOLS.includes(word.toUpperCase()))) type = 'kripto';
+            else if (/^(beli|jual|buy|sell)\b/i.test(head.trim()) && words.some(word => /^[A-Z]{4}$/.test(word))) type = 'saham';
+            else type = 'lainnya';
+        }
+
+        return {
+            fields: {
+                date: date || today,
+                type,
+                title: title.slice(0, MAX_TITLE_LENGTH),
+                amount: price === null ? 0 : price * quantity,
+                reason,
+                highlight,
+                pinned
+            }
+        };
+    },
+
+    parseCaptureDate(word, today) {
+        if (word === 'kemarin' || word === 'yesterday') {
+            const date = new Date(`${today}T00:00:00Z`);
+            date.setUTCDate(date.getUTCDate() - 1);
+            return date.toISOString().slice(0, 10);
+        }
+        if (word === 'today') return today;
+        if (this.isValidIsoDate(word)) return word;
+
+        // DD/MM (this year), DD/MM/YYYY or DD-MM-YYYY
+        const match = /^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/.exec(word) || /^(\d{1,2})-(\d{1,2})-(\d{4})$/.exec(word);
+        if (!match) return null;
+        const iso = `${match[3] || today.slice(0, 4)}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+        return this.isValidIsoDate(iso) ? iso : null;
+    },
+
+    // "9200", "9.200", "9,200", "1,5jt", "10rb", "2k", "rp50.000" -> number, anything else -> null
+    parseCaptureNumber(word) {
+        const match = /^(?:rp\.?)?(\d+(?:[.,]\d+)*)(rb|ribu|k|jt|juta|m|miliar)?$/.exec(word);
+        if (!match) return null;
+
+        let digits = match[1];
+        const separators = digits.match(/[.,]/g) || [];
+        if (separators.length) {
+            const last = separators[separators.length - 1];
+            const groups = digits.split(/[.,]/).slice(1);
+            // Several separators, or exactly three digits after one: thousands grouping (9.200 / 1.250.000)
+            const isGrouping = new Set(separators).size === 1 && groups.every(group => group.length === 3);
+            if (isGrouping) digits = digits.replace(/[.,]/g, '');
+            else {
+                const decimalAt = digits.lastIndexOf(last);
+                digits = digits.slice(0, decimalAt).replace(/[.,]/g, '') + '.' + digits.slice(decimalAt + 1);
+            }
+        }
+
+        const multipliers = { rb: 1e3, ribu: 1e3, k: 1e3, jt: 1e6, juta: 1e6, m: 1e9, miliar: 1e9 };
+        const value = Number(digits) * (multipliers[match[2]] || 1);
+        return Number.isFinite(value) ? value : null;
+    },
+
+    // Today's date where the user is (?timezone / CAPTURE_TIMEZONE), falling back to the default zone
+    captureToday(env, timezone, at = new Date()) {
+        for (const timeZone of [timezone, env.CAPTURE_TIMEZONE, DEFAULT_CAPTURE_TIMEZONE]) {
+            if (typeof timeZone !== 'string' || !timeZone) continue;
+            try {
+                return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(at);
+            } catch (e) {
+                // Unknown zone: try the next one
+            }
+        }
+        return at.toISOString().slice(0, 10);
+    },
+
+    // Inserts a parsed capture as a new entry (same columns and webhook as a POST /api/entries create)
+    async createCapturedEntry(env, ctx, user, fields) {
+        const entry = { id: crypto.randomUUID(), timestamp: Date.now(), ...fields };
+        const invalid = this.validateEntry(entry);
+        if (invalid) return { error: invalid };
+
+        await env.DB.prepare(`
+            INSERT INTO entries (id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, timestamp, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            entry.id, user.journal_owner_id, user.journal_id, user.id, entry.date, entry.title, entry.type, entry.amount, entry.reason,
+            entry.highlight ? 1 : 0, entry.pinned ? 1 : 0, entry.timestamp, entry.timestamp
+        ).run();
+
+        const saved = this.normalizeEntry(await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(entry.id, user.journal_id).first());
+        await this.queueWebhookEvent(env, ctx, user.journal_id, 'entry.created', { entry: saved });
+        return { entry: saved };
+    },
+
+    // POST /api/capture: JSON { text, date?, type?, timezone? } or a text/plain body.
+    // Explicit date / type override what the text says.
+    async captureEntry(request, env, ctx, user, headers) {
+        let body;
+        if ((request.headers.get('Content-Type') || '').startsWith('text/plain')) {
+            body = { text: await request.text() };
+        } else {
+            body = await this.readJson(request);
+            if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+        }
+
+        const parsed = this.parseCaptureText(body.text, this.captureToday(env, body.timezone));
+        if (parsed.error) return this.validationErrorResponse(parsed.error, headers);
+
+        const fields = { ...parsed.fields };
+        if (body.date !== undefined) fields.date = body.date;
+        if (body.type !== undefined) fields.type = body.type;
+
+        const created = await this.createCapturedEntry(env, ctx, user, fields);
+        if (created.error) return this.validationErrorResponse(created.error, headers);
+        return new Response(JSON.stringify({ success: true, entry: created.entry }), { status: 201, headers });
+    },
+
+    // Telegram bot webhook (setWebhook with secret_token = a personal API token with the 'write' scope).
+    // Replies through the webhook response itself, so no bot token is stored here. Always answers 200
+    // once authenticated: Telegram would otherwise redeliver the same update.
+    // Anyone can message a public bot, so only the chat stored on the token (PATCH /api/account/tokens/:id)
+    // captures; other chats get a silent { ok: true }, except /start while no chat is set, which replies
+    // with the chat id to store. Each update_id is recorded once, so redeliveries are dropped.
+    async captureTelegram(request, env, ctx, headers) {
+        const token = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+        const user = token.startsWith(API_TOKEN_PREFIX) ? await this.verifyApiToken(request, env, token) : null;
+        if (!user) return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401, headers });
+        if (!this.apiTokenAllows(user, 'write')) return this.tokenScopeResponse('write', headers);
+        // Telegram can't send X-Journal-Id: captures land in the personal journal
+        const journalError = await this.useJournal(request, env, user, 'editor', headers);
+        if (journalError) return journalError;
+
+        const update = await this.readJson(request);
+        const message = this.isPlainObject(update) ? (update.message || update.channel_post) : null;
+        if (!this.isPlainObject(message) || typeof message.text !== 'string' || !this.isPlainObject(message.chat)) {
+            return new Response(JSON.stringify({ ok: true }), { headers });
+        }
+
+        const reply = (text) => new Response(JSON.stringify({
+            method: 'sendMessage', chat_id: message.chat.id, reply_to_message_id: message.message_id, text
+        }), { headers });
+        const isHelp = /^\/(start|help)\b/.test(message.text);
+
+        const allowedChat = user.api_token.telegramChatId;
+        if (allowedChat !== String(message.chat.id)) {
+            if (!allowedChat && isHelp) {
+                return reply(`ID chat ini: ${message.chat.id}\nSimpan ID ini pada token API di Pengaturan (tombol Telegram) agar bot mau mencatat dari chat ini.`);
+            }
+            return new Response(JSON.stringify({ ok: true }), { headers });
+        }
+
+        if (isHelp) {
+            return reply('Kirim satu baris per catatan, contoh:\nbeli BBCA 9200 x10 alasan breakout #saham\n\nTag kategori: #saham #kripto #barang #peristiwa #lainnya. Tanggal: kemarin, 15/01, 2025-01-15.');
+        }
+
+        // Claimed before the insert so a concurrent redelivery can't slip in; released again if the insert throws
+        const updateId = Number.isInteger(update.update_id) ? update.update_id : null;
+        if (updateId !== null) {
+            const claim = await env.DB.prepare('INSERT OR IGNORE INTO telegram_updates (token_id, update_id, created_at) VALUES (?, ?, ?)')
+                .bind(user.api_token.id, updateId, Date.now()).run();
+            if (!claim.meta.changes) return new Response(JSON.stringify({ ok: true }), { headers });
+        }
+
+        // Telegram's message date (unix seconds) decides "today", so a late redelivery keeps its day
+        const sentAt = Number.isInteger(message.date) ? new Date(message.date * 1000) : new Date();
+        const parsed = this.parseCaptureText(message.text, this.captureToday(env, null, sentAt));
+        let created;
+        try {
+            created = parsed.error ? parsed : await this.createCapturedEntry(env, ctx, user, parsed.fields);
+        } catch (e) {
+            if (updateId !== null) {
+                await env.DB.prepare('DELETE FROM telegram_updates WHERE token_id = ? AND update_id = ?').bind(user.api_token.id, updateId).run();
+            }
+            throw e;
+        }
+        if (created.error) return reply(`❌ Tidak tersimpan: ${Object.entries(created.error).map(([field, code]) => `${field} ${code}`).join(', ')}`);
+
+        const { entry } = created;
+        const amount = entry.amount ? ` · Rp ${entry.amount.toLocaleString('id-ID')}` : '';
+        return reply(`✅ Tersimpan: ${entry.title}\n${entry.type} · ${entry.date}${amount}`);
+    },
+
+    // --- REVISION HISTORY ---
+
+    // Copies the current row into entry_revisions, but only if `next` actually changes it.
+    // Runs inside the same batch as the UPDATE, so history can't drift from the entry.
+    revisionStatement(env, entryId, journalId, next, expectedVersion = null) {
+        return env.DB.prepare(`
+            INSERT INTO entry_revisions (entry_id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, created_at)
+            SELECT id, user_id, journal_id, author_id, date, title, type, amount, reason, highlight, pinned, ?
+            FROM entries
+            WHERE id = ? AND journal_id = ? AND (? IS NULL OR version = ?)
+            AND (
+                date IS NOT ? OR title IS NOT ? OR type IS NOT ? OR amount IS NOT ?
+                OR COALESCE(reason, '') IS NOT ? OR COALESCE(highlight, 0) IS NOT ? OR COALESCE(pinned, 0) IS NOT ?
+            )
+        `).bind(
+            Date.now(), entryId, journalId, expectedVersion, expectedVersion,
+            next.date, next.title, next.type, next.amount || 0,
+            next.reason || '', next.highlight ? 1 : 0, next.pinned ? 1 : 0
+        );
+    },
+
+    normalizeRevision(r) {
+        return {
+            id: r.id,
+            entryId: r.entry_id,
+            date: r.date,
+            title: r.title,
+            type: r.type,
+            amount: r.amount,
+            reason: r.reason || '',
+            highlight: !!r.highlight,
+            pinned: !!r.pinned,
+            // Who saved this version (null once that account is deleted)
+            authorId: r.author_id,
+            author: r.author_username || r.author_email || null,
+            createdAt: r.created_at
+        };
+    },
+
+    // Newest first. Each revision is the version that was replaced at createdAt.
+    async listRevisions(entryId, env, user, headers) {
+        const entry = await env.DB.prepare('SELECT id FROM entries WHERE id = ? AND journal_id = ?').bind(entryId, user.journal_id).first();
+        if (!entry) return new Response(JSON.stringify({ error: 'Entry not found' }), { status: 404, headers });
+
+        const { results } = await env.DB.prepare(`
+            SELECT r.*, u.username AS author_username, u.email AS author_email
+            FROM entry_revisions r LEFT JOIN users u ON u.id = r.author_id
+            WHERE r.entry_id = ? AND r.journal_id = ? ORDER BY r.created_at DESC, r.id DESC
+        `).bind(entryId, user.journal_id).all();
+        return new Response(JSON.stringify({ success: true, data: results.map(r => this.normalizeRevision(r)) }), { headers });
+    },
+
+    // Revert = a normal update back to the old values, so the current version lands in history (revert is undoable).
+    // Same If-Match guard and entry.updated webhook as a save.
+    async revertEntry(request, entryId, revisionId, env, ctx, user, headers) {
+        const expectedVersion = this.parseIfMatch(request);
+        if (Number.isNaN(expectedVersion)) {
+            return new Response(JSON.stringify({ error: 'Invalid If-Match header' }), { status: 400, headers });
+        }
+
+        const revision = await env.DB.prepare(`
+            SELECT r.* FROM entry_revisions r JOIN entries e ON e.id = r.entry_id
+            WHERE r.id = ? AND r.entry_id = ? AND r.journal_id = ? AND e.deleted_at IS NULL
+        `).bind(revisionId, entryId, user.journal_id).first();
+        if (!revision) return new Response(JSON.stringify({ error: 'Revision not found' }), { status: 404, headers });
+
+        const current = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(entryId, user.journal_id).first();
+        if (expectedVersion !== null && current.version !== expectedVersion) {
+            return await this.conflictResponse(env, user, current, headers);
+        }
+
+        const next = this.normalizeRevision(revision);
+        const [, updated] = await env.DB.batch([
+            this.revisionStatement(env, entryId, user.journal_id, next, expectedVersion),
+            env.DB.prepare(`
+                UPDATE entries SET
+                date=?, title=?, type=?, amount=?, reason=?, highlight=?, pinned=?, updated_at=?, author_id=?, version = version + 1
+                WHERE id = ? AND journal_id = ? AND (? IS NULL OR version = ?)
+            `).bind(
+                next.date, next.title, next.type, next.amount || 0, next.reason,
+                next.highlight ? 1 : 0, next.pinned ? 1 : 0, Date.now(), user.id,
+                entryId, user.journal_id, expectedVersion, expectedVersion
+            )
+        ]);
+
+        const entry = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(entryId, user.journal_id).first();
+        // Lost the race against another save
+        if (!updated.meta.changes) return await this.conflictResponse(env, user, entry, headers);
+
+        const [withAttachments] = await this.withAttachmentMeta(env, user.journal_id, [this.normalizeEntry(entry)]);
+        await this.queueWebhookEvent(env, ctx, user.journal_id, 'entry.updated', { entry: withAttachments });
+        return new Response(JSON.stringify({ success: true, entry: withAttachments }), { headers });
+    },
+
+    // --- TRASH ---
+
+    getTrashRetentionDays(env) {
+        const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+        return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+    },
+
+    async listTrash(env, user, headers) {
+        const { results } = await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE journal_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC`).bind(user.journal_id).all();
+        const retentionDays = this.getTrashRetentionDays(env);
+        const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
+
+        const data = results.map(e => ({
+            ...this.normalizeEntry(e),
+            purgeAt: e.deleted_at + retentionMs
+        }));
+        return new Response(JSON.stringify({ success: true, data, retentionDays }), { headers });
+    },
+
+    async restoreEntry(entryId, env, ctx, user, headers) {
+        const result = await env.DB.prepare('UPDATE entries SET deleted_at = NULL, updated_at = ? WHERE id = ? AND journal_id = ? AND deleted_at IS NOT NULL').bind(Date.now(), entryId, user.journal_id).run();
+        if (!result.meta.changes) {
+            return new Response(JSON.stringify({ error: 'Not found in trash' }), { status: 404, headers });
+        }
+
+        const entry = this.normalizeEntry(await env.DB.prepare(`SELECT ${ENTRY_COLUMNS} FROM entries WHERE id = ? AND journal_id = ?`).bind(entryId, user.journal_id).first());
+        // Receivers saw entry.deleted (trashed: true) when it went to the trash
+        await this.queueWebhookEvent(env, ctx, user.journal_id, 'entry.updated', { entry, restored: true });
+        return new Response(JSON.stringify({ success: true, entry }), { headers });
+    },
+
+    async purgeEntry(entryId, env, ctx, user, headers) {
+        const trashed = await env.DB.prepare('SELECT id FROM entries WHERE id = ? AND journal_id = ? AND deleted_at IS NOT NULL').bind(entryId, user.journal_id).first();
+        if (!trashed) {
+            return new Response(JSON.stringify({ error: 'Not found in trash' }), { status: 404, headers });
+        }
+
+        await env.DB.batch([
+            env.DB.prepare('INSERT OR REPLACE INTO entry_tombstones (id, user_id, journal_id, deleted_at) SELECT id, user_id, journal_id, ? FROM entries WHERE id = ? AND journal_id = ?').bind(Date.now(), entryId, user.journal_id),
+            env.DB.prepare('DELETE FROM entries WHERE id = ? AND journal_id = ?').bind(entryId, user.journal_id)
+        ]);
+        await this.queueWebhookEvent(env, ctx, user.journal_id, 'entry.deleted', { id: entryId, trashed: false });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    async emptyTrash(request, env, user, headers) {
+        const [, deleted] = await env.DB.batch([
+            env.DB.prepare('INSERT OR REPLACE INTO entry_tombstones (id, user_id, journal_id, deleted_at) SELECT id, user_id, journal_id, ? FROM entries WHERE journal_id = ? AND deleted_at IS NOT NULL').bind(Date.now(), user.journal_id),
+            env.DB.prepare('DELETE FROM entries WHERE journal_id = ? AND deleted_at IS NOT NULL').bind(user.journal_id)
+        ]);
+        await this.logAudit(request, env, user.id, 'trash_emptied', 'success', { journalId: user.journal_id, entries: deleted.meta.changes });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // --- PUBLIC SHARE LINKS ---
+
+    // <id>.<HMAC of the id>: the id alone (e.g. from the list API of a former member) isn't enough to open a page
+    async shareLinkToken(env, id) {
+        return `${id}.${await this.hmacSha256(`share:${id}`, env.JWT_SECRET)}`;
+    },
+
+    // The signed url only goes to the link's creator and to editors and above, so a viewer can't keep
+    // public access through someone else's link. A creator's own links are revoked when they are removed
+    // or demoted to viewer, and /s/ stops serving them once the creator is no longer an editor.
+    async normalizeShareLink(env, url, row, user) {
+        const now = Date.now();
+        const showUrl = row.user_id === user.id || this.journalRoleAllows(user.journal_role, 'editor');
+        return {
+            id: row.id,
+            url: showUrl ? `${url.origin}/s/${await this.shareLinkToken(env, row.id)}` : null,
+            title: row.title,
+            entryId: row.entry_id,
+            filter: row.entry_id ? null : Object.fromEntries(new URLSearchParams(row.filter || '')),
+            createdBy: row.username || row.email || null,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            revokedAt: row.revoked_at,
+            active: !row.revoked_at && row.expires_at > now,
+            viewCount: row.view_count,
+            lastViewedAt: row.last_viewed_at
+        };
+    },
+
+    async listShareLinks(url, env, user, headers) {
+        const { results } = await env.DB.prepare(`
+            SELECT s.*, u.username, u.email FROM share_links s JOIN users u ON u.id = s.user_id
+            WHERE s.journal_id = ?
+            ORDER BY s.created_at DESC
+        `).bind(user.journal_id).all();
+        const data = await Promise.all(results.map(row => this.normalizeShareLink(env, url, row, user)));
+        return new Response(JSON.stringify({ success: true, data }), { headers });
+    },
+
+    // Body: { entryId } or { filter: { q, type, from, to, pinned, highlight, sort } }, plus optional title / expiresInDays
+    async createShareLink(request, url, env, user, headers) {
+        if (!user.verified_at) return this.emailNotVerifiedResponse(headers);
+
+        const body = await this.readJson(request);
+        if (!this.isPlainObject(body)) return this.invalidJsonResponse(headers);
+
+        const errors = {};
+        let entry = null;
+        let filter = null;
+        if (body.entryId !== undefined) {
+            if (body.filter !== undefined) errors.filter = 'invalid_value';
+            entry = typeof body.entryId === 'string'
+                ? await env.DB.prepare('SELECT id, title FROM entries WHERE id = ? AND journal_id = ? AND deleted_at IS NULL').bind(body.entryId, user.journal_id).first()
+                : null;
+            if (!entry) return new Response(JSON.stringify({ error: 'Entry not found' }), { status: 404, headers });
+        } else if (this.isPlainObject(body.filter)) {
+            const params = new URLSearchParams();
+            for (const name of SHARE_FILTER_PARAMS) {
+                const value = body.filter[name];
+                if (value !== undefined && value !== null && value !== '') params.set(name, String(value));
+            }
+            if (this.entryFilterClauses(params).error || (params.has('sort') && !ENTRY_SORTS[params.get('sort')])) errors.filter = 'invalid_value';
+            filter = params.toString();
+        } else {
+            errors.entryId = 'required';
+        }
+
+        let title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (body.title !== undefined && typeof body.title !== 'string') errors.title = 'invalid_type';
+        else if (title.length > MAX_SHARE_TITLE_LENGTH) errors.title = 'too_long';
+        if (!title) title = entry ? entry.title.slice(0, MAX_SHARE_TITLE_LENGTH) : 'Catatan JournalFinance';
+
+        const expiresInDays = body.expiresInDays === undefined ? SHARE_LINK_DEFAULT_DAYS : body.expiresInDays;
+        if (!(Number.isInteger(expiresInDays) && expiresInDays >= 1 && expiresInDays <= MAX_SHARE_LINK_DAYS)) errors.expiresInDays = 'out_of_range';
+        if (Object.keys(errors).length) return this.validationErrorResponse(errors, headers);
+
+        const now = Date.now();
+        const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM share_links WHERE journal_id = ? AND revoked_at IS NULL AND expires_at > ?').bind(user.journal_id, now).first();
+        if (count >= MAX_SHARE_LINKS_PER_JOURNAL) {
+            return new Response(JSON.stringify({ error: `At most ${MAX_SHARE_LINKS_PER_JOURNAL} active share links per journal`, code: 'TOO_MANY_SHARE_LINKS' }), { status: 409, headers });
+        }
+
+        const row = {
+            id: crypto.randomUUID(),
+            user_id: user.id,
+            entry_id: entry ? entry.id : null,
+            filter,
+            title,
+            created_at: now,
+            expires_at: now + expiresInDays * 24 * 60 * 60 * 1000,
+            revoked_at: null,
+            view_count: 0,
+            last_viewed_at: null,
+            username: user.username,
+            email: user.email
+        };
+        await env.DB.prepare('INSERT INTO share_links (id, user_id, journal_id, entry_id, filter, title, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+            .bind(row.id, row.user_id, user.journal_id, row.entry_id, row.filter, row.title, row.created_at, row.expires_at).run();
+        await this.logAudit(request, env, user.id, 'share_link_created', 'success', { shareId: row.id, journalId: user.journal_id, entryId: row.entry_id, expiresAt: row.expires_at });
+
+        return new Response(JSON.stringify({ success: true, data: await this.normalizeShareLink(env, new URL(request.url), row, user) }), { status: 201, headers });
+    },
+
+    // The creator or a journal owner can revoke; the row stays (with its view count) until the cron removes it
+    async revokeShareLink(request, shareId, env, user, headers) {
+        const link = await env.DB.prepare('SELECT user_id FROM share_links WHERE id = ? AND journal_id = ?').bind(shareId, user.journal_id).first();
+        if (!link) return new Response(JSON.stringify({ error: 'Share link not found' }), { status: 404, headers });
+        if (link.user_id !== user.id && user.journal_role !== 'owner') return this.journalRoleResponse('owner', headers);
+
+        await env.DB.prepare('UPDATE share_links SET revoked_at = IFNULL(revoked_at, ?) WHERE id = ?').bind(Date.now(), shareId).run();
+        await this.logAudit(request, env, user.id, 'share_link_revoked', 'success', { shareId, journalId: user.journal_id });
+        return new Response(JSON.stringify({ success: true }), { headers });
+    },
+
+    // Entries a link may show: its one entry, or everything matching the saved filter (validated on create)
+    shareLinkScope(link) {
+        if (link.entry_id) {
+            return { where: ['id = ?', 'journal_id = ?', 'deleted_at IS NULL'], args: [link.entry_id, link.journal_id] };
+        }
+        const filter = this.entryFilterClauses(new URLSearchParams(link.filter || ''));
+        return { where: ['journal_id = ?', 'deleted_at IS NULL', ...filter.where], args: [link.journal_id, ...filter.args] };
+    },
+
+    // GET /s/<token> (HTML page, counted as a view) and /s/<token>/images/<attachment id> (bytes)
+    async serveSharePage(request, token, attachmentId, env) {
+        const headers = {
+            'Cache-Control': 'no-store',
+            'Content-Security-Policy': "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+            'Referrer-Policy': 'no-referrer',
+            'X-Robots-Tag': 'noindex, nofollow',
+            'X-Content-Type-Options': 'nosniff'
+        };
+
+        const dot = token.indexOf('.');
+        const id = token.slice(0, dot);
+        const valid = dot > 0 && this.timingSafeEqual(await this.shareLinkToken(env, id), token);
+        // creator_role: NULL once the creator left the journal. Links are revoked on removal / demotion too;
+        // this also covers links of members removed before that.
+        const link = valid ? await env.DB.prepare(`
+            SELECT s.*, m.role AS creator_role FROM share_links s
+            LEFT JOIN journal_members m ON m.journal_id = s.journal_id AND m.user_id = s.user_id
+            WHERE s.id = ?
+        `).bind(id).first() : null;
+        if (!link) return this.sharePageMessage(404, 'Tautan tidak ditemukan', 'Periksa kembali alamat tautan yang Anda terima.', headers);
+
+        const now = Date.now();
+        if (link.revoked_at || link.expires_at <= now || !this.journalRoleAllows(link.creator_role, 'editor')) {
+            return this.sharePageMessage(410, 'Tautan tidak berlaku lagi', 'Tautan ini sudah kedaluwarsa atau dicabut oleh pemiliknya.', headers);
+        }
+
+        const scope = this.shareLinkScope(link);
+        if (attachmentId) {
+            const attachment = await env.DB.prepare(`
+                SELECT hash FROM entry_attachments
+                WHERE id = ? AND entry_id IN (SELECT id FROM entries WHERE ${scope.where.join(' AND ')})
+            `).bind(attachmentId, ...scope.args).first();
+            // Not immutable: a revoked link must stop showing its images
+            return await this.serveAttachmentBytes(request, attachment && attachment.hash, env, headers);
+        }
+
+        const keys = ENTRY_SORTS[new URLSearchParams(link.filter || '').get('sort') || 'pinned'];
+        const { results } = await env.DB.prepare(`
+            SELECT ${ENTRY_COLUMNS} FROM entries WHERE ${scope.where.join(' AND ')}
+            ORDER BY ${keys.map(k => `${k.expr} ${k.dir}`).join(', ')} LIMIT ?
+        `).bind(...scope.args, MAX_SHARE_ENTRIES + 1).all();
+        if (link.entry_id && !results.length) {
+            return this.sharePageMessage(404, 'Catatan tidak tersedia', 'Catatan yang dibagikan sudah dihapus.', headers);
+        }
+
+        const entries = await this.withAttachmentMeta(env, link.journal_id, results.slice(0, MAX_SHARE_ENTRIES).map(e => this.normalizeEntry(e)));
+        if (request.method === 'GET') {
+            await env.DB.prepare('UPDATE share_links SET view_count = view_count + 1, last_viewed_at = ? WHERE id = ?').bind(now, link.id).run();
+        }
+
+        const html = this.renderSharePage(link, token, entries, results.length > MAX_SHARE_ENTRIES);
+        return new Response(html, { headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' } });
+    },
+
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    },
+
+    renderSharePage(link, token, entries, truncated) {
+        const date = (value) => new Date(`${value}T00:00:00Z`).toLocaleDateString('id-ID', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+        const money = new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' });
+        const expires = new Date(link.expires_at).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+        const cards = entries.map(e => `
+            <article class="card">
+                <div class="meta">${this.escapeHtml(date(e.date))} · <span class="badge">${this.escapeHtml(e.type)}</span>${e.amount ? ` · ${this.escapeHtml(money.format(e.amount))}` : ''}${e.pinned ? ' · 📌' : ''}${e.highlight ? ' · ⭐' : ''}</div>
+                <h2>${this.escapeHtml(e.title)}</h2>
+                ${e.reason ? `<p class="reason">${this.escapeHtml(e.reason)}</p>` : ''}
+                ${e.attachments.map(att => `
+                <figure>
+                    <a href="/s/${this.escapeHtml(token)}/images/${this.escapeHtml(att.id)}"><img src="/s/${this.escapeHtml(token)}/images/${this.escapeHtml(att.id)}" alt="${this.escapeHtml(att.caption || e.title)}" loading="lazy"></a>
+                    ${att.caption ? `<figcaption>${this.escapeHtml(att.caption)}</figcaption>` : ''}
+                </figure>`).join('')}
+            </article>`).join('');
+
+        return this.sharePageShell(link.title, `
+            <header>
+                <h1>${this.escapeHtml(link.title)}</h1>
+                <p class="muted">${link.entry_id ? 'Satu catatan' : `${entries.length}${truncated ? '+' : ''} catatan`} · dibagikan dari JournalFinance · berlaku s.d. ${this.escapeHtml(expires)}</p>
+            </header>
+            ${cards || '<p class="muted">Belum ada catatan yang cocok dengan filter ini.</p>'}
+            ${truncated ? `<p class="muted">Hanya ${MAX_SHARE_ENTRIES} catatan pertama yang ditampilkan.</p>` : ''}`);
+    },
+
+    sharePageMessage(status, title, text, headers) {
+        const html = this.sharePageShell(title, `<header><h1>${this.escapeHtml(title)}</h1><p class="muted">${this.escapeHtml(text)}</p></header>`);
+        return new Response(html, { status, headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' } });
+    },
+
+    sharePageShell(title, body) {
+        return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${this.escapeHtml(title)} · JournalFinance</title>
+<style>
+    body { margin: 0; background: #f8fafc; color: #0f172a; font: 15px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+    main { max-width: 760px; margin: 0 auto; padding: 24px 16px 48px; }
+    h1 { font-size: 1.5rem; margin: 0 0 4px; }
+    h2 { font-size: 1.1rem; margin: 4px 0 8px; }
+    .muted, .meta { color: #64748b; font-size: 0.85rem; }
+    .card { background: #fff; border: 1px solid #e2e8f0; border-radius: 12px; padding: 16px; margin-top: 16px; }
+    .badge { text-transform: uppercase; font-weight: 600; letter-spacing: 0.03em; }
+    .reason { white-space: pre-wrap; overflow-wrap: anywhere; margin: 0 0 8px; }
+    figure { margin: 12px 0 0; }
+    img { display: block; max-width: 100%; border-radius: 8px; border: 1px solid #e2e8f0; }
+    figcaption { color: #64748b; font-size: 0.85rem; margin-top: 4px; }
+    @media (prefers-color-scheme: dark) {
+        body { background: #0f172a; color: #e2e8f0; }
+        .card { background: #1e293b; border-color: #334155; }
+        img { border-color: #334155; }
+    }
+</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+    },
+
+    // --- SCHEDULED MAINTENANCE (Cron Trigger) ---
+
+    // Daily: purgeExpired. Every few minutes (WEBHOOK_RETRY_CRON): due webhook retries.
+    async scheduled(event, env, ctx) {
+        if (event.cron === WEBHOOK_RETRY_CRON) ctx.waitUntil(this.retryWebhookDeliveries(env));
+        else ctx.waitUntil(this.purgeExpired(env));
+    },
+
+    async purgeExpired(env) {
+        await this.migrateLegacyImages(env);
+
+        const now = Date.now();
+        const trashCutoff = now - this.getTrashRetentionDays(env) * 24 * 60 * 60 * 1000;
+
+        await env.DB.batch([
+            // 1. Trash past retention -> permanent delete (tombstoned for delta sync)
+            env.DB.prepare('INSERT OR REPLACE INTO entry_tombstones (id, user_id, journal_id, deleted_at) SELECT id, user_id, journal_id, ? FROM entries WHERE deleted_at IS NOT NULL AND deleted_at < ?').bind(now, trashCutoff),
+            env.DB.prepare('DELETE FROM entries WHERE deleted_at IS NOT NULL AND deleted_at < ?').bind(trashCutoff),
+            // 2. Clients with an older cursor get a full snapshot, so these are no longer needed
+            env.DB.prepare('DELETE FROM entry_tombstones WHERE deleted_at < ?').bind(now - TOMBSTONE_TTL_MS),
+            // 3. Expired reset links; sessions revoked or idle past the refresh token lifetime
+            env.DB.prepare('DELETE FROM reset_tokens WHERE expires_at < ?').bind(now),
+            env.DB.prepare('DELETE FROM sessions WHERE revoked_at IS NOT NULL OR last_seen_at < ?').bind(now - SESSION_MAX_IDLE_MS),
+            // Used refresh tokens are kept until expiry so a replay can still be recognised
+            env.DB.prepare('DELETE FROM refresh_tokens WHERE expires_at < ? OR session_id NOT IN (SELECT id FROM sessions)').bind(now),
+            // Security log past retention
+            env.DB.prepare('DELETE FROM audit_events WHERE created_at < ?').bind(now - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            // Accounts past their deletion grace period. Cascades to entries, sessions, audit log, ...;
+            // reset links and login counters aren't linked by foreign key, so they go first
+            env.DB.prepare('DELETE FROM reset_tokens WHERE email IN (SELECT email FROM users WHERE delete_after < ?)').bind(now),
+            env.DB.prepare("DELETE FROM login_attempts WHERE key IN (SELECT 'user:' || id FROM users WHERE delete_after < ?)").bind(now),
+            env.DB.prepare('DELETE FROM users WHERE delete_after < ?').bind(now),
+            // Rate limit windows long gone (no budget spans more than a day)
+            env.DB.prepare('DELETE FROM rate_limits WHERE window_start < ?').bind(now - 24 * 60 * 60 * 1000),
+            // Expired API tokens and seen Telegram updates; finished webhook deliveries and ended share links past their retention
+            env.DB.prepare('DELETE FROM api_tokens WHERE expires_at < ?').bind(now),
+            env.DB.prepare('DELETE FROM telegram_updates WHERE created_at < ?').bind(now - TELEGRAM_UPDATE_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            env.DB.prepare("DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?").bind(now - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            env.DB.prepare('DELETE FROM share_links WHERE MIN(expires_at, IFNULL(revoked_at, expires_at)) < ?').bind(now - SHARE_LINK_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            // Failed-login counters outside their window and no longer locked
+            env.DB.prepare('DELETE FROM login_attempts WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)').bind(now - LOGIN_FAILURE_WINDOW_MS, now),
+            // 4. Attachments no entry points to anymore (replaced / removed / purged images)
+            env.DB.prepare(`
+                DELETE FROM attachments
+                WHERE NOT EXISTS (SELECT 1 FROM entry_attachments WHERE entry_attachments.hash = attachments.hash)
+                AND NOT EXISTS (SELECT 1 FROM entries WHERE entries.image_hash = attachments.hash)
+            `)
+        ]);
+    },
+
+    async verifyAuth(request, env) {
+        const auth = request.headers.get('Authorization');
+        if (!auth || !auth.startsWith('Bearer ')) return null;
+        const token = auth.split(' ')[1];
+        if (token && token.startsWith(API_TOKEN_PREFIX)) return await this.verifyApiToken(request, env, token);
+
+        if (!env.JWT_SECRET) {
+            throw new Error('CRITICAL CONFIG ERROR: JWT_SECRET env var is missing');
+        }
+        const secret = env.JWT_SECRET;
+
+        try {
+            const payload = await this.verifyToken(token, secret);
+            if (payload.purpose) return null; // e.g. the 2FA login step token is not an access token
+
+            // Check Token Version against DB
+            // Use SELECT * to avoid crash if token_version column is missing (migration pending)
+            const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(payload.id).first();
+            if (!user) return null;
+
+            const currentVersion = user.token_version || 1;
+            // Backward compatibility: If payload has no version ('v'), accept if DB is 1 or null.
+            // But if DB > 1, reject legacy tokens.
+            const payloadVersion = payload.v || 0;
+
+            // Strict check: if payload has version, it must match.
+            // If payload has NO version (old token), it is valid ONLY if DB version is default (1 or null)
+            if (payload.v) {
+                if (payload.v !== currentVersion) return null; // Invalidated
+            } else {
+                // Legacy token. If user has logged out all (version > 1), this should fail.
+                // Assuming starting version is 1.
+                if (currentVersion > 1) return null;
+            }
+
+            // Per-device session (tokens issued before sessions existed have no sid)
+            if (payload.sid) {
+                const session = await env.DB.prepare('SELECT last_seen_at FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL').bind(payload.sid, user.id).first();
+                if (!session) return null;
+
+                const now = Date.now();
+                if (now - session.last_seen_at > SESSION_TOUCH_INTERVAL_MS) {
+                    await env.DB.prepare('UPDATE sessions SET last_seen_at = ?, ip = ? WHERE id = ?')
+                        .bind(now, request.headers.get('CF-Connecting-IP') || null, payload.sid).run();
+                }
+                user.session_id = payload.sid;
+            }
+
+            return user;
+        } catch (e) { return null; }
+    },
+
+    // Personal API token (see createApiToken). The returned user carries api_token = { id, scopes, telegramChatId }
+    // and no session_id; routes check scopes through apiTokenAllows.
+    async verifyApiToken(request, env, token) {
+        try {
+            const row = await env.DB.prepare('SELECT id, user_id, scopes, last_used_at, expires_at, telegram_chat_id FROM api_tokens WHERE token_hash = ?')
+                .bind(await this.sha256Hex(new TextEncoder().encode(token))).first();
+            const now = Date.now();
+            if (!row || (row.expires_at && row.expires_at < now)) return null;
+
+            const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(row.user_id).first();
+            // Accounts scheduled for deletion only come back through a password login
+            if (!user || user.delete_after) return null;
+
+            if (!row.last_used_at || now - row.last_used_at > SESSION_TOUCH_INTERVAL_MS) {
+                await env.DB.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').bind(now, row.id).run();
+            }
+            user.api_token = { id: row.id, scopes: row.scopes.split(','), telegramChatId: row.telegram_chat_id };
+            return user;
+        } catch (e) { return null; }
+    },
+
+    // Session (JWT) users pass every check
+    apiTokenAllows(user, scope) {
+        return !user.api_token || user.api_token.scopes.includes(scope);
+    },
+
+    tokenScopeResponse(scope, headers) {
+        const error = scope ? `API token is missing the '${scope}' scope` : 'Not available with an API token';
+        return new Response(JSON.stringify({ error, code: 'TOKEN_SCOPE', scope }), { status: 403, headers });
+    },
+
+    async hashPassword(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+        const derived = await this.pbkdf2(password, salt, PASSWORD_HASH_ITERATIONS);
+        return [PASSWORD_HASH_SCHEME, PASSWORD_HASH_ITERATIONS, this.bytesToBase64(salt), this.bytesToBase64(derived)].join('$');
+    },
+
+    async verifyPassword(password, stored) {
+        if (typeof stored !== 'string') return false;
+
+        // Legacy: unsalted SHA-256 hex (pre-PBKDF2 accounts, upgraded on login)
+        if (/^[0-9a-f]{64}$/.test(stored)) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+            const hex = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+            return this.timingSafeEqual(hex, stored);
+        }
+
+        const [scheme, iterations, salt, hash] = stored.split('$');
+        const rounds = parseInt(iterations, 10);
+        if (scheme !== PASSWORD_HASH_SCHEME || !(rounds > 0 && rounds <= PASSWORD_HASH_ITERATIONS) || !salt || !hash) return false;
+
+        try {
+            const derived = await this.pbkdf2(password, this.base64ToBytes(salt), rounds);
+            return this.timingSafeEqual(this.bytesToBase64(derived), hash);
+        } catch (e) {
+            return false; // Corrupt salt encoding
+        }
+    },
+
+    passwordNeedsRehash(stored) {
+        const [scheme, iterations] = String(stored).split('$');
+        return scheme !== PASSWORD_HASH_SCHEME || parseInt(iterations, 10) < PASSWORD_HASH_ITERATIONS;
+    },
+
+    async pbkdf2(password, salt, iterations) {
+        const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+        return new Uint8Array(bits);
+    },
+
+    bytesToBase64(bytes) {
+        // In chunks: spreading a whole image into fromCharCode overflows the call stack
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        return btoa(binary);
+    },
+
+    base64ToBytes(value) {
+        return Uint8Array.from(atob(value), c => c.charCodeAt(0));
+    },
+
+    // Compares without bailing out at the first differing character
+    timingSafeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
+    },
 
-    async signToken(payload, secret) {
+    async signToken(payload, secret, ttlSeconds = ACCESS_TOKEN_TTL_SECONDS) {
         const header = btoa(JSON.stringify({ alg: "HS256", typ: "JWT" }));
-        const body = btoa(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + 7776000 }));
+        const body = btoa(JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds }));
         const unsigned = `${header}.${body}`;
         const signature = await this.hmacSha256(unsigned, secret);
         return `${unsigned}.${signature}`;
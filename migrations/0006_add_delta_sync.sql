@@ -0,0 +1,19 @@
+-- Migration: Delta sync support (change cursor + tombstones)
+-- updated_at is a server-side millisecond clock, bumped on every write.
+
+ALTER TABLE entries ADD COLUMN updated_at INTEGER;
+
+-- Backfill existing rows so they are visible to the first delta pull
+UPDATE entries SET updated_at = COALESCE(timestamp, last_synced * 1000, 0) WHERE updated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_entries_user_updated ON entries(user_id, updated_at);
+
+-- Tombstones: remember deleted IDs so clients can drop them without a full diff
+CREATE TABLE IF NOT EXISTS entry_tombstones (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    deleted_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tombstones_user_deleted ON entry_tombstones(user_id, deleted_at);
@@ -0,0 +1,6 @@
+-- Migration: Trash bin (soft delete)
+-- deleted_at (ms) marks an entry as trashed; the cron trigger purges it after the retention period.
+
+ALTER TABLE entries ADD COLUMN deleted_at INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_entries_user_deleted ON entries(user_id, deleted_at);
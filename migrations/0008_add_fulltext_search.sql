@@ -0,0 +1,27 @@
+-- Migration: Full-text search (FTS5) over entries.title + entries.reason
+-- Standalone FTS table keyed by entry_id (entries has a TEXT primary key, so its rowid is not stable).
+-- Kept in sync with triggers; user_id is stored for filtering only.
+
+CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+    entry_id UNINDEXED,
+    user_id UNINDEXED,
+    title,
+    reason,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_insert AFTER INSERT ON entries BEGIN
+    INSERT INTO entries_fts (entry_id, user_id, title, reason) VALUES (new.id, new.user_id, new.title, COALESCE(new.reason, ''));
+END;
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_delete AFTER DELETE ON entries BEGIN
+    DELETE FROM entries_fts WHERE entry_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS entries_fts_update AFTER UPDATE OF title, reason ON entries BEGIN
+    UPDATE entries_fts SET title = new.title, reason = COALESCE(new.reason, '') WHERE entry_id = old.id;
+END;
+
+-- Backfill existing entries
+INSERT INTO entries_fts (entry_id, user_id, title, reason)
+SELECT id, user_id, title, COALESCE(reason, '') FROM entries;
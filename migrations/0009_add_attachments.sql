@@ -0,0 +1,20 @@
+-- Migration: Content-addressed attachments store
+-- Image bytes live once per SHA-256 hash; entries point to them via image_hash.
+--
+-- Existing base64 rows in entries.image_data are converted by the worker (SQLite cannot
+-- decode base64 or hash): lazily on the first image request, and in batches by the cron trigger.
+-- After conversion image_data is set to NULL.
+
+CREATE TABLE IF NOT EXISTS attachments (
+    hash TEXT PRIMARY KEY, -- SHA-256 (hex) of the raw bytes
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    data BLOB NOT NULL,
+    created_at INTEGER DEFAULT (strftime('%s', 'now'))
+);
+
+ALTER TABLE entries ADD COLUMN image_hash TEXT REFERENCES attachments(hash);
+
+CREATE INDEX IF NOT EXISTS idx_entries_image_hash ON entries(image_hash);
+-- Lets the cron trigger find unconverted legacy rows quickly
+CREATE INDEX IF NOT EXISTS idx_entries_legacy_image ON entries(image_hash) WHERE image_data IS NOT NULL;
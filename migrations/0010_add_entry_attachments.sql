@@ -0,0 +1,33 @@
+-- Migration: Multiple attachments per entry
+-- entry_attachments links an entry to 0..N blobs in the attachments store, ordered by position,
+-- each with an optional caption.
+--
+-- entries.image_hash stays as the cover (first attachment) and attachment_count is kept
+-- in sync by the worker, so list endpoints can render thumbnails without a join.
+
+CREATE TABLE IF NOT EXISTS entry_attachments (
+    id TEXT PRIMARY KEY,
+    entry_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    hash TEXT NOT NULL REFERENCES attachments(hash),
+    caption TEXT DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER DEFAULT (strftime('%s', 'now')),
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_attachments_entry ON entry_attachments(entry_id, position);
+CREATE INDEX IF NOT EXISTS idx_entry_attachments_hash ON entry_attachments(hash);
+
+-- Hard-deleted entries (trash purge) take their attachment links with them
+CREATE TRIGGER IF NOT EXISTS entry_attachments_cleanup AFTER DELETE ON entries BEGIN
+    DELETE FROM entry_attachments WHERE entry_id = old.id;
+END;
+
+ALTER TABLE entries ADD COLUMN attachment_count INTEGER DEFAULT 0;
+
+-- Backfill: existing single images become attachment #0
+INSERT INTO entry_attachments (id, entry_id, user_id, hash, position)
+SELECT lower(hex(randomblob(16))), id, user_id, image_hash, 0 FROM entries WHERE image_hash IS NOT NULL;
+
+UPDATE entries SET attachment_count = 1 WHERE image_hash IS NOT NULL;
@@ -0,0 +1,25 @@
+-- Migration: Entry revision history
+-- Every update that changes an entry first copies the previous version here,
+-- so earlier reasoning can be reviewed (diff) and restored (revert).
+
+CREATE TABLE IF NOT EXISTS entry_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    date TEXT NOT NULL,
+    title TEXT NOT NULL,
+    type TEXT NOT NULL,
+    amount REAL DEFAULT 0,
+    reason TEXT,
+    highlight BOOLEAN DEFAULT 0,
+    pinned BOOLEAN DEFAULT 0,
+    created_at INTEGER NOT NULL, -- Server clock (ms): when this version was replaced
+    FOREIGN KEY (entry_id) REFERENCES entries(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry ON entry_revisions(entry_id, created_at);
+
+-- Hard-deleted entries (trash purge) take their history with them
+CREATE TRIGGER IF NOT EXISTS entry_revisions_cleanup AFTER DELETE ON entries BEGIN
+    DELETE FROM entry_revisions WHERE entry_id = old.id;
+END;
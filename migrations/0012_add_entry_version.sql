@@ -0,0 +1,5 @@
+-- Migration: Optimistic concurrency for entry updates
+-- Every update bumps version. Clients send it back as If-Match: "<version>";
+-- a stale version gets 409 Conflict with the current server copy.
+
+ALTER TABLE entries ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,22 @@
+-- Migration: Repair rows that predate strict entry validation
+-- POST /api/entries and /api/data/sync now reject unknown types, blank titles,
+-- impossible dates, over-long text and non-numeric amounts. Existing rows are
+-- brought in line so editing them (or toggling highlight/pin) keeps working.
+-- Repaired rows get a new updated_at/version so other devices pick up the fix.
+
+UPDATE entries SET
+    type = CASE WHEN type IN ('saham', 'kripto', 'barang', 'peristiwa', 'lainnya') THEN type ELSE 'lainnya' END,
+    title = CASE WHEN title IS NULL OR trim(title) = '' THEN 'Untitled' ELSE substr(title, 1, 200) END,
+    reason = substr(reason, 1, 20000),
+    date = CASE
+        WHEN date GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]' AND date(date) IS date THEN date
+        ELSE COALESCE(date(timestamp / 1000, 'unixepoch'), date('now'))
+    END,
+    amount = CASE WHEN typeof(amount) IN ('integer', 'real') THEN amount ELSE 0 END,
+    updated_at = CAST(strftime('%s', 'now') AS INTEGER) * 1000,
+    version = version + 1
+WHERE type IS NULL OR type NOT IN ('saham', 'kripto', 'barang', 'peristiwa', 'lainnya')
+    OR title IS NULL OR trim(title) = '' OR length(title) > 200
+    OR length(reason) > 20000
+    OR date IS NULL OR NOT (date GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]') OR date(date) IS NOT date
+    OR typeof(amount) NOT IN ('integer', 'real');
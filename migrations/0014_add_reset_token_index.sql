@@ -0,0 +1,4 @@
+-- Migration: Password reset lookups
+-- /api/auth/reset finds the row by the SHA-256 of the token from the link.
+
+CREATE INDEX IF NOT EXISTS idx_reset_tokens_token ON reset_tokens(token);
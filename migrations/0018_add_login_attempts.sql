@@ -0,0 +1,10 @@
+-- Migration: Brute-force protection on login
+-- Failed attempts are counted per account and per client IP. Past a threshold each further failure
+-- locks that key for an exponentially growing time; a successful login clears the account counter.
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+    key TEXT PRIMARY KEY,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failed_at INTEGER NOT NULL,
+    locked_until INTEGER
+);
@@ -0,0 +1,9 @@
+-- Migration: Persistent rate limiting
+-- Replaces the per-isolate in-memory Map. One fixed-window counter per route class and subject,
+-- key = '<class>:user:<id>' or '<class>:ip:<address>'.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0
+);
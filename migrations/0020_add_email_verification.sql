@@ -0,0 +1,8 @@
+-- Migration: Email verification
+-- New accounts (and changed addresses) start unverified until the emailed link is opened.
+-- Accounts created before this migration are treated as verified.
+
+ALTER TABLE users ADD COLUMN verified_at INTEGER;
+ALTER TABLE users ADD COLUMN verification_sent_at INTEGER;
+
+UPDATE users SET verified_at = IFNULL(created_at, strftime('%s', 'now')) * 1000 WHERE verified_at IS NULL;
@@ -0,0 +1,24 @@
+-- Migration: Security audit log
+-- Append-only record of security-relevant account events (logins, password / email changes,
+-- session revocations, bulk deletes) with the client IP and user agent. Rows are only ever
+-- removed by retention cleanup or when the account itself is deleted.
+
+CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    ip TEXT,
+    user_agent TEXT,
+    detail TEXT,
+    created_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events(user_id, id);
+
+CREATE TRIGGER IF NOT EXISTS audit_events_append_only
+BEFORE UPDATE ON audit_events
+BEGIN
+    SELECT RAISE(ABORT, 'audit_events is append-only');
+END;
@@ -0,0 +1,7 @@
+-- Migration: Account deletion with grace period
+-- A deletion request sets delete_after; signing in before then clears it. The scheduled cleanup
+-- deletes users past delete_after and ON DELETE CASCADE removes their data.
+
+ALTER TABLE users ADD COLUMN delete_after INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_users_delete_after ON users(delete_after) WHERE delete_after IS NOT NULL;
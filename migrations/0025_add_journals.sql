@@ -0,0 +1,49 @@
+-- Migration: Shared journals
+-- Entries now belong to a journal (journal_id). Every user gets a personal journal 'personal-<user id>'
+-- holding their existing entries; other users join a journal through journal_members with a role
+-- (owner / editor / viewer). user_id on entry rows is the journal's owner of record, so deleting that
+-- account still removes the journal's data through ON DELETE CASCADE.
+
+CREATE TABLE IF NOT EXISTS journals (
+    id TEXT PRIMARY KEY,
+    owner_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    personal INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journals_owner ON journals(owner_id);
+
+CREATE TABLE IF NOT EXISTS journal_members (
+    journal_id TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (journal_id, user_id),
+    FOREIGN KEY (journal_id) REFERENCES journals(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_members_user ON journal_members(user_id);
+
+INSERT OR IGNORE INTO journals (id, owner_id, name, personal, created_at)
+SELECT 'personal-' || id, id, 'Jurnal Pribadi', 1, CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM users;
+
+INSERT OR IGNORE INTO journal_members (journal_id, user_id, role, created_at)
+SELECT 'personal-' || id, id, 'owner', CAST(strftime('%s', 'now') AS INTEGER) * 1000 FROM users;
+
+ALTER TABLE entries ADD COLUMN journal_id TEXT REFERENCES journals(id) ON DELETE CASCADE;
+UPDATE entries SET journal_id = 'personal-' || user_id;
+CREATE INDEX IF NOT EXISTS idx_entries_journal_updated ON entries(journal_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_entries_journal_deleted ON entries(journal_id, deleted_at);
+
+ALTER TABLE entry_attachments ADD COLUMN journal_id TEXT;
+UPDATE entry_attachments SET journal_id = 'personal-' || user_id;
+
+ALTER TABLE entry_revisions ADD COLUMN journal_id TEXT;
+UPDATE entry_revisions SET journal_id = 'personal-' || user_id;
+
+ALTER TABLE entry_tombstones ADD COLUMN journal_id TEXT;
+UPDATE entry_tombstones SET journal_id = 'personal-' || user_id;
+CREATE INDEX IF NOT EXISTS idx_tombstones_journal_deleted ON entry_tombstones(journal_id, deleted_at);
@@ -0,0 +1,22 @@
+-- Migration: Public share links
+-- Read-only links to one entry or a saved filter of a journal, served by the worker as an HTML page at
+-- /s/<id>.<signature>. The signature is an HMAC of the id, so a link can't be forged from a guessed id;
+-- revoked_at / expires_at are checked on every view, and each view bumps view_count.
+
+CREATE TABLE IF NOT EXISTS share_links (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    journal_id TEXT NOT NULL,
+    entry_id TEXT,
+    filter TEXT,
+    title TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked_at INTEGER,
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at INTEGER,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (journal_id) REFERENCES journals(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_journal ON share_links(journal_id, created_at);
@@ -0,0 +1,14 @@
+-- Migration: Telegram capture guard
+-- The bot webhook is authenticated by its secret token only, and anyone can message a public bot.
+-- A token now only captures from the one chat stored in telegram_chat_id (NULL = no chat allowed yet),
+-- and each delivered update_id is recorded so Telegram redeliveries don't create the entry twice.
+
+ALTER TABLE api_tokens ADD COLUMN telegram_chat_id TEXT;
+
+CREATE TABLE IF NOT EXISTS telegram_updates (
+    token_id TEXT NOT NULL,
+    update_id INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (token_id, update_id),
+    FOREIGN KEY (token_id) REFERENCES api_tokens(id) ON DELETE CASCADE
+);
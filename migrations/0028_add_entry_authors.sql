@@ -0,0 +1,14 @@
+-- Migration: Entry authors
+-- user_id on entry rows stays the journal's owner of record (it drives the account-deletion cascade),
+-- so in a shared journal it can't say who wrote what. author_id records the member who made each write:
+-- the entry's last editor, the editor of each replaced revision and the uploader of each attachment.
+-- Existing rows were all written before journals could be shared, so the owner is their author.
+
+ALTER TABLE entries ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+UPDATE entries SET author_id = user_id;
+
+ALTER TABLE entry_revisions ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+UPDATE entry_revisions SET author_id = user_id;
+
+ALTER TABLE entry_attachments ADD COLUMN author_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+UPDATE entry_attachments SET author_id = user_id;
@@ -7,6 +7,7 @@
  * - Beautiful UI for connection status
  * - Retry mechanism with exponential backoff
  * - Asset protection during poor connectivity
+ * - Rate limit aware (429 + Retry-After is a pause, not an outage)
  * ============================================================
  */
 
@@ -19,6 +20,7 @@ const ConnectionMonitor = {
     checkInterval: null,
     lastSuccessfulPing: Date.now(),
     pendingOperations: [],
+    rateLimitedUntil: 0, // ms timestamp, set from the server's Retry-After
 
     // API endpoint for health check
     API_URL: 'https://catatan.arfan-hidayat-priyantono.workers.dev',
@@ -115,7 +117,7 @@ const ConnectionMonitor = {
 
         // Periodic check every 30 seconds
         this.checkInterval = setInterval(() => {
-            if (this.isOnline) {
+            if (this.isOnline && !this.isRateLimited()) {
                 this.checkAPIConnection(true); // Silent check
             }
         }, 30000);
@@ -302,6 +304,45 @@ const ConnectionMonitor = {
         }
     },
 
+    // ==========================================
+    // RATE LIMITING (429)
+    // ==========================================
+
+    /**
+     * Records a 429 response so requests pause until the server's budget resets
+     * @param {Response} response - The rate limiter's 429 (reads Retry-After, falls back to RateLimit-Reset).
+     *   /api/health is not rate limited, so this only comes from Auth.authFetch.
+     * @returns {number} Seconds to wait
+     */
+    handleRateLimit(response) {
+        const seconds = this.getRetryAfterSeconds(response);
+        const wasLimited = this.isRateLimited();
+        this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + seconds * 1000);
+
+        console.warn(`⏳ Rate limited, retry in ${seconds}s`);
+        if (!wasLimited && window.app && window.app.showToast) {
+            window.app.showToast(`⏳ Terlalu banyak permintaan. Coba lagi dalam ${seconds} detik.`);
+        }
+        return seconds;
+    },
+
+    getRetryAfterSeconds(response) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter) {
+            // Either delta-seconds or an HTTP date
+            const seconds = /^\d+$/.test(retryAfter)
+                ? Number(retryAfter)
+                : Math.ceil((Date.parse(retryAfter) - Date.now()) / 1000);
+            if (seconds > 0) return seconds;
+        }
+        const reset = Number(response.headers.get('RateLimit-Reset'));
+        return reset > 0 ? reset : 60;
+    },
+
+    isRateLimited() {
+        return Date.now() < this.rateLimitedUntil;
+    },
+
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     },
@@ -322,6 +363,11 @@ const ConnectionMonitor = {
             throw new ConnectionError('OFFLINE', 'Tidak ada koneksi internet. Operasi tidak dapat dilakukan dalam mode offline.');
         }
 
+        if (this.isRateLimited()) {
+            const seconds = Math.ceil((this.rateLimitedUntil - Date.now()) / 1000);
+            throw new ConnectionError('RATE_LIMITED', `Terlalu banyak permintaan. Coba lagi dalam ${seconds} detik.`);
+        }
+
         if (!this.isConnectedToAPI) {
             // Try a quick check
             const connected = await this.checkAPIConnection(true);
@@ -390,6 +436,7 @@ const ConnectionMonitor = {
             isOnline: this.isOnline,
             isConnectedToAPI: this.isConnectedToAPI,
             lastSuccessfulPing: this.lastSuccessfulPing,
+            rateLimitedUntil: this.rateLimitedUntil,
             pendingOperations: this.pendingOperations.length
         };
     }
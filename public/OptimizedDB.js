@@ -14,9 +14,10 @@
 class OptimizedJournalDB {
     constructor() {
         this.dbName = 'JournalFinanceDB_V2';
-        this.dbVersion = 3;
+        this.dbVersion = 4;
         this.entryStore = 'entries';
         this.imageStore = 'images';
+        this.metaStore = 'meta';
         this.db = null;
     }
 
@@ -73,6 +74,11 @@ class OptimizedJournalDB {
                 if (!db.objectStoreNames.contains('restore_cache')) {
                     db.createObjectStore('restore_cache', { keyPath: 'id' });
                 }
+
+                // Store 4: Meta (key-value, e.g. delta sync cursor)
+                if (!db.objectStoreNames.contains(this.metaStore)) {
+                    db.createObjectStore(this.metaStore, { keyPath: 'key' });
+                }
             };
         });
 
@@ -251,21 +257,49 @@ class OptimizedJournalDB {
         });
     }
 
+    // ====================
+    // META (Key-Value)
+    // ====================
+
+    /**
+     * Get a meta value (e.g. 'syncCursor'), null if missing
+     */
+    async getMeta(key) {
+        if (!this.db) await this.open();
+        return new Promise((resolve) => {
+            const transaction = this.db.transaction([this.metaStore], 'readonly');
+            const request = transaction.objectStore(this.metaStore).get(key);
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    async setMeta(key, value) {
+        if (!this.db) await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.metaStore], 'readwrite');
+            transaction.objectStore(this.metaStore).put({ key, value });
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (e) => reject(e.target.error);
+        });
+    }
+
     // ====================
     // UTILITY METHODS
     // ====================
 
     /**
-     * Clear all data (entries + images)
+     * Clear all data (entries + images + sync cursor)
      */
     async clearAll() {
         if (!this.db) await this.open();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.entryStore, this.imageStore], 'readwrite');
+            const transaction = this.db.transaction([this.entryStore, this.imageStore, this.metaStore], 'readwrite');
 
             transaction.objectStore(this.entryStore).clear();
             transaction.objectStore(this.imageStore).clear();
+            transaction.objectStore(this.metaStore).clear();
 
             transaction.oncomplete = () => {
                 resolve();
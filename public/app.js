@@ -55,6 +55,21 @@ window.app = {
     data: [],
     worker: null,
     deferredPrompt: null, // Will be set from global
+    offlineMode: false, // true = list served from IndexedDB cache (no server paging)
+    PAGE_SIZE: 50,
+    page: { cursor: null, hasMore: false, loading: false, total: null, images: null, requestId: 0 },
+    searchMode: false, // true = list holds ranked FTS results (keep server order)
+    searchHighlights: new Map(), // entryId -> { title, reason } with \u0002...\u0003 match markers
+    imageUrls: new Map(), // imageHash -> object URL (same hash = same bytes, shared across entries)
+    MAX_ATTACHMENTS: 10,
+    // Mirrors the server's entry validation (backend/worker.js validateEntry)
+    ENTRY_TYPES: ['saham', 'kripto', 'barang', 'peristiwa', 'lainnya'],
+    MAX_TITLE_LENGTH: 200,
+    MAX_REASON_LENGTH: 20000,
+    editAttachments: [], // Entry modal: { key, id, hash, url, imageData, caption, savedCaption } in display order
+    removedAttachmentIds: [],
+    attachmentsReordered: false,
+    editBaseVersion: null, // Entry version the edit modal was opened with (sent as If-Match)
 
     async init() {
         try {
@@ -78,6 +93,9 @@ window.app = {
             // SHOW USER INFO
             this.renderHeaderUser();
 
+            // Pick up changes made elsewhere (e.g. email verified from the link on another device)
+            Auth.fetchAccount().then(user => this.updateHeaderUser(user)).catch(e => console.warn('Account refresh failed:', e.message));
+
             // --- Cloud Init (with Connection Guard) ---
             this.showProgress(10, 'Memuat Data', 'Menghubungkan ke server...');
 
@@ -91,12 +109,13 @@ window.app = {
                     }
                 }
 
-                // Try Cloud First (Authority)
-                this.data = await Auth.fetchEntries();
-                // Update Local Cache immediately
-                await this.db.clearAll();
-                await this.db.bulkPut('entries', this.data);
-                console.log('✅ Cloud Data Loaded & Cached');
+                // Which journal the data below belongs to (falls back to the personal one)
+                await this.loadJournals();
+
+                // Try Cloud First (Authority) - first page only, the rest loads while scrolling.
+                // Local cache is kept up to date by performSync (Delta Sync).
+                await this.loadFirstPage({ render: false });
+                console.log('✅ Cloud Data Loaded (first page)');
 
                 // Hide connection banner if shown
                 if (typeof ConnectionMonitor !== 'undefined') {
@@ -115,6 +134,8 @@ window.app = {
                 }
 
                 // Fallback to Local DB (READ-ONLY MODE)
+                this.offlineMode = true;
+                this.page.hasMore = false;
                 try {
                     const localData = await this.db.getAllEntries();
                     if (localData && localData.length > 0) {
@@ -137,6 +158,7 @@ window.app = {
             this.registerServiceWorker();
             this.initTheme();
             this.initEventListeners();
+            this.initInfiniteScroll();
             this.renderList();
 
             // Background Sync (Every 30 seconds) - Near Real-time
@@ -167,11 +189,32 @@ window.app = {
                 userDiv.style.cssText = 'position: absolute; top: 1rem; right: 1rem; font-size: 0.85rem; color: var(--text-muted); background: var(--bg-card); padding: 4px 12px; border-radius: 20px; border: 1px solid var(--border-color); display: flex; align-items: center; gap: 8px; z-index: 50;';
                 userDiv.innerHTML = `
                         <div style="width: 8px; height: 8px; background: #10b981; border-radius: 50%;"></div>
-                        <span style="max-width: 150px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${user.username || user.email}</span>
+                        <span id="userDisplayName" style="max-width: 150px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;"></span>
+                        <select id="journalSwitcher" class="journal-switcher" title="Jurnal aktif" aria-label="Jurnal aktif" hidden></select>
+                        <a href="#" id="btnSessions" style="color: var(--text-muted); margin-left: 12px; text-decoration: none; font-size: 0.8rem;" title="Perangkat yang sedang masuk">Perangkat</a>
                         <a href="#" id="btnLogoutAll" style="color: var(--text-muted); margin-left: 12px; text-decoration: none; font-size: 0.8rem;" title="Keluar semua perangkat">Keluar Semua</a>
                         <a href="#" id="btnLogout" style="color: #ef4444; margin-left: 8px; text-decoration: none; font-weight: 600;">Keluar</a>
                      `;
                 document.body.appendChild(userDiv);
+                this.updateHeaderUser(user);
+
+                const sessionMenu = document.createElement('div');
+                sessionMenu.id = 'sessionMenu';
+                sessionMenu.className = 'session-menu';
+                sessionMenu.hidden = true;
+                userDiv.appendChild(sessionMenu);
+
+                document.getElementById('journalSwitcher').addEventListener('change', (e) => this.switchJournal(e.target.value));
+
+                document.getElementById('btnSessions').addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.toggleSessionMenu();
+                });
+
+                sessionMenu.addEventListener('click', (e) => {
+                    const btn = e.target.closest('[data-action="revoke-session"]');
+                    if (btn) this.revokeSession(btn.dataset.id, btn.dataset.current === 'true');
+                });
 
                 document.getElementById('btnLogout').addEventListener('click', (e) => {
                     e.preventDefault();
@@ -282,10 +325,7 @@ window.app = {
 
         if (operation === 'restore' || operation === 'reset') {
             // Reload data from Cloud
-            Auth.fetchEntries().then(entries => {
-                this.data = entries;
-                this.renderList();
-
+            this.loadFirstPage().then(() => {
                 if (operation === 'restore') {
                     localStorage.removeItem('APP_STATUS');
                     this.showAlert('Restore Berhasil', 'Data telah dipulihkan. Aplikasi akan dimuat ulang untuk memproses data baru.')
@@ -354,9 +394,20 @@ window.app = {
 
             for (const entry of entriesWithImages) {
                 try {
-                    const imgData = await Auth.fetchImage(entry.id);
-                    if (imgData) {
-                        images.push({ entryId: entry.id, data: imgData });
+                    const attachments = entry.attachments || [];
+                    if (attachments.length > 0) {
+                        for (const att of attachments) {
+                            const imgData = await Auth.fetchAttachmentDataUrl(entry.id, att.id);
+                            if (imgData) {
+                                images.push({ entryId: entry.id, data: imgData, caption: att.caption, position: att.position });
+                            }
+                        }
+                    } else {
+                        // Legacy single image (not converted to an attachment yet)
+                        const imgData = await Auth.fetchImage(entry.id);
+                        if (imgData) {
+                            images.push({ entryId: entry.id, data: imgData });
+                        }
                     }
                 } catch (err) {
                     console.warn('Failed to backup image for', entry.id);
@@ -395,7 +446,7 @@ window.app = {
         document.getElementById('filterType').value = '';
         document.getElementById('dateStart').value = '';
         document.getElementById('dateEnd').value = '';
-        this.renderList();
+        this.reloadList();
         this.showToast('Filters reset');
     },
 
@@ -409,7 +460,7 @@ window.app = {
         const file = input.files[0];
         if (!file) return;
 
-        const confirmed = await this.showConfirm('Restore Data', 'PERINGATAN: Restore akan MENGHAPUS semua data saat ini. Lanjut?');
+        const confirmed = await this.showConfirm('Restore Data', 'PERINGATAN: Restore akan memindahkan semua data saat ini ke Sampah. Lanjut?');
         if (!confirmed) {
             input.value = '';
             return;
@@ -492,15 +543,17 @@ window.app = {
                     ...item,
                     amount: parseFloat(item.amount) || 0, // IMPORTANT: Default to 0 if missing
                     hasImage: !!item.hasImage,
-                    imageData: null // Will be populated from images array if exists
+                    imageData: null, // Will be populated from images array if exists
+                    attachments: [] // Backup metadata only; bytes come from the images array
                 }));
 
-                // Map separate images back to entries
+                // Map separate images back to entries (several per entry, in position order)
                 if (Array.isArray(json.images)) {
-                    json.images.forEach(img => {
+                    const sortedImages = [...json.images].sort((a, b) => (a.position || 0) - (b.position || 0));
+                    sortedImages.forEach(img => {
                         const target = entriesToRestore.find(e => String(e.id) === String(img.entryId));
                         if (target) {
-                            target.imageData = img.data;
+                            target.attachments.push({ imageData: img.data, caption: img.caption || '' });
                             target.hasImage = true;
                         }
                     });
@@ -564,9 +617,10 @@ window.app = {
             // So `entriesToRestore` contains everything.
             // I just need to rotate IDs.
 
-            entriesToRestore.forEach(entry => {
-                entry.id = crypto.randomUUID();
-            });
+            entriesToRestore = entriesToRestore.map(entry => ({
+                ...this.sanitizeImportedEntry(entry),
+                id: crypto.randomUUID()
+            }));
 
             // That's it? Yes, much simpler in app.js structure because it merged images first.
             // Unlike worker-db.js which kept them separate for bulkPut ("images" store).
@@ -633,7 +687,7 @@ window.app = {
                         const entry = parsed[i];
                         try {
                             // Format check
-                            const newEntry = {
+                            const newEntry = this.sanitizeImportedEntry({
                                 id: String(entry.id || Date.now() + i),
                                 date: entry.date,
                                 type: entry.type || 'lainnya',
@@ -645,7 +699,7 @@ window.app = {
                                 hasImage: !!entry.image,
                                 imageData: entry.image || null,
                                 timestamp: entry.timestamp || Date.now()
-                            };
+                            });
 
                             await Auth.saveEntry(newEntry);
                             successCount++;
@@ -658,8 +712,7 @@ window.app = {
                     // Clear old storage after successful migration
                     if (successCount > 0) {
                         localStorage.removeItem(this.STORAGE_KEY);
-                        this.data = await Auth.fetchEntries();
-                        this.renderList();
+                        await this.loadFirstPage();
                         this.showToast(`✅ Berhasil migrasi ${successCount} catatan ke Cloud!`);
                     }
                 }
@@ -715,49 +768,22 @@ window.app = {
             // We do not upload "local" changes here because "Online Only" app pushes changes immediately on save.
             // Any "local only" data is considered stale/failed and should be overwritten by Cloud Truth.
 
-            // 1. Fetch All Metadata from Cloud
-            const cloudEntries = await Auth.fetchEntries();
-            if (!Array.isArray(cloudEntries)) throw new Error('Invalid cloud response');
-
-            // 2. Get All Local IDs to determine what to delete (Zombies)
-            // We use getAllEntries just to get IDs, or optimize if DB has getKeys method
-            const localEntries = await this.db.getAllEntries();
-            const localMap = new Map();
-            localEntries.forEach(e => localMap.set(String(e.id), e));
-
-            const cloudMap = new Map();
-            cloudEntries.forEach(e => cloudMap.set(String(e.id), e));
-
-            // 3. Diffing
-            const toDelete = [];
-            const toUpdate = [];
+            // 1. Fetch only what changed since the last pull (Delta Sync)
+            const cursor = await this.db.getMeta('syncCursor');
+            const changes = await Auth.fetchChanges(cursor);
+            if (!Array.isArray(changes.entries)) throw new Error('Invalid cloud response');
 
-            // A. Identify Zombies (Local items not in Cloud)
-            for (const localId of localMap.keys()) {
-                if (!cloudMap.has(localId)) {
-                    toDelete.push(localId);
-                }
-            }
+            const toUpdate = changes.entries.map(item => this.normalizeCloudEntry(item));
+            let toDelete = changes.deleted.map(id => String(id));
 
-            // B. Prepare Updates (Cloud items to Local)
-            for (const item of cloudEntries) {
-                const entryData = {
-                    id: String(item.id),
-                    date: item.date,
-                    title: item.title,
-                    type: item.type,
-                    amount: parseFloat(item.amount) || 0,
-                    reason: item.reason,
-                    highlight: !!item.highlight,
-                    pinned: !!item.pinned,
-                    hasImage: !!item.hasImage,
-                    timestamp: item.timestamp,
-                    last_synced: item.last_synced
-                };
-                toUpdate.push(entryData);
+            // 2. Full snapshot (no cursor yet / cursor expired): Zombies = local items not in Cloud
+            if (changes.full) {
+                const cloudIds = new Set(toUpdate.map(e => e.id));
+                const localEntries = await this.db.getAllEntries();
+                toDelete = localEntries.map(e => String(e.id)).filter(id => !cloudIds.has(id));
             }
 
-            // 4. Execution
+            // 3. Execution
             if (toDelete.length > 0) {
                 console.log('Sync: Deleting zombies', toDelete.length);
                 // Parallel delete
@@ -769,19 +795,39 @@ window.app = {
                 await this.db.bulkPut('entries', toUpdate);
             }
 
-            // 5. Image State Consistency
+            // 4. Image State Consistency
             // If cloud says 'hasImage: false', ensure we don't have a lingering image blob
-            const imageCleanups = [];
-            for (const item of cloudEntries) {
-                if (!item.hasImage) {
-                    // Start check/delete in background (fire and forget acceptable or await)
-                    imageCleanups.push(this.db.deleteImage(String(item.id)));
-                }
-            }
+            const imageCleanups = toUpdate
+                .filter(item => !item.hasImage)
+                .map(item => this.db.deleteImage(item.id));
             if (imageCleanups.length > 0) await Promise.all(imageCleanups);
 
-            // 6. Update Runtime State
-            this.data = toUpdate;
+            await this.db.setMeta('syncCursor', changes.cursor);
+
+            // Back online after an offline start: switch from cache to server paging
+            if (this.offlineMode) {
+                this.offlineMode = false;
+                await this.loadFirstPage();
+                this.showToast('✅ Data termutakhir (Cloud Sync)');
+                return;
+            }
+
+            // 5. Update Runtime State (loaded pages only - unseen entries arrive via paging)
+            const deletedIds = new Set(toDelete);
+            if (changes.full) {
+                const cloudIds = new Set(toUpdate.map(e => e.id));
+                this.data.forEach(e => { if (!cloudIds.has(String(e.id))) deletedIds.add(String(e.id)); });
+            }
+
+            const loadedIds = new Set(this.data.map(e => String(e.id)));
+            const incoming = toUpdate.filter(e => loadedIds.has(e.id) || (!changes.full && this.isWithinLoadedPages(e)));
+
+            if (deletedIds.size > 0 || incoming.length > 0) {
+                const incomingIds = new Set(incoming.map(e => e.id));
+                this.data = this.data
+                    .filter(e => !deletedIds.has(String(e.id)) && !incomingIds.has(String(e.id)))
+                    .concat(incoming);
+            }
             this.renderList();
             this.showToast('✅ Data termutakhir (Cloud Sync)');
 
@@ -795,6 +841,149 @@ window.app = {
         }
     },
 
+    // --- Server Paging (Filter + Infinite Scroll) ---
+
+    // Current filter inputs -> /api/entries query params
+    getServerFilters() {
+        return {
+            q: document.getElementById('searchInput').value.trim(),
+            type: document.getElementById('filterType').value,
+            from: document.getElementById('dateStart').value,
+            to: document.getElementById('dateEnd').value,
+            sort: 'pinned',
+            limit: this.PAGE_SIZE
+        };
+    },
+
+    // One page of the current view: ranked search when there is a query, otherwise the filtered list
+    async fetchPage(cursor = null) {
+        const filters = this.getServerFilters();
+
+        if (filters.q) {
+            const result = await Auth.searchEntries({
+                q: filters.q, type: filters.type, from: filters.from, to: filters.to,
+                limit: filters.limit, offset: cursor
+            });
+            result.entries.forEach(item => this.searchHighlights.set(String(item.id), item.highlight));
+            return { entries: result.entries, nextCursor: result.nextOffset, total: result.total, images: null, search: true };
+        }
+
+        return { ...(await Auth.fetchEntryPage({ ...filters, cursor })), search: false };
+    },
+
+    async loadFirstPage({ render = true } = {}) {
+        const requestId = ++this.page.requestId;
+        this.page.loading = true;
+        this.searchHighlights.clear();
+
+        try {
+            const result = await this.fetchPage();
+            if (requestId !== this.page.requestId) return; // Filter changed meanwhile
+
+            this.searchMode = result.search;
+            this.data = result.entries.map(item => this.normalizeCloudEntry(item));
+            this.page.cursor = result.nextCursor;
+            this.page.hasMore = !!result.nextCursor;
+            this.page.total = result.total;
+            this.page.images = result.images;
+        } finally {
+            if (requestId === this.page.requestId) this.page.loading = false;
+        }
+
+        if (render) this.renderList();
+    },
+
+    async loadNextPage() {
+        if (this.offlineMode || this.page.loading || !this.page.hasMore) return;
+
+        const requestId = this.page.requestId;
+        this.page.loading = true;
+
+        try {
+            const result = await this.fetchPage(this.page.cursor);
+            if (requestId !== this.page.requestId) return;
+
+            // Dedupe: delta sync may already have merged some of these
+            const loadedIds = new Set(this.data.map(e => String(e.id)));
+            const fresh = result.entries
+                .map(item => this.normalizeCloudEntry(item))
+                .filter(e => !loadedIds.has(e.id));
+
+            this.data = this.data.concat(fresh);
+            this.page.cursor = result.nextCursor;
+            this.page.hasMore = !!result.nextCursor;
+            this.renderList();
+        } catch (e) {
+            console.error('Load next page error:', e);
+            this.showToast('⚠️ Gagal memuat catatan berikutnya');
+        } finally {
+            if (requestId === this.page.requestId) this.page.loading = false;
+        }
+    },
+
+    // Used by export features that need the whole filtered view
+    async loadAllPages() {
+        while (!this.offlineMode && this.page.hasMore) {
+            const before = this.data.length;
+            await this.loadNextPage();
+            if (this.data.length === before && this.page.hasMore) break; // Failed, avoid looping forever
+        }
+    },
+
+    async reloadList() {
+        if (this.offlineMode) {
+            this.renderList();
+            return;
+        }
+
+        try {
+            await this.loadFirstPage();
+        } catch (e) {
+            console.error('Reload list error:', e);
+            this.showToast('⚠️ Gagal memuat catatan: ' + e.message);
+        }
+    },
+
+    initInfiniteScroll() {
+        const sentinel = document.getElementById('listSentinel');
+        if (!sentinel || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((items) => {
+            if (items.some(item => item.isIntersecting)) this.loadNextPage();
+        }, { rootMargin: '400px' });
+        observer.observe(sentinel);
+    },
+
+    // Would this entry sort inside the pages already loaded? (otherwise paging will bring it)
+    isWithinLoadedPages(entry) {
+        if (this.searchMode) return false; // Ranking is server-side, new matches show up on the next search
+        if (!this.page.hasMore) return true;
+        const loaded = this.getFilteredData();
+        const last = loaded[loaded.length - 1];
+        return !last || this.compareEntries(entry, last) <= 0;
+    },
+
+    // Cloud row -> local entry shape (IndexedDB + runtime state)
+    normalizeCloudEntry(item) {
+        return {
+            id: String(item.id),
+            date: item.date,
+            title: item.title,
+            type: item.type,
+            amount: parseFloat(item.amount) || 0,
+            reason: item.reason,
+            highlight: !!item.highlight,
+            pinned: !!item.pinned,
+            hasImage: !!item.hasImage,
+            version: item.version ?? null,
+            imageHash: item.image_hash || null,
+            attachmentCount: item.attachment_count || 0,
+            attachments: item.attachments || [],
+            timestamp: item.timestamp,
+            last_synced: item.last_synced
+        };
+    },
+
     initTheme() {
         const savedTheme = localStorage.getItem('theme') || 'light';
         document.body.setAttribute('data-theme', savedTheme);
@@ -818,10 +1007,11 @@ window.app = {
 
         // Filters
         bind('searchInput', 'input', () => this.onSearchInput());
-        bind('filterType', 'change', () => this.renderList());
-        bind('dateStart', 'change', () => this.renderList());
-        bind('dateEnd', 'change', () => this.renderList());
+        bind('filterType', 'change', () => this.reloadList());
+        bind('dateStart', 'change', () => this.reloadList());
+        bind('dateEnd', 'change', () => this.reloadList());
         bind('copyBtn', 'click', () => this.copyText());
+        bind('shareFilterBtn', 'click', () => this.openShareForFilter());
         bind('downloadBtn', 'click', () => this.downloadTxt());
         bind('resetFilterBtn', 'click', () => this.resetFilters());
 
@@ -837,9 +1027,38 @@ window.app = {
             this.saveEntry();
         });
         bind('entryImage', 'change', (e) => this.handleImagePreview(e.target));
+        [['entryDate', 'date'], ['entryType', 'type'], ['entryTitle', 'title'], ['entryReason', 'reason']].forEach(([id, field]) => {
+            bind(id, 'input', () => this.clearFieldErrors(field));
+        });
         bind('triggerImgUploadBtn', 'click', () => document.getElementById('entryImage').click());
-        bind('replaceImgBtn', 'click', () => document.getElementById('entryImage').click());
-        bind('removeImageBtn', 'click', () => this.clearImage());
+
+        // Attachment editor delegation (Reorder, Remove, Caption)
+        const attachmentList = document.getElementById('attachmentList');
+        if (attachmentList) {
+            attachmentList.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (!btn || !btn.dataset.key) return;
+
+                if (btn.dataset.action === 'move-up') this.moveAttachment(btn.dataset.key, -1);
+                if (btn.dataset.action === 'move-down') this.moveAttachment(btn.dataset.key, 1);
+                if (btn.dataset.action === 'remove') this.removeAttachmentDraft(btn.dataset.key);
+            });
+            attachmentList.addEventListener('input', (e) => {
+                const att = this.editAttachments.find(a => a.key === e.target.dataset.key);
+                if (att) att.caption = e.target.value;
+            });
+        }
+
+        // Revision History (Edit Modal)
+        bind('toggleHistoryBtn', 'click', () => this.toggleHistory());
+
+        const historyPanel = document.getElementById('historyPanel');
+        if (historyPanel) {
+            historyPanel.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (btn && btn.dataset.action === 'revert') this.revertToRevision(btn.dataset.id);
+            });
+        }
 
         // Drag & Drop Handling (CSP Compliant)
         const dropZone = document.getElementById('imageDropZone');
@@ -872,6 +1091,119 @@ window.app = {
         bind('cancelDeleteBtn', 'click', () => this.closeDeleteModal());
         bind('confirmDeleteBtn', 'click', () => this.confirmDelete());
 
+        // Account Settings Modal
+        bind('settingsBtn', 'click', () => this.openSettings());
+        bind('closeSettingsModalBtn', 'click', () => this.closeSettingsModal());
+        bind('usernameForm', 'submit', (e) => {
+            e.preventDefault();
+            this.saveUsername(e.target);
+        });
+        bind('emailForm', 'submit', (e) => {
+            e.preventDefault();
+            this.saveEmail(e.target);
+        });
+        bind('passwordForm', 'submit', (e) => {
+            e.preventDefault();
+            this.savePassword(e.target);
+        });
+        bind('resendVerificationBtn', 'click', () => this.resendVerification());
+        bind('twoFactorSetupBtn', 'click', () => this.startTwoFactorSetup());
+        bind('twoFactorSetupForm', 'submit', (e) => {
+            e.preventDefault();
+            this.enableTwoFactor(e.target);
+        });
+        bind('twoFactorDisableForm', 'submit', (e) => {
+            e.preventDefault();
+            this.disableTwoFactor(e.target);
+        });
+        bind('copyRecoveryCodesBtn', 'click', () => this.copyRecoveryCodes());
+        bind('journalRenameForm', 'submit', (e) => {
+            e.preventDefault();
+            this.renameJournal(e.target);
+        });
+        bind('journalMemberForm', 'submit', (e) => {
+            e.preventDefault();
+            this.addJournalMember(e.target);
+        });
+        bind('journalMemberList', 'change', (e) => {
+            const select = e.target.closest('[data-action="journal-member-role"]');
+            if (select) this.updateJournalMember(Number(select.dataset.id), select.value);
+        });
+        bind('journalMemberList', 'click', (e) => {
+            const btn = e.target.closest('[data-action="remove-journal-member"]');
+            if (btn) this.removeJournalMember(Number(btn.dataset.id), btn.dataset.name);
+        });
+        bind('journalCreateForm', 'submit', (e) => {
+            e.preventDefault();
+            this.createJournal(e.target);
+        });
+        bind('leaveJournalBtn', 'click', () => this.leaveJournal());
+        bind('deleteJournalBtn', 'click', () => this.deleteJournal());
+        bind('apiTokenForm', 'submit', (e) => {
+            e.preventDefault();
+            this.createApiToken(e.target);
+        });
+        bind('copyApiTokenBtn', 'click', () => this.copyApiToken());
+        bind('apiTokenList', 'click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'api-token-telegram') this.toggleApiTokenTelegram(btn.dataset.id, btn.dataset.chatId, btn.closest('li'));
+            if (btn.dataset.action === 'revoke-api-token') this.revokeApiToken(btn.dataset.id, btn.dataset.name);
+        });
+        bind('apiTokenList', 'submit', (e) => {
+            e.preventDefault();
+            this.saveApiTokenTelegram(e.target);
+        });
+        bind('webhookForm', 'submit', (e) => {
+            e.preventDefault();
+            this.createWebhook(e.target);
+        });
+        bind('copyWebhookSecretBtn', 'click', () => this.copyWebhookSecret());
+        bind('webhookList', 'click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'test-webhook') this.testWebhook(btn.dataset.id, btn);
+            if (btn.dataset.action === 'webhook-log') this.toggleWebhookDeliveries(btn.dataset.id, btn.closest('li'));
+            if (btn.dataset.action === 'webhook-log-more') this.loadWebhookDeliveries(btn.dataset.id, btn.closest('.webhook-deliveries'), btn.dataset.cursor);
+            if (btn.dataset.action === 'delete-webhook') this.deleteWebhook(btn.dataset.id, btn.dataset.url);
+        });
+        bind('auditMoreBtn', 'click', () => this.loadAuditEvents(this.auditCursor));
+        bind('exportAccountBtn', 'click', () => this.exportAccount());
+        bind('deleteAccountForm', 'submit', (e) => {
+            e.preventDefault();
+            this.deleteAccount(e.target);
+        });
+
+        // Trash Modal (Sampah)
+        // Share Link Modal
+        bind('closeShareModalBtn', 'click', () => this.closeShareModal());
+        bind('shareForm', 'submit', (e) => {
+            e.preventDefault();
+            this.createShareLink(e.target);
+        });
+        bind('copyShareUrlBtn', 'click', () => this.copyShareUrl());
+        bind('shareList', 'click', (e) => {
+            const btn = e.target.closest('button[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'copy-share-link') this.copyShareUrl(btn.dataset.url);
+            if (btn.dataset.action === 'revoke-share-link') this.revokeShareLink(btn.dataset.id, btn.dataset.title);
+        });
+
+        bind('trashBtn', 'click', () => this.openTrash());
+        bind('closeTrashModalBtn', 'click', () => this.closeTrashModal());
+        bind('emptyTrashBtn', 'click', () => this.emptyTrash());
+
+        const trashList = document.getElementById('trashList');
+        if (trashList) {
+            trashList.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (!btn || !btn.dataset.id) return;
+
+                if (btn.dataset.action === 'restore') this.restoreFromTrash(btn.dataset.id);
+                if (btn.dataset.action === 'purge') this.purgeFromTrash(btn.dataset.id);
+            });
+        }
+
         // Reset Modal
         bind('triggerResetBtn', 'click', () => this.initiateReset());
         bind('closeResetModalBtn', 'click', () => this.closeResetModal());
@@ -916,6 +1248,7 @@ window.app = {
                     case 'highlight': this.toggleHighlight(id); break;
                     case 'edit': this.editEntry(id); break;
                     case 'pin': this.togglePin(id); break;
+                    case 'share': this.openShareForEntry(id); break;
                     case 'delete': this.initiateDelete(id); break;
                 }
             });
@@ -927,10 +1260,16 @@ window.app = {
             const deleteModal = document.getElementById('deleteModal');
             const resetModal = document.getElementById('resetModal');
             const logoutModal = document.getElementById('logoutModal');
+            const trashModal = document.getElementById('trashModal');
+            const settingsModal = document.getElementById('settingsModal');
+            const shareModal = document.getElementById('shareModal');
             if (event.target == entryModal) this.closeModal();
             if (event.target == deleteModal) this.closeDeleteModal();
             if (event.target == resetModal) this.closeResetModal();
             if (event.target == logoutModal) this.closeLogoutModal();
+            if (event.target == trashModal) this.closeTrashModal();
+            if (event.target == settingsModal) this.closeSettingsModal();
+            if (event.target == shareModal) this.closeShareModal();
         };
     },
 
@@ -946,7 +1285,7 @@ window.app = {
     onSearchInput() {
         if (this.debounceTimer) clearTimeout(this.debounceTimer);
         this.debounceTimer = setTimeout(() => {
-            this.renderList();
+            this.reloadList();
         }, 300);
     },
 
@@ -1023,33 +1362,162 @@ window.app = {
         });
     },
 
-    handleImagePreview(input) {
+    async handleImagePreview(input) {
         // Fix: Handle case when user cancels file picker (files length 0)
         if (!input.files || input.files.length === 0) return;
 
-        const file = input.files[0];
-        if (file) {
-            document.getElementById('imageFileName').innerText = file.name;
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = document.getElementById('imagePreview');
-                img.src = e.target.result;
-                document.getElementById('uploadPlaceholder').style.display = 'none';
-                document.getElementById('previewContainer').style.display = 'block';
+        const files = Array.from(input.files);
+        input.value = '';
+
+        const user = Auth.getUser();
+        if (user && user.emailVerified === false) {
+            this.showToast('📧 Verifikasi email Anda dulu untuk menambahkan gambar');
+            return;
+        }
+
+        const slots = this.MAX_ATTACHMENTS - this.editAttachments.length;
+        if (files.length > slots) {
+            this.showToast(`Maksimal ${this.MAX_ATTACHMENTS} gambar per catatan`);
+        }
+
+        this.showToast('Mengoptimalkan gambar...');
+        for (const file of files.slice(0, Math.max(slots, 0))) {
+            try {
+                const imageData = await this.processImage(file);
+                this.editAttachments.push({
+                    key: 'new-' + Date.now() + '-' + Math.random().toString(36).slice(2),
+                    id: null,
+                    hash: null,
+                    url: imageData,
+                    imageData,
+                    caption: '',
+                    savedCaption: ''
+                });
+            } catch (e) {
+                console.error(e);
+                this.showToast('Gagal memproses gambar: ' + e.message);
             }
-            reader.readAsDataURL(file);
         }
+        this.renderAttachmentEditor();
     },
 
-    clearImage() {
+    resetAttachmentEditor() {
         document.getElementById('entryImage').value = '';
-        document.getElementById('imageFileName').innerText = '';
-        const img = document.getElementById('imagePreview');
-        img.src = '';
+        this.editAttachments = [];
+        this.removedAttachmentIds = [];
+        this.attachmentsReordered = false;
+        this.renderAttachmentEditor();
+    },
+
+    async loadAttachmentEditor(entryId) {
+        try {
+            const list = await Auth.fetchAttachments(entryId);
+            // Modal was closed or switched to another entry meanwhile
+            if (document.getElementById('entryId').value !== String(entryId)) return;
+
+            const loaded = list.map(att => ({
+                key: att.id,
+                id: att.id,
+                hash: att.hash,
+                url: null,
+                imageData: null,
+                caption: att.caption,
+                savedCaption: att.caption
+            }));
+            // Keep images picked while the list was loading
+            this.editAttachments = [...loaded, ...this.editAttachments.filter(a => !a.id)];
+            this.renderAttachmentEditor();
+
+            for (const att of loaded) {
+                att.url = await this.getAttachmentUrl(entryId, att);
+                const img = document.querySelector(`#attachmentList img[data-key="${att.key}"]`);
+                if (img && att.url) img.src = att.url;
+            }
+        } catch (e) {
+            console.error('Load attachments error:', e);
+            this.showToast('Gagal memuat lampiran');
+        }
+    },
 
-        document.getElementById('uploadPlaceholder').style.display = 'block';
-        document.getElementById('previewContainer').style.display = 'none';
-        this.pendingImageClear = true;
+    renderAttachmentEditor() {
+        const container = document.getElementById('attachmentList');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const last = this.editAttachments.length - 1;
+        this.editAttachments.forEach((att, i) => {
+            const row = document.createElement('div');
+            row.className = 'attachment-item';
+            row.innerHTML = `
+                <img data-key="${att.key}" alt="Lampiran ${i + 1}">
+                <input type="text" class="form-input" data-key="${att.key}" placeholder="Caption (opsional)" maxlength="200">
+                <div class="attachment-item-actions">
+                    <button type="button" class="btn-icon" data-action="move-up" data-key="${att.key}" aria-label="Naikkan" ${i === 0 ? 'disabled' : ''}>▲</button>
+                    <button type="button" class="btn-icon" data-action="move-down" data-key="${att.key}" aria-label="Turunkan" ${i === last ? 'disabled' : ''}>▼</button>
+                    <button type="button" class="btn-icon action-delete" data-action="remove" data-key="${att.key}" aria-label="Hapus">✕</button>
+                </div>
+            `;
+            // Set via properties: user text never goes through innerHTML
+            if (att.url) row.querySelector('img').src = att.url;
+            row.querySelector('input').value = att.caption;
+            container.appendChild(row);
+        });
+
+        const placeholder = document.getElementById('uploadPlaceholder');
+        if (placeholder) placeholder.style.display = this.editAttachments.length >= this.MAX_ATTACHMENTS ? 'none' : 'block';
+    },
+
+    moveAttachment(key, delta) {
+        const index = this.editAttachments.findIndex(a => a.key === key);
+        const target = index + delta;
+        if (index < 0 || target < 0 || target >= this.editAttachments.length) return;
+
+        const [att] = this.editAttachments.splice(index, 1);
+        this.editAttachments.splice(target, 0, att);
+        this.attachmentsReordered = true;
+        this.renderAttachmentEditor();
+    },
+
+    removeAttachmentDraft(key) {
+        const att = this.editAttachments.find(a => a.key === key);
+        if (!att) return;
+
+        if (att.id) this.removedAttachmentIds.push(att.id);
+        this.editAttachments = this.editAttachments.filter(a => a.key !== key);
+        this.renderAttachmentEditor();
+    },
+
+    // Applies the modal's attachment edits to the server. Returns the final list, or null if nothing changed.
+    async saveAttachmentChanges(entryId) {
+        let changed = false;
+
+        for (const id of this.removedAttachmentIds) {
+            await Auth.removeAttachment(entryId, id);
+            changed = true;
+        }
+        this.removedAttachmentIds = [];
+
+        for (const att of this.editAttachments) {
+            if (!att.id) {
+                // Server appends at the end, same as the editor order unless moved
+                const created = await Auth.addAttachment(entryId, att.imageData, att.caption);
+                Object.assign(att, { id: created.id, hash: created.hash, imageData: null, savedCaption: created.caption });
+                changed = true;
+            } else if (att.caption !== att.savedCaption) {
+                await Auth.updateAttachmentCaption(entryId, att.id, att.caption);
+                att.savedCaption = att.caption;
+                changed = true;
+            }
+        }
+
+        if (this.attachmentsReordered && this.editAttachments.length > 1) {
+            await Auth.reorderAttachments(entryId, this.editAttachments.map(a => a.id));
+            changed = true;
+        }
+        this.attachmentsReordered = false;
+
+        if (!changed) return null;
+        return Auth.fetchAttachments(entryId);
     },
 
     // --- CRUD ---
@@ -1073,33 +1541,6 @@ window.app = {
         const reason = document.getElementById('entryReason').value;
         const highlight = document.getElementById('entryHighlight').checked;
         const pinned = document.getElementById('entryPin').checked;
-        const fileInput = document.getElementById('entryImage');
-
-        let imageData = null;
-        let hasImage = false;
-
-        if (!date || !title) {
-            this.showToast('Mohon isi Tanggal dan Judul');
-            return;
-        }
-
-        if (fileInput.files.length > 0) {
-            const file = fileInput.files[0];
-            try {
-                this.showToast('Mengoptimalkan gambar...');
-                imageData = await this.processImage(file);
-                hasImage = true;
-            } catch (e) {
-                console.error(e);
-                this.showToast('Gagal memproses gambar: ' + e.message);
-                return;
-            }
-        } else if (id && !this.pendingImageClear) {
-            const existing = this.data.find(i => String(i.id) === String(id));
-            if (existing && existing.hasImage) {
-                hasImage = true;
-            }
-        }
 
         const entry = {
             id: id || Date.now().toString(),
@@ -1110,23 +1551,60 @@ window.app = {
             reason,
             highlight,
             pinned,
-            hasImage,
             timestamp: id ? (this.data.find(i => i.id === id)?.timestamp || Date.now()) : Date.now()
         };
 
+        this.clearFieldErrors();
+        const invalid = this.validateEntryForm(entry);
+        if (invalid) {
+            this.showFieldErrors(invalid);
+            return;
+        }
+
         try {
-            // Full Cloud Save
-            // Include imageData directly in the payload
-            const payload = { ...entry, imageData };
+            // Full Cloud Save (text only; attachments are saved one by one below).
+            // Based on the version the form was opened with, not the live one (a sync may have bumped it meanwhile).
+            let baseVersion = id ? this.editBaseVersion : null;
+            let result;
+            while (!result) {
+                try {
+                    result = await Auth.saveEntry(entry, baseVersion);
+                } catch (e) {
+                    if (!e.conflict) throw e;
+
+                    const theirs = this.normalizeCloudEntry(e.conflict);
+                    const resolution = await this.resolveConflict(entry, theirs);
+                    if (!resolution) return; // Cancelled: keep the modal open
+
+                    if (resolution.keep === 'theirs') {
+                        this.applyServerEntry(theirs);
+                        this.closeModal();
+                        this.showToast('Versi dari perangkat lain dipakai');
+                        return;
+                    }
 
-            await Auth.saveEntry(payload);
+                    Object.assign(entry, resolution.fields);
+                    baseVersion = theirs.version;
+                }
+            }
+            entry.version = result.version;
+            this.editBaseVersion = result.version;
+
+            const existing = id ? this.data.find(i => String(i.id) === String(id)) : null;
+            const attachments = await this.saveAttachmentChanges(entry.id);
+            if (attachments) {
+                entry.attachments = attachments.map(({ id, hash, caption, position }) => ({ id, hash, caption, position }));
+                entry.attachmentCount = attachments.length;
+                entry.imageHash = attachments.length > 0 ? attachments[0].hash : null;
+                entry.hasImage = attachments.length > 0;
+            } else if (!existing) {
+                Object.assign(entry, { attachments: [], attachmentCount: 0, imageHash: null, hasImage: false });
+            }
 
             if (id) {
                 const index = this.data.findIndex(item => String(item.id) === String(id));
                 if (index > -1) {
                     this.data[index] = { ...this.data[index], ...entry }; // Update local state for immediate UI
-                    // If image changed, we might need to update the UI specifically or reload
-                    if (hasImage) this.data[index].hasImage = true;
                 }
                 this.showToast('✅ Catatan diperbarui (Cloud)');
             } else {
@@ -1134,118 +1612,1606 @@ window.app = {
                 this.showToast('✅ Catatan ditambahkan (Cloud)');
             }
 
-            this.pendingImageClear = false;
             this.renderList();
             this.closeModal();
 
         } catch (error) {
             console.error('Save entry error:', error);
+            if (error.fields && this.showFieldErrors(error.fields)) return;
             this.showToast('❌ Error menyimpan ke Cloud: ' + error.message);
         }
     },
 
-    // --- Modals & Actions ---
+    // --- Field Validation (codes from the server's VALIDATION_FAILED response) ---
+
+    FIELD_ERROR_MESSAGES: {
+        required: 'Wajib diisi',
+        invalid_type: 'Format tidak valid',
+        invalid_format: 'Format tidak valid',
+        invalid_date: 'Tanggal tidak valid',
+        invalid_value: 'Pilihan tidak dikenal',
+        too_long: 'Terlalu panjang',
+        too_many: 'Terlalu banyak',
+        unsupported_image: 'Format gambar tidak didukung',
+        image_too_large: 'Ukuran gambar terlalu besar'
+    },
 
-    initiateDelete(id) {
-        this.deleteTargetId = id;
-        document.getElementById('deleteModal').classList.add('open');
+    fieldErrorMessage(field, code) {
+        if (code === 'too_long' && field === 'title') return `Maksimal ${this.MAX_TITLE_LENGTH} karakter`;
+        if (code === 'too_long' && field === 'reason') return `Maksimal ${this.MAX_REASON_LENGTH} karakter`;
+        if (code === 'too_many' && field === 'attachments') return `Maksimal ${this.MAX_ATTACHMENTS} gambar per catatan`;
+        return this.FIELD_ERROR_MESSAGES[code] || 'Tidak valid';
     },
 
-    closeDeleteModal() {
-        document.getElementById('deleteModal').classList.remove('open');
-        this.deleteTargetId = null;
+    // Same rules the server enforces for the fields the form can get wrong
+    validateEntryForm(entry) {
+        const errors = {};
+        if (!entry.date) errors.date = 'required';
+        else if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date) || isNaN(new Date(entry.date))) errors.date = 'invalid_date';
+        if (!this.ENTRY_TYPES.includes(entry.type)) errors.type = 'invalid_value';
+        if (!entry.title.trim()) errors.title = 'required';
+        else if (entry.title.length > this.MAX_TITLE_LENGTH) errors.title = 'too_long';
+        if (entry.reason.length > this.MAX_REASON_LENGTH) errors.reason = 'too_long';
+        return Object.keys(errors).length > 0 ? errors : null;
     },
 
-    async confirmDelete() {
-        if (this.deleteTargetId) {
-            // ⚠️ CONNECTION CHECK - Prevent desync
-            if (!this.canPerformWriteOperation()) {
-                this.showAlert(
-                    '⚠️ Tidak Dapat Menghapus',
-                    'Koneksi internet diperlukan untuk menghapus data. ' +
-                    'Coba lagi setelah koneksi pulih.'
-                );
-                this.closeDeleteModal();
+    // Shows { field: code } under the form inputs; fields without a slot go to a toast.
+    // Returns false if nothing could be shown (caller falls back to its generic error).
+    showFieldErrors(fields) {
+        const leftovers = [];
+        let firstInput = null;
+        Object.entries(fields).forEach(([field, code]) => {
+            const slot = document.querySelector(`#entryForm [data-error-for="${field}"]`);
+            const message = this.fieldErrorMessage(field, code);
+            if (!slot) {
+                leftovers.push(message);
                 return;
             }
-
-            try {
-                await Auth.deleteEntry(this.deleteTargetId);
-                this.data = this.data.filter(item => String(item.id) !== String(this.deleteTargetId));
-                this.showToast('✅ Catatan dihapus (Cloud)');
-                this.renderList();
-            } catch (error) {
-                console.error('Delete error:', error);
-                // Check if it's a network error
-                if (error.message && (error.message.includes('fetch') || error.message.includes('network'))) {
-                    if (typeof ConnectionMonitor !== 'undefined') {
-                        ConnectionMonitor.showBanner('error');
-                    }
-                }
-                this.showToast('❌ Gagal menghapus: ' + error.message);
+            slot.textContent = message;
+            slot.classList.add('show');
+            const input = slot.parentElement.querySelector('.form-input, .form-select, .form-textarea');
+            if (input) {
+                input.classList.add('invalid');
+                firstInput = firstInput || input;
             }
-        }
-        this.closeDeleteModal();
+        });
+        if (firstInput) firstInput.focus();
+        if (leftovers.length > 0) this.showToast('❌ ' + leftovers.join(', '));
+        return Object.keys(fields).length > 0;
     },
 
-    initiateReset() {
-        const modal = document.getElementById('resetModal');
-        const input = document.getElementById('resetConfirmInput');
-        const btn = document.getElementById('btnConfirmReset');
-
-        input.value = '';
-        btn.disabled = true;
-        btn.style.opacity = '0.5';
-        btn.style.cursor = 'not-allowed';
-        btn.style.boxShadow = 'none';
-
-        setTimeout(() => input.focus(), 100);
-        modal.classList.add('open');
+    clearFieldErrors(field = null) {
+        const selector = field ? `#entryForm [data-error-for="${field}"]` : '#entryForm .field-error';
+        document.querySelectorAll(selector).forEach(slot => {
+            slot.textContent = '';
+            slot.classList.remove('show');
+            const input = slot.parentElement.querySelector('.invalid');
+            if (input) input.classList.remove('invalid');
+        });
     },
 
-    closeResetModal() {
-        document.getElementById('resetModal').classList.remove('open');
+    // Coerces an imported entry (old backups, legacy localStorage) into what the server accepts
+    sanitizeImportedEntry(entry) {
+        const isValidDate = (d) => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(new Date(d));
+        const timestamp = Math.max(0, Math.round(Number(entry.timestamp))) || Date.now();
+        const title = String(entry.title ?? '').trim() || 'Untitled';
+        return {
+            ...entry,
+            id: /^[A-Za-z0-9._-]{1,64}$/.test(entry.id) ? entry.id : crypto.randomUUID(),
+            date: isValidDate(entry.date) ? entry.date : new Date(timestamp).toISOString().slice(0, 10),
+            type: this.ENTRY_TYPES.includes(entry.type) ? entry.type : 'lainnya',
+            title: title.slice(0, this.MAX_TITLE_LENGTH),
+            reason: String(entry.reason ?? '').slice(0, this.MAX_REASON_LENGTH),
+            amount: Number.isFinite(Number(entry.amount)) ? Number(entry.amount) : 0,
+            highlight: !!entry.highlight,
+            pinned: !!entry.pinned,
+            timestamp,
+            attachments: Array.isArray(entry.attachments)
+                ? entry.attachments.slice(0, this.MAX_ATTACHMENTS).map(a => ({ ...a, caption: String(a.caption || '').slice(0, 200) }))
+                : entry.attachments
+        };
     },
 
-    async confirmReset() {
+    // --- Edit Conflicts (409 from If-Match) ---
+
+    // Replaces the local copy with the server's
+    applyServerEntry(serverEntry) {
+        const index = this.data.findIndex(item => String(item.id) === serverEntry.id);
+        if (index > -1) this.data[index] = serverEntry;
+        this.db.saveEntry(serverEntry).catch(e => console.warn('Cache update failed', e));
+        this.renderList();
+    },
+
+    // Keep mine / keep theirs / merge per field. Resolves null (cancel) or { keep, fields }.
+    resolveConflict(mine, theirs) {
+        const differing = this.ENTRY_FIELDS.filter(({ key }) => this.displayField(key, mine[key]) !== this.displayField(key, theirs[key]));
+
+        // Same content saved twice (e.g. a toggle from both devices): just take the new version
+        if (differing.length === 0) return Promise.resolve({ keep: 'mine', fields: {} });
+
+        return new Promise((resolve) => {
+            const el = document.getElementById('conflictModal');
+            const container = document.getElementById('conflictFields');
+
+            container.innerHTML = '';
+            differing.forEach(({ key, label }) => {
+                const row = document.createElement('div');
+                row.className = 'conflict-row';
+                row.innerHTML = `
+                    <div class="conflict-label">${label}</div>
+                    <label class="conflict-option"><input type="radio" name="conflict-${key}" value="mine" checked> <span>Punyaku</span><div class="conflict-value"></div></label>
+                    <label class="conflict-option"><input type="radio" name="conflict-${key}" value="theirs"> <span>Punya mereka</span><div class="conflict-value"></div></label>
+                `;
+                // Values via textContent: user text never goes through innerHTML
+                const values = row.querySelectorAll('.conflict-value');
+                values[0].textContent = this.displayField(key, mine[key]) || '-';
+                values[1].textContent = this.displayField(key, theirs[key]) || '-';
+                container.appendChild(row);
+            });
+
+            const buttons = {
+                conflictMineBtn: () => ({ keep: 'mine', fields: {} }),
+                conflictTheirsBtn: () => ({ keep: 'theirs' }),
+                conflictMergeBtn: () => {
+                    const fields = {};
+                    differing.forEach(({ key }) => {
+                        const choice = container.querySelector(`input[name="conflict-${key}"]:checked`).value;
+                        fields[key] = choice === 'theirs' ? theirs[key] : mine[key];
+                    });
+                    return { keep: 'merge', fields };
+                },
+                conflictCancelBtn: () => null
+            };
+
+            const handlers = {};
+            const cleanup = () => {
+                el.classList.remove('open');
+                Object.keys(buttons).forEach(id => document.getElementById(id).removeEventListener('click', handlers[id]));
+            };
+
+            Object.entries(buttons).forEach(([id, choose]) => {
+                handlers[id] = () => {
+                    const result = choose();
+                    cleanup();
+                    resolve(result);
+                };
+                document.getElementById(id).addEventListener('click', handlers[id]);
+            });
+
+            el.classList.add('open');
+        });
+    },
+
+    // --- Revision History ---
+
+    // Editable fields with labels (history diff + conflict merge)
+    ENTRY_FIELDS: [
+        { key: 'date', label: 'Tanggal' },
+        { key: 'title', label: 'Judul' },
+        { key: 'type', label: 'Tipe' },
+        { key: 'amount', label: 'Nominal' },
+        { key: 'reason', label: 'Alasan' },
+        { key: 'highlight', label: 'Highlight' },
+        { key: 'pinned', label: 'Pin' }
+    ],
+
+    resetHistoryPanel(visible) {
+        document.getElementById('historySection').style.display = visible ? 'block' : 'none';
+        const panel = document.getElementById('historyPanel');
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+    },
+
+    async toggleHistory() {
+        const panel = document.getElementById('historyPanel');
+        if (panel.style.display === 'block') {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+        await this.loadHistory(document.getElementById('entryId').value);
+    },
+
+    async loadHistory(entryId) {
+        const panel = document.getElementById('historyPanel');
+        panel.innerHTML = '<p class="history-empty">Memuat riwayat...</p>';
+
+        try {
+            const revisions = await Auth.fetchRevisions(entryId);
+            if (document.getElementById('entryId').value !== String(entryId)) return;
+
+            if (revisions.length === 0) {
+                panel.innerHTML = '<p class="history-empty">Belum ada perubahan.</p>';
+                return;
+            }
+
+            // Each revision is the version replaced at createdAt: diff it against the next newer version
+            let newer = this.data.find(i => String(i.id) === String(entryId));
+            panel.innerHTML = revisions.map(rev => {
+                const changes = newer ? this.diffRevision(rev, newer) : [];
+                newer = rev;
+                return `
+                    <div class="history-item">
+                        <div class="history-item-header">
+                            <span>${new Date(rev.createdAt).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' })}${rev.author ? ` · disimpan oleh ${this.escapeHtml(rev.author)}` : ''}</span>
+                            <button type="button" class="btn btn-secondary" data-action="revert" data-id="${Number(rev.id)}">Kembalikan versi ini</button>
+                        </div>
+                        ${changes.length > 0 ? changes.join('') : '<div class="history-change">Tidak ada perubahan isi</div>'}
+                    </div>
+                `;
+            }).join('');
+        } catch (e) {
+            panel.innerHTML = '<p class="history-empty">Gagal memuat riwayat.</p>';
+        }
+    },
+
+    // Field-level changes old -> new as HTML (reason gets a word diff, the rest old/new values)
+    diffRevision(oldVersion, newVersion) {
+        const display = (key, value) => this.displayField(key, value);
+
+        return this.ENTRY_FIELDS
+            .filter(({ key }) => display(key, oldVersion[key]) !== display(key, newVersion[key]))
+            .map(({ key, label }) => {
+                const body = key === 'reason'
+                    ? this.diffWords(oldVersion.reason || '', newVersion.reason || '')
+                    : `<del>${this.escapeHtml(display(key, oldVersion[key])) || '-'}</del> → <ins>${this.escapeHtml(display(key, newVersion[key])) || '-'}</ins>`;
+                return `<div class="history-change"><strong>${label}:</strong> ${body}</div>`;
+            });
+    },
+
+    displayField(key, value) {
+        if (key === 'highlight' || key === 'pinned') return value ? 'Ya' : 'Tidak';
+        if (key === 'amount') return new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' }).format(value || 0);
+        return String(value || '');
+    },
+
+    // Word-level diff (LCS) as escaped HTML with <del>/<ins>
+    diffWords(oldText, newText) {
+        const a = oldText.split(/(\s+)/);
+        const b = newText.split(/(\s+)/);
+
+        // Very long texts: skip the O(n*m) table, show both versions
+        if (a.length * b.length > 250000) {
+            return `<del>${this.escapeHtml(oldText)}</del> → <ins>${this.escapeHtml(newText)}</ins>`;
+        }
+
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        let html = '';
+        let i = 0, j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                html += this.escapeHtml(a[i]);
+                i++; j++;
+            } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                html += `<ins>${this.escapeHtml(b[j])}</ins>`;
+                j++;
+            } else {
+                html += `<del>${this.escapeHtml(a[i])}</del>`;
+                i++;
+            }
+        }
+        return html;
+    },
+
+    async revertToRevision(revisionId) {
+        if (!this.canPerformWriteOperation()) return;
+
+        const entryId = document.getElementById('entryId').value;
+        const confirmed = await this.showConfirm('Kembalikan Versi', 'Isi catatan akan dikembalikan ke versi ini. Versi sekarang tetap tersimpan di riwayat. Lanjut?');
+        if (!confirmed) return;
+
+        try {
+            const entry = await Auth.revertEntry(entryId, revisionId, this.editBaseVersion);
+            const reverted = this.normalizeCloudEntry(entry);
+            const index = this.data.findIndex(item => String(item.id) === reverted.id);
+            if (index > -1) this.data[index] = reverted;
+            await this.db.saveEntry(reverted);
+
+            this.renderList();
+            // Reload the form with the reverted values, keep the (refreshed) history open
+            this.editEntry(reverted.id);
+            await this.toggleHistory();
+            this.showToast('✅ Versi lama dikembalikan');
+        } catch (e) {
+            console.error('Revert error:', e);
+            this.showToast('❌ Gagal mengembalikan versi: ' + e.message);
+        }
+    },
+
+    // --- Modals & Actions ---
+
+    initiateDelete(id) {
+        this.deleteTargetId = id;
+        document.getElementById('deleteModal').classList.add('open');
+    },
+
+    closeDeleteModal() {
+        document.getElementById('deleteModal').classList.remove('open');
+        this.deleteTargetId = null;
+    },
+
+    async confirmDelete() {
+        if (this.deleteTargetId) {
+            // ⚠️ CONNECTION CHECK - Prevent desync
+            if (!this.canPerformWriteOperation()) {
+                this.showAlert(
+                    '⚠️ Tidak Dapat Menghapus',
+                    'Koneksi internet diperlukan untuk menghapus data. ' +
+                    'Coba lagi setelah koneksi pulih.'
+                );
+                this.closeDeleteModal();
+                return;
+            }
+
+            try {
+                await Auth.deleteEntry(this.deleteTargetId);
+                this.data = this.data.filter(item => String(item.id) !== String(this.deleteTargetId));
+                this.showToast('🗑️ Catatan dipindahkan ke Sampah');
+                this.renderList();
+            } catch (error) {
+                console.error('Delete error:', error);
+                // Check if it's a network error
+                if (error.message && (error.message.includes('fetch') || error.message.includes('network'))) {
+                    if (typeof ConnectionMonitor !== 'undefined') {
+                        ConnectionMonitor.showBanner('error');
+                    }
+                }
+                this.showToast('❌ Gagal menghapus: ' + error.message);
+            }
+        }
+        this.closeDeleteModal();
+    },
+
+    // --- Public Share Links ---
+
+    shareTarget: null, // { entryId } or { filter } for the next link made in the share modal
+
+    openShareForEntry(id) {
+        const item = this.data.find(i => String(i.id) === String(id));
+        if (!item) return;
+        this.openShareModal({ entryId: item.id }, `Catatan "${item.title}" beserta gambarnya.`);
+    },
+
+    // Same filter as the list on screen (pinned first, like the app)
+    openShareForFilter() {
+        const { q, type, from, to } = this.getServerFilters();
+        const parts = [
+            type ? `kategori ${type}` : 'semua kategori',
+            from || to ? `tanggal ${from ? this.formatDate(from) : '…'} s.d. ${to ? this.formatDate(to) : '…'}` : null,
+            q ? `kata kunci "${q}"` : null
+        ].filter(Boolean);
+        this.openShareModal({ filter: { q, type, from, to, sort: 'pinned' } }, `Daftar catatan sesuai filter saat ini: ${parts.join(', ')}.`);
+    },
+
+    openShareModal(target, description) {
+        if (!this.canPerformWriteOperation()) {
+            this.showToast('⚠️ Koneksi internet diperlukan');
+            return;
+        }
+        this.shareTarget = target;
+        document.getElementById('shareForm').reset();
+        document.getElementById('shareCreated').hidden = true;
+        document.getElementById('shareTarget').textContent = description;
+        document.getElementById('shareModal').classList.add('open');
+        this.loadShareLinks();
+    },
+
+    closeShareModal() {
+        document.getElementById('shareModal').classList.remove('open');
+    },
+
+    createShareLink(form) {
+        return this.submitSettingsForm(form, async () => {
+            const link = await Auth.createShareLink(
+                this.shareTarget,
+                Number(document.getElementById('shareExpiry').value),
+                document.getElementById('shareTitle').value.trim()
+            );
+            form.reset();
+            document.getElementById('shareUrlValue').textContent = link.url;
+            document.getElementById('shareCreated').hidden = false;
+            this.showToast('✅ Tautan dibuat');
+            this.loadShareLinks();
+        });
+    },
+
+    async copyShareUrl(url = document.getElementById('shareUrlValue').textContent) {
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showToast('✅ Tautan disalin');
+        } catch (e) {
+            this.showToast('❌ Gagal menyalin, salin tautan secara manual');
+        }
+    },
+
+    async loadShareLinks() {
+        const list = document.getElementById('shareList');
+        try {
+            const links = await Auth.fetchShareLinks();
+            list.textContent = '';
+            if (links.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'settings-list-item';
+                empty.textContent = 'Belum ada tautan.';
+                list.appendChild(empty);
+            }
+            links.forEach(link => list.appendChild(this.renderShareLink(link)));
+        } catch (e) {
+            console.error('Load share links error:', e);
+            list.textContent = 'Gagal memuat tautan: ' + e.message;
+        }
+    },
+
+    renderShareLink(link) {
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+
+        const info = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = link.title;
+        const meta = document.createElement('small');
+        const date = (ms) => new Date(ms).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+        let status = 'berlaku s.d. ' + date(link.expiresAt);
+        if (link.revokedAt) status = 'dicabut';
+        else if (!link.active) status = 'kedaluwarsa';
+        meta.textContent = [
+            link.entryId ? 'satu catatan' : 'filter',
+            `${link.viewCount}× dilihat` + (link.lastViewedAt ? ` (terakhir ${this.formatRelativeTime(link.lastViewedAt)})` : ''),
+            status,
+            link.createdBy ? 'oleh ' + link.createdBy : null
+        ].filter(Boolean).join(' · ');
+        info.append(title, meta);
+        item.appendChild(info);
+
+        if (link.active) {
+            const actions = document.createElement('div');
+            actions.className = 'settings-list-actions';
+            if (link.url) {
+                const copy = document.createElement('button');
+                copy.type = 'button';
+                copy.className = 'settings-list-btn';
+                copy.dataset.action = 'copy-share-link';
+                copy.dataset.url = link.url;
+                copy.textContent = 'Salin';
+                actions.appendChild(copy);
+            }
+            const revoke = document.createElement('button');
+            revoke.type = 'button';
+            revoke.className = 'session-revoke';
+            revoke.dataset.action = 'revoke-share-link';
+            revoke.dataset.id = link.id;
+            revoke.dataset.title = link.title;
+            revoke.textContent = 'Cabut';
+            actions.appendChild(revoke);
+            item.appendChild(actions);
+        }
+        return item;
+    },
+
+    async revokeShareLink(shareId, title) {
+        const confirmed = await this.showConfirm('Cabut Tautan', `Tautan "${title}" akan langsung berhenti berfungsi. Lanjutkan?`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.revokeShareLink(shareId);
+            this.showToast('✅ Tautan dicabut');
+            this.loadShareLinks();
+        } catch (e) {
+            this.showToast('❌ Gagal mencabut tautan: ' + e.message);
+        }
+    },
+
+    // --- Trash (Sampah) ---
+
+    async openTrash() {
+        document.getElementById('trashModal').classList.add('open');
+        await this.renderTrash();
+    },
+
+    closeTrashModal() {
+        document.getElementById('trashModal').classList.remove('open');
+    },
+
+    async renderTrash() {
+        const list = document.getElementById('trashList');
+        const info = document.getElementById('trashInfo');
+        list.innerHTML = '<div class="image-skeleton" style="width:100%; height:64px; border-radius:8px;"></div>';
+
+        try {
+            const { entries, retentionDays } = await Auth.fetchTrash();
+            info.innerText = `Catatan di Sampah akan dihapus permanen otomatis setelah ${retentionDays} hari.`;
+            document.getElementById('emptyTrashBtn').disabled = entries.length === 0;
+
+            if (entries.length === 0) {
+                list.innerHTML = '<div class="empty-state"><p>Sampah kosong.</p></div>';
+                return;
+            }
+
+            list.innerHTML = entries.map(item => {
+                const cleanId = String(item.id).replace(/[^a-zA-Z0-9_-]/g, '');
+                const typeSafe = this.escapeHtml(item.type);
+                const purgeDate = new Date(item.purgeAt).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+                return `
+                    <div class="journal-card" style="padding: 12px 16px;">
+                        <div class="card-header" style="margin-bottom: 0;">
+                            <div class="card-title-group">
+                                <span class="card-date">${this.formatDate(item.date)} • Dihapus permanen ${purgeDate}</span>
+                                <h3 class="card-title">${this.escapeHtml(item.title)}</h3>
+                                <span class="card-badge badge-${typeSafe}">${typeSafe}</span>
+                            </div>
+                            <div class="card-actions" style="gap: 8px;">
+                                <button class="btn btn-secondary" data-action="restore" data-id="${cleanId}" type="button">Pulihkan</button>
+                                <button class="btn btn-secondary" data-action="purge" data-id="${cleanId}" type="button" style="color: #ef4444; border-color: rgba(239,68,68,0.3);">Hapus Permanen</button>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (e) {
+            console.error('Trash load error:', e);
+            list.innerHTML = '';
+            this.showToast('❌ Gagal memuat Sampah: ' + e.message);
+        }
+    },
+
+    async restoreFromTrash(id) {
+        if (!this.canPerformWriteOperation()) return;
+
+        try {
+            const entry = await Auth.restoreEntry(id);
+            if (entry) {
+                const restored = this.normalizeCloudEntry(entry);
+                this.data = this.data.filter(item => String(item.id) !== restored.id);
+                this.data.push(restored);
+                await this.db.saveEntry(restored);
+            }
+            this.showToast('✅ Catatan dipulihkan');
+            this.renderList();
+            await this.renderTrash();
+        } catch (e) {
+            console.error('Restore from trash error:', e);
+            this.showToast('❌ Gagal memulihkan: ' + e.message);
+        }
+    },
+
+    async purgeFromTrash(id) {
+        if (!this.canPerformWriteOperation()) return;
+
+        const confirmed = await this.showConfirm('Hapus Permanen', 'Catatan ini akan dihapus selamanya dan tidak bisa dipulihkan. Lanjut?');
+        if (!confirmed) return;
+
+        try {
+            await Auth.purgeEntry(id);
+            this.showToast('✅ Catatan dihapus permanen');
+            await this.renderTrash();
+        } catch (e) {
+            console.error('Purge error:', e);
+            this.showToast('❌ Gagal menghapus permanen: ' + e.message);
+        }
+    },
+
+    async emptyTrash() {
+        if (!this.canPerformWriteOperation()) return;
+
+        const confirmed = await this.showConfirm('Kosongkan Sampah', 'Semua catatan di Sampah akan dihapus selamanya. Lanjut?');
+        if (!confirmed) return;
+
+        try {
+            await Auth.emptyTrash();
+            this.showToast('✅ Sampah dikosongkan');
+            await this.renderTrash();
+        } catch (e) {
+            console.error('Empty trash error:', e);
+            this.showToast('❌ Gagal mengosongkan Sampah: ' + e.message);
+        }
+    },
+
+    initiateReset() {
+        const modal = document.getElementById('resetModal');
+        const input = document.getElementById('resetConfirmInput');
+        const btn = document.getElementById('btnConfirmReset');
+
+        input.value = '';
+        btn.disabled = true;
+        btn.style.opacity = '0.5';
+        btn.style.cursor = 'not-allowed';
+        btn.style.boxShadow = 'none';
+
+        setTimeout(() => input.focus(), 100);
+        modal.classList.add('open');
+    },
+
+    closeResetModal() {
+        document.getElementById('resetModal').classList.remove('open');
+    },
+
+    async confirmReset() {
         const input = document.getElementById('resetConfirmInput');
         if (input.value.toLowerCase() !== 'yes') return;
 
-        // ⚠️ CONNECTION CHECK - Prevent partial reset
-        if (!this.canPerformWriteOperation()) {
-            this.showAlert(
-                '⚠️ Tidak Dapat Mereset',
-                'Koneksi internet diperlukan untuk mereset data cloud. ' +
-                'Coba lagi setelah koneksi pulih untuk memastikan semua data terhapus.'
+        // ⚠️ CONNECTION CHECK - Prevent partial reset
+        if (!this.canPerformWriteOperation()) {
+            this.showAlert(
+                '⚠️ Tidak Dapat Mereset',
+                'Koneksi internet diperlukan untuk mereset data cloud. ' +
+                'Coba lagi setelah koneksi pulih untuk memastikan semua data terhapus.'
+            );
+            return;
+        }
+
+        try {
+            this.showProgress(0, 'Menghapus Data', 'Membersihkan Cloud...');
+
+            await Auth.resetCloud();
+
+            this.data = [];
+            this.page.hasMore = false;
+            localStorage.removeItem(this.STORAGE_KEY);
+
+            this.showToast('✅ Semua catatan dipindahkan ke Sampah');
+            this.renderList();
+            this.closeResetModal();
+        } catch (e) {
+            console.error('Reset error:', e);
+            // Check if it's a network error
+            if (e.message && (e.message.includes('fetch') || e.message.includes('network'))) {
+                if (typeof ConnectionMonitor !== 'undefined') {
+                    ConnectionMonitor.showBanner('error');
+                }
+            }
+            this.showToast('❌ Gagal reset: ' + e.message);
+        } finally {
+            this.hideProgress();
+        }
+    },
+
+    // --- Account Settings ---
+
+    updateHeaderUser(user) {
+        const name = document.getElementById('userDisplayName');
+        if (name) name.textContent = user.username || user.email;
+        this.renderVerifyBanner(user);
+    },
+
+    // Older cached users have no emailVerified field: only a definite false shows the reminder
+    renderVerifyBanner(user) {
+        const unverified = user.emailVerified === false;
+        document.getElementById('verifyEmailBanner').hidden = !unverified;
+        if (unverified) {
+            document.getElementById('verifyEmailText').textContent = `📧 Cek ${user.email} untuk verifikasi email. Sebelum terverifikasi, gambar belum bisa diunggah.`;
+        }
+        document.getElementById('settingsEmailStatus').textContent = unverified
+            ? '⚠️ Belum diverifikasi. Lupa password hanya bisa dipakai setelah email terverifikasi.'
+            : '';
+    },
+
+    async resendVerification() {
+        const btn = document.getElementById('resendVerificationBtn');
+        btn.disabled = true;
+        try {
+            await Auth.resendVerification();
+            this.showToast('✅ Email verifikasi dikirim ulang');
+        } catch (e) {
+            if (e.code === 'ALREADY_VERIFIED') {
+                Auth.fetchAccount().then(user => this.updateHeaderUser(user)).catch(() => {});
+                this.showToast('✅ Email sudah terverifikasi');
+            } else if (e.code === 'RESEND_TOO_SOON') {
+                this.showToast(`⏳ Tunggu ${e.retryAfter} detik sebelum mengirim ulang`);
+            } else {
+                this.showToast('❌ ' + e.message);
+            }
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    async openSettings() {
+        const user = Auth.getUser() || {};
+        ['emailForm', 'passwordForm', 'journalMemberForm', 'journalCreateForm', 'apiTokenForm', 'webhookForm', 'deleteAccountForm'].forEach(id => document.getElementById(id).reset());
+        document.getElementById('apiTokenCreated').hidden = true;
+        document.getElementById('webhookCreated').hidden = true;
+        document.getElementById('settingsUsername').value = user.username || '';
+        document.getElementById('settingsEmail').value = user.email || '';
+        this.renderTwoFactorState(user.twoFactorEnabled);
+        document.getElementById('settingsModal').classList.add('open');
+        this.loadJournalSettings();
+        this.loadApiTokens();
+        this.loadWebhooks();
+        this.loadAuditEvents();
+
+        // Refresh in case it was changed on another device
+        try {
+            const fresh = await Auth.fetchAccount();
+            document.getElementById('settingsUsername').value = fresh.username || '';
+            document.getElementById('settingsEmail').value = fresh.email;
+            this.updateHeaderUser(fresh);
+            this.renderTwoFactorState(fresh.twoFactorEnabled);
+        } catch (e) {
+            console.error('Load account error:', e);
+        }
+    },
+
+    closeSettingsModal() {
+        document.getElementById('settingsModal').classList.remove('open');
+    },
+
+    // Disables the form's submit button while the request runs
+    async submitSettingsForm(form, action) {
+        if (!this.canPerformWriteOperation()) {
+            this.showToast('⚠️ Koneksi internet diperlukan');
+            return;
+        }
+        const btn = form.querySelector('button[type="submit"]');
+        btn.disabled = true;
+        try {
+            await action();
+        } catch (e) {
+            this.showToast('❌ ' + e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    saveUsername(form) {
+        return this.submitSettingsForm(form, async () => {
+            const user = await Auth.changeUsername(document.getElementById('settingsUsername').value.trim());
+            this.updateHeaderUser(user);
+            this.showToast(user.username ? '✅ Username disimpan' : '✅ Username dihapus');
+        });
+    },
+
+    saveEmail(form) {
+        return this.submitSettingsForm(form, async () => {
+            const user = await Auth.changeEmail(
+                document.getElementById('settingsEmail').value,
+                document.getElementById('settingsEmailPassword').value
+            );
+            document.getElementById('settingsEmailPassword').value = '';
+            this.updateHeaderUser(user);
+            this.showToast('✅ Email diganti ke ' + user.email);
+        });
+    },
+
+    savePassword(form) {
+        const newPassword = document.getElementById('settingsNewPassword').value;
+        if (newPassword !== document.getElementById('settingsConfirmPassword').value) {
+            this.showToast('Konfirmasi password tidak sama');
+            return;
+        }
+        return this.submitSettingsForm(form, async () => {
+            await Auth.changePassword(document.getElementById('settingsCurrentPassword').value, newPassword);
+            form.reset();
+            this.showToast('✅ Password diganti. Perangkat lain sudah dikeluarkan.');
+        });
+    },
+
+    // --- Two-Factor Authentication ---
+
+    renderTwoFactorState(enabled) {
+        document.getElementById('twoFactorStatus').textContent = enabled
+            ? '🔒 Aktif. Login di perangkat baru memerlukan kode dari aplikasi autentikator.'
+            : 'Belum aktif. Tambahkan lapisan keamanan dengan kode dari aplikasi autentikator.';
+        document.getElementById('twoFactorSetupBtn').hidden = !!enabled;
+        document.getElementById('twoFactorDisableForm').hidden = !enabled;
+        document.getElementById('twoFactorSetupForm').hidden = true;
+        document.getElementById('twoFactorRecovery').hidden = true;
+        document.getElementById('twoFactorDisableForm').reset();
+
+        // Deleting the account asks for a code too when 2FA is on
+        document.getElementById('deleteAccountCodeGroup').hidden = !enabled;
+        document.getElementById('deleteAccountCode').required = !!enabled;
+    },
+
+    async startTwoFactorSetup() {
+        if (!this.canPerformWriteOperation()) {
+            this.showToast('⚠️ Koneksi internet diperlukan');
+            return;
+        }
+        const btn = document.getElementById('twoFactorSetupBtn');
+        btn.disabled = true;
+        try {
+            const { secret, otpauthUri } = await Auth.setupTwoFactor();
+            QRCode.render(document.getElementById('twoFactorQr'), otpauthUri, { size: 180 });
+            // Group in blocks of 4 so it's easier to type by hand
+            document.getElementById('twoFactorSecret').textContent = secret.replace(/(.{4})(?=.)/g, '$1 ');
+            const form = document.getElementById('twoFactorSetupForm');
+            form.reset();
+            form.hidden = false;
+            btn.hidden = true;
+            document.getElementById('twoFactorEnableCode').focus();
+        } catch (e) {
+            this.showToast('❌ ' + e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    enableTwoFactor(form) {
+        return this.submitSettingsForm(form, async () => {
+            const codes = await Auth.enableTwoFactor(document.getElementById('twoFactorEnableCode').value.trim());
+            this.renderTwoFactorState(true);
+
+            const list = document.getElementById('recoveryCodeList');
+            list.textContent = '';
+            codes.forEach(code => {
+                const li = document.createElement('li');
+                li.textContent = code;
+                list.appendChild(li);
+            });
+            document.getElementById('twoFactorRecovery').hidden = false;
+            this.showToast('✅ 2FA diaktifkan');
+        });
+    },
+
+    disableTwoFactor(form) {
+        return this.submitSettingsForm(form, async () => {
+            const confirmed = await this.showConfirm('Nonaktifkan 2FA', 'Nonaktifkan verifikasi 2 langkah? Akun hanya akan dilindungi password.');
+            if (!confirmed) return;
+            await Auth.disableTwoFactor(
+                document.getElementById('twoFactorDisablePassword').value,
+                document.getElementById('twoFactorDisableCode').value.trim()
+            );
+            this.renderTwoFactorState(false);
+            this.showToast('✅ 2FA dinonaktifkan');
+        });
+    },
+
+    async copyRecoveryCodes() {
+        const codes = [...document.querySelectorAll('#recoveryCodeList li')].map(li => li.textContent);
+        try {
+            await navigator.clipboard.writeText(codes.join('\n'));
+            this.showToast('✅ Kode pemulihan disalin');
+        } catch (e) {
+            this.showToast('❌ Gagal menyalin, catat kode secara manual');
+        }
+    },
+
+    // --- Personal API Tokens ---
+
+    API_TOKEN_SCOPE_LABELS: {
+        read: 'baca',
+        write: 'tulis',
+        export: 'ekspor'
+    },
+
+    async loadApiTokens() {
+        const list = document.getElementById('apiTokenList');
+        try {
+            const tokens = await Auth.fetchApiTokens();
+            list.textContent = '';
+            if (tokens.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'settings-list-item';
+                empty.textContent = 'Belum ada token.';
+                list.appendChild(empty);
+            }
+            tokens.forEach(token => list.appendChild(this.renderApiToken(token)));
+        } catch (e) {
+            console.error('Load API tokens error:', e);
+            list.textContent = 'Gagal memuat token: ' + e.message;
+        }
+    },
+
+    renderApiToken(token) {
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+
+        const info = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = token.name;
+        const meta = document.createElement('small');
+        const scopes = token.scopes.filter(scope => !(scope === 'read' && token.scopes.includes('write')));
+        const date = (ms) => new Date(ms).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+        meta.textContent = [
+            `${token.prefix}…`,
+            scopes.map(scope => this.API_TOKEN_SCOPE_LABELS[scope] || scope).join(', '),
+            token.lastUsedAt ? 'dipakai ' + this.formatRelativeTime(token.lastUsedAt) : 'belum pernah dipakai',
+            token.expiresAt ? 'berlaku s.d. ' + date(token.expiresAt) : 'tanpa batas',
+            ...(token.telegramChatId ? ['chat Telegram ' + token.telegramChatId] : [])
+        ].join(' · ');
+        meta.title = 'Dibuat ' + date(token.createdAt);
+        info.append(name, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-list-actions';
+        const button = (action, label, className = 'settings-list-btn') => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = className;
+            btn.dataset.action = action;
+            btn.dataset.id = token.id;
+            btn.textContent = label;
+            return btn;
+        };
+        // Only tokens that can write are useful as a Telegram bot's secret_token
+        if (token.scopes.includes('write')) {
+            const telegram = button('api-token-telegram', 'Telegram');
+            telegram.dataset.chatId = token.telegramChatId || '';
+            actions.appendChild(telegram);
+        }
+        const revoke = button('revoke-api-token', 'Cabut', 'session-revoke');
+        revoke.dataset.name = token.name;
+        actions.appendChild(revoke);
+
+        item.append(info, actions);
+        return item;
+    },
+
+    toggleApiTokenTelegram(tokenId, chatId, item) {
+        const open = item.querySelector('.api-token-telegram');
+        if (open) {
+            open.remove();
+            return;
+        }
+        const form = document.createElement('form');
+        form.className = 'api-token-telegram';
+        form.dataset.id = tokenId;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.name = 'chatId';
+        input.className = 'form-input';
+        input.inputMode = 'numeric';
+        input.pattern = '-?[0-9]{1,20}';
+        input.placeholder = 'ID chat Telegram (kosong = nonaktif)';
+        input.value = chatId;
+        const save = document.createElement('button');
+        save.type = 'submit';
+        save.className = 'settings-list-btn';
+        save.textContent = 'Simpan';
+        form.append(input, save);
+        item.appendChild(form);
+        input.focus();
+    },
+
+    saveApiTokenTelegram(form) {
+        return this.submitSettingsForm(form, async () => {
+            const chatId = form.elements.chatId.value.trim();
+            await Auth.updateApiToken(form.dataset.id, chatId || null);
+            this.showToast(chatId ? '✅ Chat Telegram disimpan' : '✅ Pencatatan lewat Telegram dinonaktifkan');
+            this.loadApiTokens();
+        });
+    },
+
+    createApiToken(form) {
+        const scopes = [...form.querySelectorAll('input[name="scope"]:checked')].map(input => input.value);
+        if (scopes.length === 0) {
+            this.showToast('Pilih minimal satu izin');
+            return;
+        }
+        return this.submitSettingsForm(form, async () => {
+            const expiry = document.getElementById('apiTokenExpiry').value;
+            const { token } = await Auth.createApiToken(
+                document.getElementById('apiTokenName').value.trim(),
+                scopes,
+                expiry ? Number(expiry) : null
             );
+            form.reset();
+            document.getElementById('apiTokenValue').textContent = token;
+            document.getElementById('apiTokenCreated').hidden = false;
+            this.showToast('✅ Token dibuat');
+            this.loadApiTokens();
+        });
+    },
+
+    async copyApiToken() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('apiTokenValue').textContent);
+            this.showToast('✅ Token disalin');
+        } catch (e) {
+            this.showToast('❌ Gagal menyalin, salin token secara manual');
+        }
+    },
+
+    async revokeApiToken(tokenId, name) {
+        const confirmed = await this.showConfirm('Cabut Token', `Skrip yang memakai token "${name}" akan langsung ditolak. Lanjutkan?`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.revokeApiToken(tokenId);
+            this.showToast('✅ Token dicabut');
+            this.loadApiTokens();
+        } catch (e) {
+            this.showToast('❌ Gagal mencabut token: ' + e.message);
+        }
+    },
+
+    // --- Outgoing Webhooks ---
+
+    WEBHOOK_EVENT_LABELS: {
+        'entry.created': 'dibuat',
+        'entry.updated': 'diubah',
+        'entry.deleted': 'dihapus',
+        'data.synced': 'sinkron',
+        'data.reset': 'reset',
+        ping: 'tes'
+    },
+
+    WEBHOOK_STATUS_LABELS: {
+        success: 'Terkirim',
+        pending: 'Menunggu percobaan ulang',
+        failed: 'Gagal'
+    },
+
+    async loadWebhooks() {
+        const list = document.getElementById('webhookList');
+        try {
+            const hooks = await Auth.fetchWebhooks();
+            list.textContent = '';
+            if (hooks.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'settings-list-item';
+                empty.textContent = 'Belum ada webhook.';
+                list.appendChild(empty);
+            }
+            hooks.forEach(hook => list.appendChild(this.renderWebhook(hook)));
+        } catch (e) {
+            console.error('Load webhooks error:', e);
+            list.textContent = 'Gagal memuat webhook: ' + e.message;
+        }
+    },
+
+    renderWebhook(hook) {
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+
+        const info = document.createElement('div');
+        const url = document.createElement('strong');
+        url.textContent = hook.url;
+        const meta = document.createElement('small');
+        meta.textContent = [
+            hook.events.map(event => this.WEBHOOK_EVENT_LABELS[event] || event).join(', '),
+            hook.lastStatus
+                ? `${this.WEBHOOK_STATUS_LABELS[hook.lastStatus] || hook.lastStatus} ${this.formatRelativeTime(hook.lastDeliveryAt)}`
+                : 'belum pernah dikirim'
+        ].join(' · ');
+        info.append(url, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-list-actions';
+        const button = (action, label, className = 'settings-list-btn') => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = className;
+            btn.dataset.action = action;
+            btn.dataset.id = hook.id;
+            btn.textContent = label;
+            return btn;
+        };
+        const remove = button('delete-webhook', 'Hapus', 'session-revoke');
+        remove.dataset.url = hook.url;
+        actions.append(button('test-webhook', 'Tes'), button('webhook-log', 'Log'), remove);
+
+        item.append(info, actions);
+        return item;
+    },
+
+    createWebhook(form) {
+        const events = [...form.querySelectorAll('input[name="webhookEvent"]:checked')].map(input => input.value);
+        if (events.length === 0) {
+            this.showToast('Pilih minimal satu kejadian');
             return;
         }
+        return this.submitSettingsForm(form, async () => {
+            const { secret } = await Auth.createWebhook(document.getElementById('webhookUrl').value.trim(), events);
+            form.reset();
+            document.getElementById('webhookSecretValue').textContent = secret;
+            document.getElementById('webhookCreated').hidden = false;
+            this.showToast('✅ Webhook ditambahkan');
+            this.loadWebhooks();
+        });
+    },
 
+    async copyWebhookSecret() {
         try {
-            this.showProgress(0, 'Menghapus Data', 'Membersihkan Cloud...');
+            await navigator.clipboard.writeText(document.getElementById('webhookSecretValue').textContent);
+            this.showToast('✅ Kunci disalin');
+        } catch (e) {
+            this.showToast('❌ Gagal menyalin, salin kunci secara manual');
+        }
+    },
 
-            await Auth.resetCloud();
+    async testWebhook(webhookId, btn) {
+        if (!this.canPerformWriteOperation()) {
+            this.showToast('⚠️ Koneksi internet diperlukan');
+            return;
+        }
+        btn.disabled = true;
+        try {
+            const result = await Auth.testWebhook(webhookId);
+            this.showToast(result.delivered
+                ? `✅ Tes terkirim (HTTP ${result.responseStatus})`
+                : `❌ Tes gagal: ${result.error}. Akan dicoba ulang otomatis.`);
+            this.loadWebhooks();
+        } catch (e) {
+            this.showToast('❌ ' + e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
 
-            this.data = [];
-            localStorage.removeItem(this.STORAGE_KEY);
+    toggleWebhookDeliveries(webhookId, item) {
+        const open = item.querySelector('.webhook-deliveries');
+        if (open) {
+            open.remove();
+            return;
+        }
+        const log = document.createElement('ul');
+        log.className = 'audit-list webhook-deliveries';
+        item.appendChild(log);
+        this.loadWebhookDeliveries(webhookId, log);
+    },
 
-            this.showToast('✅ Semua data (HP & Cloud) berhasil dihapus');
-            this.renderList();
-            this.closeResetModal();
+    // Newest first; a cursor appends older deliveries below the ones already shown
+    async loadWebhookDeliveries(webhookId, log, cursor = null) {
+        log.querySelector('[data-action="webhook-log-more"]')?.closest('li').remove();
+        try {
+            const { deliveries, nextCursor } = await Auth.fetchWebhookDeliveries(webhookId, cursor);
+            if (!cursor && deliveries.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'audit-item';
+                empty.textContent = 'Belum ada pengiriman.';
+                log.appendChild(empty);
+            }
+            deliveries.forEach(delivery => log.appendChild(this.renderWebhookDelivery(delivery)));
+
+            if (nextCursor) {
+                const more = document.createElement('li');
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'settings-list-btn';
+                btn.dataset.action = 'webhook-log-more';
+                btn.dataset.id = webhookId;
+                btn.dataset.cursor = nextCursor;
+                btn.textContent = 'Muat lebih banyak';
+                more.appendChild(btn);
+                log.appendChild(more);
+            }
         } catch (e) {
-            console.error('Reset error:', e);
-            // Check if it's a network error
-            if (e.message && (e.message.includes('fetch') || e.message.includes('network'))) {
-                if (typeof ConnectionMonitor !== 'undefined') {
-                    ConnectionMonitor.showBanner('error');
-                }
+            console.error('Load webhook deliveries error:', e);
+            this.showToast('❌ Gagal memuat log webhook');
+        }
+    },
+
+    renderWebhookDelivery(delivery) {
+        const item = document.createElement('li');
+        item.className = delivery.status === 'success' ? 'audit-item' : 'audit-item failure';
+
+        const title = document.createElement('strong');
+        const event = this.WEBHOOK_EVENT_LABELS[delivery.event] || delivery.event;
+        title.textContent = `${this.WEBHOOK_STATUS_LABELS[delivery.status] || delivery.status} · ${event}`;
+
+        const meta = document.createElement('small');
+        const time = (ms) => new Date(ms).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+        meta.textContent = [
+            time(delivery.createdAt),
+            `${delivery.attempts}x percobaan`,
+            delivery.error || (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : null),
+            delivery.nextAttemptAt ? 'berikutnya ' + time(delivery.nextAttemptAt) : null
+        ].filter(Boolean).join(' · ');
+
+        item.append(title, meta);
+        return item;
+    },
+
+    async deleteWebhook(webhookId, url) {
+        const confirmed = await this.showConfirm('Hapus Webhook', `Berhenti mengirim ke ${url}? Log pengirimannya ikut dihapus.`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.deleteWebhook(webhookId);
+            this.showToast('✅ Webhook dihapus');
+            this.loadWebhooks();
+        } catch (e) {
+            this.showToast('❌ Gagal menghapus webhook: ' + e.message);
+        }
+    },
+
+    // --- Shared Journals ---
+
+    JOURNAL_ROLE_LABELS: {
+        owner: 'Pemilik',
+        editor: 'Penyunting',
+        viewer: 'Pembaca'
+    },
+
+    journals: [],
+
+    // Active journal from the server list; the personal journal when none is picked
+    getActiveJournal() {
+        const activeId = Auth.getActiveJournal();
+        return this.journals.find(journal => journal.id === activeId) || this.journals.find(journal => journal.personal) || null;
+    },
+
+    async loadJournals() {
+        try {
+            this.journals = await Auth.fetchJournals();
+        } catch (e) {
+            console.warn('Journal list failed:', e.message);
+            return;
+        }
+
+        // Removed from the saved journal (or it was deleted): back to the personal one with a fresh cache
+        const activeId = Auth.getActiveJournal();
+        if (activeId && !this.journals.some(journal => journal.id === activeId)) {
+            Auth.setActiveJournal(null);
+            await this.db.clearAll();
+            this.showToast('Jurnal sebelumnya tidak tersedia lagi, kembali ke Jurnal Pribadi');
+        }
+
+        const active = this.getActiveJournal();
+        const select = document.getElementById('journalSwitcher');
+        if (select) {
+            select.textContent = '';
+            this.journals.forEach(journal => {
+                const label = journal.personal ? journal.name : `${journal.name} (${this.JOURNAL_ROLE_LABELS[journal.role] || journal.role})`;
+                select.add(new Option(label, journal.id, false, active && journal.id === active.id));
+            });
+            select.hidden = false;
+        }
+        document.body.classList.toggle('journal-read-only', !!active && active.role === 'viewer');
+    },
+
+    // Local cache and sync cursor belong to one journal, so switching starts from a clean slate
+    async switchJournal(journalId) {
+        const journal = this.journals.find(item => item.id === journalId);
+        Auth.setActiveJournal(journal && !journal.personal ? journal.id : null);
+        await this.db.clearAll();
+        window.onbeforeunload = null;
+        window.location.reload();
+    },
+
+    async loadJournalSettings() {
+        const active = this.getActiveJournal();
+        const list = document.getElementById('journalMemberList');
+        if (!active) {
+            list.textContent = 'Gagal memuat jurnal.';
+            return;
+        }
+
+        const isOwner = active.role === 'owner';
+        document.getElementById('journalSummary').textContent = `Jurnal aktif: ${active.name} · peran Anda ${(this.JOURNAL_ROLE_LABELS[active.role] || active.role).toLowerCase()}`;
+        document.getElementById('journalName').value = active.name;
+        document.getElementById('journalRenameForm').hidden = !isOwner;
+        document.getElementById('journalMemberForm').hidden = !isOwner;
+        document.getElementById('deleteJournalBtn').hidden = !active.isOwnerOfRecord || active.personal;
+        document.getElementById('leaveJournalBtn').hidden = active.isOwnerOfRecord;
+
+        try {
+            const { data } = await Auth.fetchJournalMembers(active.id);
+            list.textContent = '';
+            data.forEach(member => list.appendChild(this.renderJournalMember(member, isOwner)));
+        } catch (e) {
+            console.error('Load journal members error:', e);
+            list.textContent = 'Gagal memuat anggota: ' + e.message;
+        }
+    },
+
+    renderJournalMember(member, canManage) {
+        const item = document.createElement('li');
+        item.className = 'settings-list-item';
+
+        const info = document.createElement('div');
+        const name = document.createElement('strong');
+        name.textContent = member.username || member.email;
+        const meta = document.createElement('small');
+        meta.textContent = [
+            member.username ? member.email : null,
+            member.isOwnerOfRecord ? 'pembuat jurnal' : 'bergabung ' + this.formatRelativeTime(member.joinedAt)
+        ].filter(Boolean).join(' · ');
+        info.append(name, meta);
+        item.appendChild(info);
+
+        if (!canManage || member.isOwnerOfRecord) {
+            const role = document.createElement('small');
+            role.textContent = this.JOURNAL_ROLE_LABELS[member.role] || member.role;
+            item.appendChild(role);
+            return item;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-list-actions';
+        const role = document.createElement('select');
+        role.className = 'form-select journal-role-select';
+        role.dataset.action = 'journal-member-role';
+        role.dataset.id = member.userId;
+        Object.entries(this.JOURNAL_ROLE_LABELS).forEach(([value, label]) => role.add(new Option(label, value, false, value === member.role)));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'session-revoke';
+        remove.dataset.action = 'remove-journal-member';
+        remove.dataset.id = member.userId;
+        remove.dataset.name = member.username || member.email;
+        remove.textContent = 'Keluarkan';
+        actions.append(role, remove);
+
+        item.appendChild(actions);
+        return item;
+    },
+
+    addJournalMember(form) {
+        return this.submitSettingsForm(form, async () => {
+            await Auth.addJournalMember(
+                this.getActiveJournal().id,
+                document.getElementById('journalMemberLogin').value.trim(),
+                document.getElementById('journalMemberRole').value
+            );
+            form.reset();
+            this.showToast('✅ Anggota ditambahkan');
+            this.loadJournalSettings();
+        });
+    },
+
+    async updateJournalMember(userId, role) {
+        try {
+            await Auth.updateJournalMember(this.getActiveJournal().id, userId, role);
+            this.showToast('✅ Peran diperbarui');
+        } catch (e) {
+            this.showToast('❌ Gagal mengubah peran: ' + e.message);
+        }
+        this.loadJournalSettings();
+    },
+
+    async removeJournalMember(userId, name) {
+        const confirmed = await this.showConfirm('Keluarkan Anggota', `${name} tidak akan bisa membuka jurnal ini lagi. Lanjutkan?`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.removeJournalMember(this.getActiveJournal().id, userId);
+            this.showToast('✅ Anggota dikeluarkan');
+            this.loadJournalSettings();
+        } catch (e) {
+            this.showToast('❌ Gagal mengeluarkan anggota: ' + e.message);
+        }
+    },
+
+    renameJournal(form) {
+        return this.submitSettingsForm(form, async () => {
+            await Auth.renameJournal(this.getActiveJournal().id, document.getElementById('journalName').value.trim());
+            this.showToast('✅ Nama jurnal disimpan');
+            await this.loadJournals();
+            this.loadJournalSettings();
+        });
+    },
+
+    createJournal(form) {
+        return this.submitSettingsForm(form, async () => {
+            const journal = await Auth.createJournal(document.getElementById('newJournalName').value.trim());
+            form.reset();
+            this.showToast('✅ Jurnal dibuat');
+            await this.switchJournal(journal.id);
+        });
+    },
+
+    async leaveJournal() {
+        const active = this.getActiveJournal();
+        const confirmed = await this.showConfirm('Keluar dari Jurnal', `Anda tidak akan bisa membuka "${active.name}" lagi sampai diundang ulang. Lanjutkan?`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.removeJournalMember(active.id, Auth.getUser().id);
+            await this.switchJournal(null);
+        } catch (e) {
+            this.showToast('❌ Gagal keluar dari jurnal: ' + e.message);
+        }
+    },
+
+    async deleteJournal() {
+        const active = this.getActiveJournal();
+        const confirmed = await this.showConfirm('Hapus Jurnal', `Semua catatan dan gambar di "${active.name}" akan dihapus permanen untuk semua anggota. Lanjutkan?`);
+        if (!confirmed) return;
+
+        try {
+            await Auth.deleteJournal(active.id);
+            await this.switchJournal(null);
+        } catch (e) {
+            this.showToast('❌ Gagal menghapus jurnal: ' + e.message);
+        }
+    },
+
+    // --- Account Deletion & Export ---
+
+    async exportAccount() {
+        if (!this.canPerformWriteOperation()) return;
+        const btn = document.getElementById('exportAccountBtn');
+        btn.disabled = true;
+        this.showToast('Menyiapkan ekspor...');
+        try {
+            const blob = await Auth.exportAccount();
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `JournalFinance_export_${new Date().toISOString().slice(0, 10)}.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            setTimeout(() => URL.revokeObjectURL(url), 5000);
+            this.showToast('✅ Ekspor data diunduh');
+        } catch (e) {
+            this.showToast('❌ ' + e.message);
+        } finally {
+            btn.disabled = false;
+        }
+    },
+
+    deleteAccount(form) {
+        return this.submitSettingsForm(form, async () => {
+            const confirmed = await this.showConfirm('Hapus Akun', 'Akun akan dijadwalkan untuk dihapus dan Anda keluar dari semua perangkat. Lanjutkan?');
+            if (!confirmed) return;
+
+            const { deleteAfter } = await Auth.deleteAccount(
+                document.getElementById('deleteAccountPassword').value,
+                document.getElementById('deleteAccountCode').value.trim()
+            );
+            const date = new Date(deleteAfter).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+            await this.showAlert('Akun Dijadwalkan Dihapus', `Akun dan semua data akan dihapus permanen pada ${date}. Masuk kembali sebelum tanggal itu untuk membatalkan.`);
+            window.location.replace('login.html');
+        });
+    },
+
+    // --- Security Activity (audit log) ---
+
+    AUDIT_EVENT_LABELS: {
+        login: 'Masuk',
+        logout: 'Keluar',
+        logout_all: 'Keluar dari semua perangkat',
+        session_revoked: 'Perangkat dicabut',
+        refresh_token_reused: 'Sesi dihentikan (token dipakai ulang)',
+        password_changed: 'Ganti password',
+        password_reset_requested: 'Minta tautan reset password',
+        password_reset: 'Reset password',
+        email_changed: 'Ganti email',
+        email_verified: 'Email diverifikasi',
+        username_changed: 'Ganti username',
+        two_factor_enabled: '2FA diaktifkan',
+        two_factor_disabled: '2FA dinonaktifkan',
+        data_reset: 'Semua catatan dihapus',
+        trash_emptied: 'Sampah dikosongkan',
+        account_deletion_scheduled: 'Penghapusan akun dijadwalkan',
+        account_deletion_cancelled: 'Penghapusan akun dibatalkan',
+        api_token_created: 'Token API dibuat',
+        api_token_updated: 'Token API diubah',
+        api_token_revoked: 'Token API dicabut',
+        webhook_created: 'Webhook ditambahkan',
+        webhook_deleted: 'Webhook dihapus',
+        journal_member_added: 'Anggota jurnal ditambahkan',
+        journal_member_removed: 'Anggota jurnal dikeluarkan',
+        share_link_created: 'Tautan berbagi dibuat',
+        share_link_revoked: 'Tautan berbagi dicabut'
+    },
+
+    AUDIT_OUTCOME_LABELS: {
+        failure: 'gagal',
+        blocked: 'diblokir'
+    },
+
+    auditCursor: null,
+
+    // Without a cursor the list starts over; with one, older events are appended
+    async loadAuditEvents(cursor = null) {
+        const list = document.getElementById('auditList');
+        const more = document.getElementById('auditMoreBtn');
+        if (!cursor) list.textContent = '';
+        more.disabled = true;
+
+        try {
+            const { events, nextCursor } = await Auth.fetchAuditEvents(cursor);
+            events.forEach(event => list.appendChild(this.renderAuditEvent(event)));
+            if (!cursor && events.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'audit-item';
+                empty.textContent = 'Belum ada aktivitas tercatat.';
+                list.appendChild(empty);
             }
-            this.showToast('❌ Gagal reset: ' + e.message);
+            this.auditCursor = nextCursor;
+            more.hidden = !nextCursor;
+        } catch (e) {
+            console.error('Load audit log error:', e);
+            this.showToast('❌ Gagal memuat aktivitas keamanan');
         } finally {
-            this.hideProgress();
+            more.disabled = false;
+        }
+    },
+
+    renderAuditEvent(event) {
+        const item = document.createElement('li');
+        item.className = `audit-item ${event.outcome}`;
+
+        const title = document.createElement('strong');
+        const outcome = this.AUDIT_OUTCOME_LABELS[event.outcome];
+        title.textContent = (this.AUDIT_EVENT_LABELS[event.event] || event.event) + (outcome ? ` (${outcome})` : '');
+
+        const meta = document.createElement('small');
+        const when = new Date(event.createdAt).toLocaleString('id-ID', { dateStyle: 'medium', timeStyle: 'short' });
+        meta.textContent = [when, event.device, event.ip].filter(Boolean).join(' · ');
+
+        item.append(title, meta);
+        return item;
+    },
+
+    // --- Sessions (user menu) ---
+
+    toggleSessionMenu() {
+        const menu = document.getElementById('sessionMenu');
+        menu.hidden = !menu.hidden;
+        if (!menu.hidden) this.loadSessions();
+    },
+
+    async loadSessions() {
+        const menu = document.getElementById('sessionMenu');
+        menu.textContent = 'Memuat perangkat...';
+        try {
+            const sessions = await Auth.fetchSessions();
+            menu.textContent = '';
+
+            const title = document.createElement('div');
+            title.className = 'session-menu-title';
+            title.textContent = `Perangkat aktif (${sessions.length})`;
+            menu.appendChild(title);
+
+            sessions.forEach(session => {
+                const row = document.createElement('div');
+                row.className = 'session-item';
+
+                const info = document.createElement('div');
+                info.className = 'session-info';
+                const label = document.createElement('strong');
+                label.textContent = session.deviceLabel || 'Perangkat tidak dikenal';
+                const meta = document.createElement('small');
+                meta.textContent = [session.ip, 'aktif ' + this.formatRelativeTime(session.lastSeenAt)].filter(Boolean).join(' · ');
+                meta.title = session.userAgent || '';
+                info.append(label, meta);
+
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'session-revoke';
+                btn.dataset.action = 'revoke-session';
+                btn.dataset.id = session.id;
+                btn.dataset.current = String(session.current);
+                btn.textContent = session.current ? 'Keluar (ini)' : 'Cabut';
+
+                row.append(info, btn);
+                menu.appendChild(row);
+            });
+        } catch (e) {
+            menu.textContent = 'Gagal memuat perangkat: ' + e.message;
+        }
+    },
+
+    async revokeSession(sessionId, isCurrent) {
+        const confirmed = await this.showConfirm(
+            'Cabut Sesi',
+            isCurrent ? 'Keluar dari perangkat ini?' : 'Perangkat ini akan langsung keluar dan harus login ulang. Lanjutkan?'
+        );
+        if (!confirmed) return;
+
+        try {
+            await Auth.revokeSession(sessionId);
+            if (isCurrent) {
+                Auth.logout();
+                window.location.replace('login.html');
+                return;
+            }
+            this.showToast('✅ Sesi perangkat dicabut');
+            this.loadSessions();
+        } catch (e) {
+            this.showToast('❌ Gagal mencabut sesi: ' + e.message);
         }
     },
 
+    formatRelativeTime(ms) {
+        const minutes = Math.floor((Date.now() - ms) / 60000);
+        if (minutes < 5) return 'baru saja';
+        if (minutes < 60) return `${minutes} menit lalu`;
+        if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} jam lalu`;
+        return new Date(ms).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+    },
+
     // --- Logout Logic ---
 
     initiateLogout() {
@@ -1256,8 +3222,9 @@ window.app = {
         document.getElementById('logoutModal').classList.remove('open');
     },
 
-    confirmLogout() {
+    async confirmLogout() {
         try {
+            await Auth.endSession();
             Auth.logout();
             window.location.replace('login.html');
         } catch (e) {
@@ -1280,25 +3247,21 @@ window.app = {
         document.getElementById('entryHighlight').checked = !!item.highlight;
         document.getElementById('entryPin').checked = !!item.pinned;
 
-        if (item.hasImage) {
-            Auth.fetchImage(item.id).then(imageData => {
-                if (imageData) {
-                    const img = document.getElementById('imagePreview');
-                    img.src = imageData;
-                    document.getElementById('uploadPlaceholder').style.display = 'none';
-                    document.getElementById('previewContainer').style.display = 'block';
-                }
-            }).catch(err => {
-                this.clearImage();
-            });
-        } else {
-            this.clearImage();
-        }
-        this.pendingImageClear = false;
+        this.resetAttachmentEditor();
+        if (item.hasImage) this.loadAttachmentEditor(item.id);
+        this.resetHistoryPanel(true);
+        this.editBaseVersion = item.version ?? null;
+
         document.getElementById('modalTitle').innerText = 'Edit Catatan';
         this.openModal(true);
     },
 
+    // Text fields only: `attachments` here is list metadata, sending it back would replace the images
+    toSavePayload(entry) {
+        const { attachments, attachmentCount, imageHash, ...payload } = entry;
+        return payload;
+    },
+
     async toggleHighlight(id) {
         const entry = this.data.find(i => String(i.id) === String(id));
         if (!entry) return;
@@ -1306,9 +3269,16 @@ window.app = {
             entry.highlight = !entry.highlight;
             // Optimistic update
             this.renderList();
-            await Auth.saveEntry(entry);
+            const result = await Auth.saveEntry(this.toSavePayload(entry), entry.version);
+            entry.version = result.version;
         } catch (e) {
             console.error('Highlight error', e);
+            if (e.conflict) {
+                // Changed on another device: show the server copy, user can toggle again
+                this.applyServerEntry(this.normalizeCloudEntry(e.conflict));
+                this.showToast('Catatan diubah di perangkat lain, tampilan diperbarui');
+                return;
+            }
             entry.highlight = !entry.highlight; // Revert
             this.renderList();
             this.showToast('Gagal update highlight');
@@ -1322,9 +3292,16 @@ window.app = {
             entry.pinned = !entry.pinned;
             // Optimistic update
             this.renderList();
-            await Auth.saveEntry(entry);
+            const result = await Auth.saveEntry(this.toSavePayload(entry), entry.version);
+            entry.version = result.version;
         } catch (e) {
             console.error('Pin error', e);
+            if (e.conflict) {
+                // Changed on another device: show the server copy, user can toggle again
+                this.applyServerEntry(this.normalizeCloudEntry(e.conflict));
+                this.showToast('Catatan diubah di perangkat lain, tampilan diperbarui');
+                return;
+            }
             entry.pinned = !entry.pinned; // Revert
             this.renderList();
             this.showToast('Gagal update pin');
@@ -1340,8 +3317,10 @@ window.app = {
 
         const listContainer = document.getElementById('journalList');
         const filtered = this.getFilteredData();
-        const totalNotes = filtered.length;
-        const totalImages = filtered.filter(i => i.hasImage).length;
+        // While more pages remain, the server-side totals are the only complete numbers
+        const usePageTotals = this.page.hasMore && this.page.total !== null;
+        const totalNotes = usePageTotals ? this.page.total : filtered.length;
+        const totalImages = usePageTotals ? this.page.images : filtered.filter(i => i.hasImage).length;
         const statsEl = document.getElementById('statsBar');
         // Storage stats irrelevant for Cloud
         const storageStats = null;
@@ -1397,8 +3376,9 @@ window.app = {
             const card = document.createElement('div');
             const rawId = String(item.id);
             const cleanId = rawId.replace(/[^a-zA-Z0-9_-]/g, '');
-            const titleSafe = this.escapeHtml(item.title);
-            const reasonSafe = this.escapeHtml(item.reason);
+            const highlight = this.searchMode ? this.searchHighlights.get(rawId) : null;
+            const titleSafe = this.renderHighlighted(highlight && highlight.title, item.title);
+            const reasonSafe = this.renderHighlighted(highlight && highlight.reason, item.reason);
             const typeSafe = this.escapeHtml(item.type);
 
             card.className = `journal-card ${item.highlight ? 'highlighted' : ''}`;
@@ -1424,6 +3404,9 @@ window.app = {
                          <button class="btn-icon action-pin ${item.pinned ? 'active' : ''}" data-action="pin" data-id="${cleanId}" aria-label="Pin">
                               <svg pointer-events="none" viewBox="0 0 24 24" fill="${item.pinned ? 'currentColor' : 'none'}" stroke="${item.pinned ? 'none' : 'currentColor'}" stroke-width="2" style="width:18px;height:18px;"><line x1="12" y1="17" x2="12" y2="22"></line><path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path></svg>
                          </button>
+                         <button class="btn-icon action-share" data-action="share" data-id="${cleanId}" aria-label="Bagikan">
+                             <svg pointer-events="none" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="width:18px;height:18px;"><circle cx="18" cy="5" r="3"></circle><circle cx="6" cy="12" r="3"></circle><circle cx="18" cy="19" r="3"></circle><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line></svg>
+                         </button>
                          <button class="btn-icon action-delete" data-action="delete" data-id="${cleanId}" aria-label="Hapus">
                              <svg pointer-events="none" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="width:18px;height:18px;"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2-2v2"></path></svg>
                          </button>
@@ -1432,8 +3415,8 @@ window.app = {
                  <div class="reason-box">
                      <div class="card-content">${reasonSafe || '-'}</div>
                      ${item.hasImage ? `
-                         <div class="image-container" data-entry-id="${cleanId}" style="margin-top:12px;">
-                             <div class="image-skeleton" style="width:100%; height:200px; border-radius:8px;"></div>
+                         <div class="attachment-strip" data-entry-id="${cleanId}">
+                             ${'<div class="attachment-thumb image-skeleton"></div>'.repeat(Math.min(Math.max(item.attachmentCount || 0, 1), this.MAX_ATTACHMENTS))}
                          </div>
                      ` : ''}
                  </div>
@@ -1445,40 +3428,96 @@ window.app = {
         setTimeout(() => this.loadImagesLazy(), 100);
     },
 
+    // Object URL for an entry's cover image, cached by content hash so re-renders don't refetch
+    async getImageUrl(entryId) {
+        const item = this.data.find(i => String(i.id) === String(entryId));
+        const hash = item && item.imageHash;
+        if (hash && this.imageUrls.has(hash)) return this.imageUrls.get(hash);
+
+        // Fetch from Cloud API
+        const blob = await Auth.fetchImageBlob(entryId);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        if (hash) this.imageUrls.set(hash, url);
+        return url;
+    },
+
+    // Object URL for one attachment, same hash cache as the cover
+    async getAttachmentUrl(entryId, att) {
+        if (att.hash && this.imageUrls.has(att.hash)) return this.imageUrls.get(att.hash);
+
+        const blob = await Auth.fetchAttachmentBlob(entryId, att.id);
+        if (!blob) return null;
+
+        const url = URL.createObjectURL(blob);
+        if (att.hash) this.imageUrls.set(att.hash, url);
+        return url;
+    },
+
     async loadImagesLazy() {
-        const containers = document.querySelectorAll('.image-container');
-        for (const container of containers) {
-            const entryId = container.dataset.entryId;
+        const strips = document.querySelectorAll('.attachment-strip');
+        for (const strip of strips) {
+            const entryId = strip.dataset.entryId;
             if (!entryId) continue;
 
             try {
-                // Fetch from Cloud API
-                const imageData = await Auth.fetchImage(entryId);
-
-                if (imageData) {
-                    container.innerHTML = `<img src="${imageData}" style="width:100%; border-radius:8px; display:block; box-shadow: var(--shadow-sm);" loading="lazy" alt="Attachment">`;
-
-                    // Simple modal for image view
-                    const img = container.querySelector('img');
-                    img.style.cursor = 'zoom-in';
-                    img.onclick = () => {
-                        const modal = document.createElement('div');
-                        modal.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.9);z-index:9999;display:flex;align-items:center;justify-content:center;cursor:zoom-out;animation:fadeIn 0.2s;';
-                        modal.innerHTML = `<img src="${imageData}" style="max-width:95%;max-height:95vh;border-radius:4px;box-shadow:0 0 30px rgba(0,0,0,0.5);">`;
-                        modal.onclick = () => modal.remove();
-                        document.body.appendChild(modal);
-                    };
-
+                const item = this.data.find(i => String(i.id) === String(entryId));
+                const attachments = item && item.attachments && item.attachments.length > 0 ? item.attachments : null;
+
+                // Legacy image not converted yet: only the cover route knows it
+                const images = [];
+                if (attachments) {
+                    for (const att of attachments) {
+                        const url = await this.getAttachmentUrl(entryId, att);
+                        if (url) images.push({ url, caption: att.caption });
+                    }
                 } else {
-                    container.style.display = 'none';
+                    const url = await this.getImageUrl(entryId);
+                    if (url) images.push({ url, caption: '' });
                 }
+
+                if (images.length === 0) {
+                    strip.style.display = 'none';
+                    continue;
+                }
+
+                strip.innerHTML = '';
+                images.forEach(({ url, caption }) => {
+                    const img = document.createElement('img');
+                    img.className = 'attachment-thumb';
+                    img.src = url;
+                    img.alt = caption || 'Attachment';
+                    img.title = caption;
+                    img.loading = 'lazy';
+                    img.onclick = () => this.openImageViewer(url, caption);
+                    strip.appendChild(img);
+                });
             } catch (e) {
                 console.error('Error loading image', entryId, e);
-                container.style.display = 'none';
+                strip.style.display = 'none';
             }
         }
     },
 
+    // Simple modal for image view
+    openImageViewer(url, caption) {
+        const modal = document.createElement('div');
+        modal.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:rgba(0,0,0,0.9);z-index:9999;display:flex;flex-direction:column;gap:12px;align-items:center;justify-content:center;cursor:zoom-out;animation:fadeIn 0.2s;';
+        modal.innerHTML = `<img style="max-width:95%;max-height:88vh;border-radius:4px;box-shadow:0 0 30px rgba(0,0,0,0.5);">`;
+        modal.querySelector('img').src = url;
+
+        if (caption) {
+            const text = document.createElement('p');
+            text.style.cssText = 'color:#fff;font-size:0.9rem;max-width:90%;text-align:center;';
+            text.textContent = caption;
+            modal.appendChild(text);
+        }
+
+        modal.onclick = () => modal.remove();
+        document.body.appendChild(modal);
+    },
+
 
     // --- Helpers ---
 
@@ -1489,6 +3528,11 @@ window.app = {
         const start = document.getElementById('dateStart').value;
         const end = document.getElementById('dateEnd').value;
 
+        // Search results are already matched + ranked by the server (FTS), keep them as-is
+        if (this.searchMode && !this.offlineMode) {
+            return filtered;
+        }
+
         if (search) {
             filtered = filtered.filter(item =>
                 item.title.toLowerCase().includes(search) ||
@@ -1508,30 +3552,32 @@ window.app = {
             filtered = filtered.filter(item => item.date <= end);
         }
 
-        // Sort: Pinned First > Date Descending > Created Descending
-        filtered.sort((a, b) => {
-            // Helper to handle legacy data types (e.g. "false" string)
-            const isPinned = (val) => {
-                if (val === 'false') return false;
-                return !!val;
-            };
+        // Sort: Pinned First > Date Descending > Created Descending (same as server sort=pinned)
+        filtered.sort((a, b) => this.compareEntries(a, b));
 
-            const pinA = isPinned(a.pinned);
-            const pinB = isPinned(b.pinned);
+        return filtered;
+    },
 
-            if (pinA !== pinB) {
-                return pinA ? -1 : 1;
-            }
-            if (a.date !== b.date) {
-                // Safely compare dates
-                const dateA = a.date || '';
-                const dateB = b.date || '';
-                return dateB.localeCompare(dateA);
-            }
-            return (b.timestamp || 0) - (a.timestamp || 0);
-        });
+    compareEntries(a, b) {
+        // Helper to handle legacy data types (e.g. "false" string)
+        const isPinned = (val) => {
+            if (val === 'false') return false;
+            return !!val;
+        };
 
-        return filtered;
+        const pinA = isPinned(a.pinned);
+        const pinB = isPinned(b.pinned);
+
+        if (pinA !== pinB) {
+            return pinA ? -1 : 1;
+        }
+        if (a.date !== b.date) {
+            // Safely compare dates
+            const dateA = a.date || '';
+            const dateB = b.date || '';
+            return dateB.localeCompare(dateA);
+        }
+        return (b.timestamp || 0) - (a.timestamp || 0);
     },
 
     toggleTheme() {
@@ -1555,8 +3601,11 @@ window.app = {
             document.getElementById('entryDate').value = new Date().toISOString().slice(0, 10);
             // document.getElementById('entryAmount').value = ''; // Removed from UI
             document.getElementById('modalTitle').innerText = 'Tambah Catatan';
-            this.clearImage();
+            this.resetAttachmentEditor();
+            this.resetHistoryPanel(false);
+            this.editBaseVersion = null;
         }
+        this.clearFieldErrors();
         document.getElementById('entryModal').classList.add('open');
     },
 
@@ -1651,6 +3700,7 @@ window.app = {
 
     async copyText() {
         // Use filtered data so user can copy specific views (e.g. per month)
+        await this.loadAllPages();
         const dataToExport = this.getFilteredData();
         if (!dataToExport || dataToExport.length === 0) {
             this.showToast('⚠️ Tidak ada data untuk disalin');
@@ -1703,7 +3753,8 @@ window.app = {
         }
     },
 
-    downloadTxt() {
+    async downloadTxt() {
+        await this.loadAllPages();
         const txt = this.data.map(i => `${i.date} [${i.type}]: ${i.title}\nKet: ${i.reason}\n----------------`).join('\n');
         const blob = new Blob([txt], { type: 'text/plain' });
         const a = document.createElement('a');
@@ -1718,6 +3769,16 @@ window.app = {
         return date.toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
     },
 
+    // FTS marked text -> escaped HTML with <mark>; falls back to plain text if the entry changed since the search
+    renderHighlighted(marked, plain) {
+        if (!marked || marked.replace(/[\u0002\u0003]/g, '') !== (plain || '')) {
+            return this.escapeHtml(plain);
+        }
+        return this.escapeHtml(marked)
+            .replace(/\u0002/g, '<mark>')
+            .replace(/\u0003/g, '</mark>');
+    },
+
     escapeHtml(str) {
         if (!str) return '';
         const div = document.createElement('div');
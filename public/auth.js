@@ -17,6 +17,10 @@ class Auth {
         return localStorage.getItem('auth_token');
     }
 
+    static getRefreshToken() {
+        return localStorage.getItem('auth_refresh_token');
+    }
+
     static getUser() {
         const user = localStorage.getItem('auth_user');
         return user ? JSON.parse(user) : null;
@@ -26,7 +30,8 @@ class Auth {
         const token = this.getToken();
         if (!token) return false;
 
-        if (this.isTokenExpired(token)) {
+        // An expired access token is fine while a refresh token can renew it
+        if (this.isTokenExpired(token) && !this.getRefreshToken()) {
             this.logout();
             return false;
         }
@@ -34,6 +39,71 @@ class Auth {
         return true;
     }
 
+    // --- ACCESS TOKEN REFRESH ---
+
+    static refreshPromise = null;
+
+    // fetch() for authenticated API calls: sends the current access token, renews it when expired
+    // or rejected (401) and retries once. A 401 only comes back once the refresh token is dead too.
+    static async authFetch(url, options = {}) {
+        const send = () => fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'Authorization': `Bearer ${this.getToken()}` }
+        });
+
+        let refreshed = null;
+        if (this.isTokenExpired(this.getToken())) refreshed = await this.refreshAccessToken();
+
+        const res = await send();
+        // Only a spent rate limit budget pauses every request. Other 429s (locked login, resend cooldown) belong
+        // to their caller; they carry RateLimit-* headers too (every API response does), but with budget left.
+        const budgetSpent = res.headers.get('RateLimit-Remaining') === '0';
+        if (res.status === 429 && budgetSpent && typeof ConnectionMonitor !== 'undefined') ConnectionMonitor.handleRateLimit(res);
+        if (res.status !== 401 || refreshed === false) return res;
+        return (await this.refreshAccessToken()) ? send() : res;
+    }
+
+    // Single flight: parallel requests share one refresh. Resolves true when a new access token is stored.
+    static refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    static async requestTokenRefresh() {
+        const refreshToken = this.getRefreshToken();
+        if (!refreshToken) return false;
+
+        // Network errors propagate: being offline is not a reason to log out
+        const res = await fetch(`${API_CONFIG.BASE_URL}/api/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (res.ok) {
+            const data = await res.json();
+            localStorage.setItem('auth_token', data.token);
+            localStorage.setItem('auth_refresh_token', data.refreshToken);
+            return true;
+        }
+
+        // 409: another tab rotated the same token a moment ago, its tokens land in localStorage
+        if (res.status === 409) {
+            for (let i = 0; i < 10; i++) {
+                if (this.getRefreshToken() !== refreshToken) return true;
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+        if (this.getRefreshToken() !== refreshToken) return true;
+
+        console.warn('Token refresh failed:', res.status);
+        return false;
+    }
+
     static isTokenExpired(token) {
         try {
             const base64Url = token.split('.')[1];
@@ -82,12 +152,17 @@ class Auth {
             });
 
             const data = await response.json();
-            if (!response.ok) throw new Error(data.error || 'Login gagal');
+            if (!response.ok) {
+                const error = new Error(data.error || 'Login gagal');
+                error.code = data.code;
+                error.retryAfter = data.retryAfter; // seconds, set on 429 LOGIN_LOCKED
+                throw error;
+            }
 
-            // Save Session
-            localStorage.setItem('auth_token', data.token);
-            localStorage.setItem('auth_user', JSON.stringify(data.user));
+            // 2FA enabled: caller asks for a code and finishes with verifyLoginCode(data.mfaToken, code)
+            if (data.mfaRequired) return data;
 
+            this.storeLogin(data);
             return data;
         } catch (e) {
             console.error('Login Error:', e);
@@ -95,18 +170,125 @@ class Auth {
         }
     }
 
+    static async verifyLoginCode(mfaToken, code) {
+        try {
+            const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/login/2fa`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mfaToken, code })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                const error = new Error(data.error || 'Verifikasi gagal');
+                error.code = data.code;
+                error.retryAfter = data.retryAfter;
+                throw error;
+            }
+
+            this.storeLogin(data);
+            return data;
+        } catch (e) {
+            console.error('2FA Login Error:', e);
+            throw e;
+        }
+    }
 
+    // Save Session
+    static storeLogin(data) {
+        localStorage.setItem('auth_token', data.token);
+        localStorage.setItem('auth_refresh_token', data.refreshToken);
+        localStorage.setItem('auth_user', JSON.stringify(data.user));
+    }
+
+
+
+    static async requestPasswordReset(email) {
+        try {
+            const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/forgot`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Permintaan reset gagal');
+            return data;
+        } catch (e) {
+            console.error('Forgot Password Error:', e);
+            throw e;
+        }
+    }
+
+    // Opened from the email link; works without being signed in
+    static async verifyEmail(token) {
+        try {
+            const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/verify-email`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Verifikasi email gagal');
+
+            // Same account signed in here: reflect it without waiting for the next account fetch
+            const user = this.getUser();
+            if (user && user.email === data.email) {
+                localStorage.setItem('auth_user', JSON.stringify({ ...user, emailVerified: true }));
+            }
+            return data;
+        } catch (e) {
+            console.error('Verify Email Error:', e);
+            throw e;
+        }
+    }
+
+    static async resetPassword(token, password) {
+        try {
+            const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/reset`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token, password })
+            });
+
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Reset password gagal');
+
+            // Every session was revoked server-side, including this browser's
+            this.logout();
+            return data;
+        } catch (e) {
+            console.error('Reset Password Error:', e);
+            throw e;
+        }
+    }
 
     static logout() {
         localStorage.removeItem('auth_token');
+        localStorage.removeItem('auth_refresh_token');
         localStorage.removeItem('auth_user');
+        localStorage.removeItem('active_journal');
         // Redirect handled by caller or window location reload
     }
 
+    // Ends this device's session on the server (best effort, local logout happens regardless)
+    static async endSession() {
+        if (!this.isAuthenticated()) return;
+        try {
+            await this.authFetch(`${API_CONFIG.BASE_URL}/api/auth/logout`, {
+                method: 'POST',
+                headers: this.getHeaders()
+            });
+        } catch (e) {
+            console.error('End Session Error:', e);
+        }
+    }
+
     static async logoutAll() {
         if (!this.isAuthenticated()) return { success: false, error: 'Not authenticated' };
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/auth/logout-all`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/auth/logout-all`, {
                 method: 'POST',
                 headers: this.getHeaders()
             });
@@ -122,12 +304,245 @@ class Auth {
         }
     }
 
+    // --- ACCOUNT SETTINGS ---
+
+    static async accountRequest(suffix, options = {}) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/account${suffix}`, {
+                ...options,
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (!res.ok) {
+                const error = new Error(json.error || 'Account request failed');
+                error.code = json.code;
+                error.retryAfter = json.retryAfter;
+                throw error;
+            }
+
+            // Email / username / password changes come back with a fresh token for this device
+            if (json.token) localStorage.setItem('auth_token', json.token);
+            if (json.user) localStorage.setItem('auth_user', JSON.stringify(json.user));
+            return json;
+        } catch (e) {
+            console.error('Account Error:', e);
+            throw e;
+        }
+    }
+
+    static async fetchSessions() {
+        const json = await this.accountRequest('/sessions');
+        return json.data || [];
+    }
+
+    static async revokeSession(sessionId) {
+        return this.accountRequest(`/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    }
+
+    static async fetchApiTokens() {
+        const json = await this.accountRequest('/tokens');
+        return json.data || [];
+    }
+
+    // Resolves to { token, data }; the plaintext token is only returned here, once
+    static async createApiToken(name, scopes, expiresInDays = null) {
+        return this.accountRequest('/tokens', { method: 'POST', body: JSON.stringify({ name, scopes, expiresInDays }) });
+    }
+
+    // telegramChatId: the one chat allowed to capture through this token, null to clear it
+    static async updateApiToken(tokenId, telegramChatId) {
+        return this.accountRequest(`/tokens/${encodeURIComponent(tokenId)}`, { method: 'PATCH', body: JSON.stringify({ telegramChatId }) });
+    }
+
+    static async revokeApiToken(tokenId) {
+        return this.accountRequest(`/tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+    }
+
+    static async fetchWebhooks() {
+        const json = await this.accountRequest('/webhooks');
+        return json.data || [];
+    }
+
+    // Resolves to { secret, data }; the signing secret is only returned here, once
+    static async createWebhook(url, events) {
+        return this.accountRequest('/webhooks', { method: 'POST', body: JSON.stringify({ url, events }) });
+    }
+
+    static async deleteWebhook(webhookId) {
+        return this.accountRequest(`/webhooks/${encodeURIComponent(webhookId)}`, { method: 'DELETE' });
+    }
+
+    // Sends a 'ping' and resolves to { delivered, responseStatus, error } of that first attempt
+    static async testWebhook(webhookId) {
+        return this.accountRequest(`/webhooks/${encodeURIComponent(webhookId)}/test`, { method: 'POST' });
+    }
+
+    static async fetchWebhookDeliveries(webhookId, cursor = null) {
+        const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+        return this.accountRequest(`/webhooks/${encodeURIComponent(webhookId)}/deliveries${query}`);
+    }
+
+    // One page of the security log, newest first. Pass the previous nextCursor for older events.
+    static async fetchAuditEvents(cursor = null) {
+        return this.accountRequest(cursor ? `/audit?cursor=${encodeURIComponent(cursor)}` : '/audit');
+    }
+
+    // Full account export (entries, trash, images, sessions, security log) as a JSON Blob
+    static async exportAccount() {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/account/export`, {
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+            if (!res.ok) throw new Error('Ekspor gagal');
+            return await res.blob();
+        } catch (e) {
+            console.error('Export Error:', e);
+            throw e;
+        }
+    }
+
+    // Schedules deletion; every session (this one included) is signed out server-side
+    static async deleteAccount(password, code) {
+        const json = await this.accountRequest('/delete', { method: 'POST', body: JSON.stringify({ password, code }) });
+        this.logout();
+        return json;
+    }
+
+    static async resendVerification() {
+        return this.accountRequest('/email/resend', { method: 'POST' });
+    }
+
+    static async setupTwoFactor() {
+        return this.accountRequest('/2fa/setup', { method: 'POST' });
+    }
+
+    static async enableTwoFactor(code) {
+        const json = await this.accountRequest('/2fa/enable', { method: 'POST', body: JSON.stringify({ code }) });
+        return json.recoveryCodes;
+    }
+
+    static async disableTwoFactor(password, code) {
+        return this.accountRequest('/2fa/disable', { method: 'POST', body: JSON.stringify({ password, code }) });
+    }
+
+    static async fetchAccount() {
+        const json = await this.accountRequest('');
+        return json.user;
+    }
+
+    static async changeUsername(username) {
+        const json = await this.accountRequest('/username', { method: 'PUT', body: JSON.stringify({ username }) });
+        return json.user;
+    }
+
+    static async changeEmail(email, currentPassword) {
+        const json = await this.accountRequest('/email', { method: 'PUT', body: JSON.stringify({ email, currentPassword }) });
+        return json.user;
+    }
+
+    static async changePassword(currentPassword, newPassword) {
+        return this.accountRequest('/password', { method: 'PUT', body: JSON.stringify({ currentPassword, newPassword }) });
+    }
+
+    // --- SHARED JOURNALS ---
+
+    // Journal the data routes work on; null = the personal journal
+    static getActiveJournal() {
+        return localStorage.getItem('active_journal');
+    }
+
+    static setActiveJournal(journalId) {
+        if (journalId) localStorage.setItem('active_journal', journalId);
+        else localStorage.removeItem('active_journal');
+    }
+
+    static async journalRequest(suffix, options = {}) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/journals${suffix}`, {
+                ...options,
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (!res.ok) {
+                const error = new Error(json.error || 'Journal request failed');
+                error.code = json.code;
+                throw error;
+            }
+            return json;
+        } catch (e) {
+            console.error('Journal Error:', e);
+            throw e;
+        }
+    }
+
+    static async fetchJournals() {
+        const json = await this.journalRequest('');
+        return json.data || [];
+    }
+
+    static async createJournal(name) {
+        const json = await this.journalRequest('', { method: 'POST', body: JSON.stringify({ name }) });
+        return json.data;
+    }
+
+    static async renameJournal(journalId, name) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}`, { method: 'PUT', body: JSON.stringify({ name }) });
+    }
+
+    static async deleteJournal(journalId) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}`, { method: 'DELETE' });
+    }
+
+    // Resolves to { role, data } where role is the caller's own role in the journal
+    static async fetchJournalMembers(journalId) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}/members`);
+    }
+
+    static async addJournalMember(journalId, login, role) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}/members`, { method: 'POST', body: JSON.stringify({ login, role }) });
+    }
+
+    static async updateJournalMember(journalId, userId, role) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}/members/${userId}`, { method: 'PUT', body: JSON.stringify({ role }) });
+    }
+
+    // Also used to leave a journal (userId = own id)
+    static async removeJournalMember(journalId, userId) {
+        return this.journalRequest(`/${encodeURIComponent(journalId)}/members/${userId}`, { method: 'DELETE' });
+    }
+
     static getHeaders() {
         const token = this.getToken();
-        return {
+        const headers = {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${token}`
         };
+        const journalId = this.getActiveJournal();
+        if (journalId) headers['X-Journal-Id'] = journalId;
+        return headers;
     }
 
     // --- FULL CLOUD API ---
@@ -135,7 +550,7 @@ class Auth {
     static async fetchEntries() {
         if (!this.isAuthenticated()) return [];
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/entries`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries`, {
                 headers: this.getHeaders()
             });
             if (res.status === 401) {
@@ -152,26 +567,221 @@ class Auth {
         }
     }
 
-    static async fetchImage(id) {
+    /**
+     * Paged + server-filtered listing.
+     * params: { type, from, to, q, pinned, highlight, sort, cursor, limit } (empty values are skipped)
+     * Returns { entries, nextCursor, total, images } - totals only come with the first page.
+     */
+    static async fetchEntryPage(params = {}) {
+        if (!this.isAuthenticated()) return { entries: [], nextCursor: null, total: 0, images: 0 };
+        try {
+            const query = new URLSearchParams();
+            Object.entries(params).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') query.set(key, value);
+            });
+
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries?${query}`, {
+                headers: this.getHeaders()
+            });
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+            if (!res.ok) throw new Error('Failed to fetch entries');
+            const json = await res.json();
+            return {
+                entries: json.data || [],
+                nextCursor: json.nextCursor || null,
+                total: json.total ?? null,
+                images: json.images ?? null
+            };
+        } catch (e) {
+            console.error('Fetch Entry Page Error:', e);
+            throw e;
+        }
+    }
+
+    /**
+     * Ranked full-text search (FTS5).
+     * params: { q, type, from, to, limit, offset }
+     * Returns { entries, nextOffset, total } - matches in highlight/snippet are wrapped in \u0002...\u0003.
+     */
+    static async searchEntries(params = {}) {
+        if (!this.isAuthenticated()) return { entries: [], nextOffset: null, total: 0 };
+        try {
+            const query = new URLSearchParams();
+            Object.entries(params).forEach(([key, value]) => {
+                if (value !== null && value !== undefined && value !== '') query.set(key, value);
+            });
+
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/search?${query}`, {
+                headers: this.getHeaders()
+            });
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+            if (!res.ok) throw new Error('Search failed');
+            const json = await res.json();
+            return {
+                entries: json.data || [],
+                nextOffset: json.nextOffset ?? null,
+                total: json.total ?? null
+            };
+        } catch (e) {
+            console.error('Search Error:', e);
+            throw e;
+        }
+    }
+
+    /**
+     * Delta Sync: since = cursor from the previous pull, or null for a full snapshot.
+     * Returns { full, entries, deleted, cursor }. Server may answer full=true for stale cursors.
+     */
+    static async fetchChanges(since = null) {
+        if (!this.isAuthenticated()) return { full: true, entries: [], deleted: [], cursor: null };
+        try {
+            const query = since !== null ? `?since=${encodeURIComponent(since)}` : '';
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries${query}`, {
+                headers: this.getHeaders()
+            });
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+            if (!res.ok) throw new Error('Failed to fetch changes');
+            const json = await res.json();
+            return {
+                full: json.full !== false,
+                entries: json.data || [],
+                deleted: json.deleted || [],
+                cursor: json.cursor ?? null
+            };
+        } catch (e) {
+            console.error('Fetch Changes Error:', e);
+            throw e;
+        }
+    }
+
+    // Raw image bytes (served with an ETag, so repeat loads revalidate with 304)
+    static async fetchImageBlob(id) {
         if (!this.isAuthenticated()) return null;
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/entries/${id}/image`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${id}/image`, {
                 headers: this.getHeaders()
             });
             if (!res.ok) return null;
+            return await res.blob();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Image as data URL (backup files embed images inline)
+    static async fetchImage(id) {
+        const blob = await this.fetchImageBlob(id);
+        return blob ? this.blobToDataUrl(blob) : null;
+    }
+
+    // --- Attachments (0..N images per entry) ---
+
+    static async attachmentsRequest(entryId, suffix, options = {}) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${entryId}/attachments${suffix}`, {
+                ...options,
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
             const json = await res.json();
-            return json.success ? json.imageData : null;
+            if (!res.ok) throw new Error(json.error || 'Attachment request failed');
+            return json;
+        } catch (e) {
+            console.error('Attachments Error:', e);
+            throw e;
+        }
+    }
+
+    static async fetchAttachments(entryId) {
+        const json = await this.attachmentsRequest(entryId, '');
+        return json.data || [];
+    }
+
+    static async addAttachment(entryId, imageData, caption = '') {
+        const json = await this.attachmentsRequest(entryId, '', {
+            method: 'POST',
+            body: JSON.stringify({ imageData, caption })
+        });
+        return json.attachment;
+    }
+
+    static async reorderAttachments(entryId, order) {
+        const json = await this.attachmentsRequest(entryId, '', {
+            method: 'PUT',
+            body: JSON.stringify({ order })
+        });
+        return json.data || [];
+    }
+
+    static async updateAttachmentCaption(entryId, attachmentId, caption) {
+        return this.attachmentsRequest(entryId, `/${attachmentId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ caption })
+        });
+    }
+
+    static async removeAttachment(entryId, attachmentId) {
+        return this.attachmentsRequest(entryId, `/${attachmentId}`, { method: 'DELETE' });
+    }
+
+    static async fetchAttachmentBlob(entryId, attachmentId) {
+        if (!this.isAuthenticated()) return null;
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${entryId}/attachments/${attachmentId}`, {
+                headers: this.getHeaders()
+            });
+            if (!res.ok) return null;
+            return await res.blob();
         } catch (e) {
             return null;
         }
     }
 
-    static async saveEntry(entry) {
+    // Attachment as data URL (backup files embed images inline)
+    static async fetchAttachmentDataUrl(entryId, attachmentId) {
+        const blob = await this.fetchAttachmentBlob(entryId, attachmentId);
+        return blob ? this.blobToDataUrl(blob) : null;
+    }
+
+    static blobToDataUrl(blob) {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // version: the entry version this edit is based on (sent as If-Match).
+    // A stale version throws an Error with `conflict` = current server copy (409).
+    static async saveEntry(entry, version = null) {
         if (!this.isAuthenticated()) throw new Error('Unauthorized');
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/entries`, {
+            const headers = this.getHeaders();
+            if (version !== null && version !== undefined) headers['If-Match'] = `"${version}"`;
+
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries`, {
                 method: 'POST',
-                headers: this.getHeaders(),
+                headers,
                 body: JSON.stringify(entry)
             });
 
@@ -182,8 +792,16 @@ class Auth {
             }
 
             if (!res.ok) {
-                const err = await res.json();
-                throw new Error(err.error || 'Failed to save');
+                const err = await res.json().catch(() => ({}));
+                // 409 with `current` is an edit conflict; without it (ID_TAKEN) the id belongs to an entry in another journal
+                if (res.status === 409 && err.current) {
+                    const conflict = new Error('Catatan sudah diubah di perangkat lain');
+                    conflict.conflict = err.current;
+                    throw conflict;
+                }
+                const error = new Error(err.code === 'ID_TAKEN' ? 'ID catatan sudah dipakai di jurnal lain' : (err.error || 'Failed to save'));
+                if (err.code === 'VALIDATION_FAILED') error.fields = err.fields || {};
+                throw error;
             }
             return await res.json();
         } catch (e) {
@@ -195,7 +813,7 @@ class Auth {
     static async deleteEntry(id) {
         if (!this.isAuthenticated()) throw new Error('Unauthorized');
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/entries/${id}`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${id}`, {
                 method: 'DELETE',
                 headers: this.getHeaders()
             });
@@ -214,10 +832,149 @@ class Auth {
         }
     }
 
+    // --- TRASH (Soft Delete) ---
+
+    static async fetchTrash() {
+        if (!this.isAuthenticated()) return { entries: [], retentionDays: 0 };
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/trash`, {
+                headers: this.getHeaders()
+            });
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                return { entries: [], retentionDays: 0 };
+            }
+            if (!res.ok) throw new Error('Failed to fetch trash');
+            const json = await res.json();
+            return { entries: json.data || [], retentionDays: json.retentionDays };
+        } catch (e) {
+            console.error('Fetch Trash Error:', e);
+            throw e;
+        }
+    }
+
+    static async restoreEntry(id) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/trash/${id}/restore`, {
+                method: 'POST',
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Failed to restore');
+            return json.entry;
+        } catch (e) {
+            console.error('Restore Entry Error:', e);
+            throw e;
+        }
+    }
+
+    static async fetchRevisions(id) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${id}/revisions`, {
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (!res.ok) throw new Error(json.error || 'Failed to fetch revisions');
+            return json.data || [];
+        } catch (e) {
+            console.error('Fetch Revisions Error:', e);
+            throw e;
+        }
+    }
+
+    // version: the entry version being replaced (If-Match); a 409 means it changed on another device meanwhile
+    static async revertEntry(id, revisionId, version = null) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const headers = this.getHeaders();
+            if (version !== null && version !== undefined) headers['If-Match'] = `"${version}"`;
+
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/entries/${id}/revisions/${revisionId}/revert`, {
+                method: 'POST',
+                headers
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (res.status === 409) throw new Error('Catatan sudah diubah di perangkat lain, muat ulang riwayat lalu coba lagi');
+            if (!res.ok) throw new Error(json.error || 'Failed to revert');
+            return json.entry;
+        } catch (e) {
+            console.error('Revert Entry Error:', e);
+            throw e;
+        }
+    }
+
+    static async purgeEntry(id) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/trash/${id}`, {
+                method: 'DELETE',
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            if (!res.ok) throw new Error('Failed to delete permanently');
+            return true;
+        } catch (e) {
+            console.error('Purge Entry Error:', e);
+            throw e;
+        }
+    }
+
+    static async emptyTrash() {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/trash`, {
+                method: 'DELETE',
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            if (!res.ok) throw new Error('Failed to empty trash');
+            return true;
+        } catch (e) {
+            console.error('Empty Trash Error:', e);
+            throw e;
+        }
+    }
+
     static async syncWithCloud(entries) {
         if (!this.isAuthenticated()) return [];
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/data/sync`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/data/sync`, {
                 method: 'POST',
                 headers: this.getHeaders(),
                 body: JSON.stringify({ entries })
@@ -229,8 +986,16 @@ class Auth {
                 return [];
             }
 
-            if (!res.ok) throw new Error('Sync failed');
+            if (!res.ok) {
+                const err = await res.json().catch(() => ({}));
+                const error = new Error(err.error || 'Sync failed');
+                // Per-entry problems: [{ index, id, fields: { field: code } }]
+                if (err.code === 'VALIDATION_FAILED') error.invalidEntries = err.entries || [];
+                throw error;
+            }
             const json = await res.json();
+            // Entries the server refused ([{ id, code: 'CONFLICT' | 'ID_TAKEN' }]); the rest were saved
+            if (json.rejected) console.warn('Sync skipped entries:', json.rejected);
             return json.success ? json.entries : [];
         } catch (e) {
             console.error('Sync Error:', e);
@@ -238,10 +1003,54 @@ class Auth {
         }
     }
 
+    // --- PUBLIC SHARE LINKS (of the active journal) ---
+
+    static async shareRequest(suffix, options = {}) {
+        if (!this.isAuthenticated()) throw new Error('Unauthorized');
+        try {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/shares${suffix}`, {
+                ...options,
+                headers: this.getHeaders()
+            });
+
+            if (res.status === 401) {
+                this.logout();
+                window.location.replace('login.html');
+                throw new Error('Unauthorized');
+            }
+
+            const json = await res.json();
+            if (!res.ok) {
+                const error = new Error(json.error || 'Share request failed');
+                error.code = json.code;
+                throw error;
+            }
+            return json;
+        } catch (e) {
+            console.error('Share Error:', e);
+            throw e;
+        }
+    }
+
+    static async fetchShareLinks() {
+        const json = await this.shareRequest('');
+        return json.data || [];
+    }
+
+    // target: { entryId } or { filter: { q, type, from, to, sort } }
+    static async createShareLink(target, expiresInDays, title = '') {
+        const json = await this.shareRequest('', { method: 'POST', body: JSON.stringify({ ...target, expiresInDays, title: title || undefined }) });
+        return json.data;
+    }
+
+    static async revokeShareLink(shareId) {
+        return this.shareRequest(`/${encodeURIComponent(shareId)}`, { method: 'DELETE' });
+    }
+
     static async resetCloud() {
         if (!this.isAuthenticated()) return;
         try {
-            const res = await fetch(`${API_CONFIG.BASE_URL}/api/data/reset`, {
+            const res = await this.authFetch(`${API_CONFIG.BASE_URL}/api/data/reset`, {
                 method: 'DELETE',
                 headers: this.getHeaders()
             });
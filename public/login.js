@@ -20,8 +20,57 @@ document.addEventListener('DOMContentLoaded', () => {
     if (form) {
         form.addEventListener('submit', handleLogin);
     }
+
+    const totpForm = document.getElementById('totpForm');
+    if (totpForm) {
+        totpForm.addEventListener('submit', handleTotp);
+    }
 });
 
+// Locked out (429): keep the button disabled and count down the server's Retry-After
+let lockoutTimer = null;
+
+function formatWait(seconds) {
+    if (seconds < 60) return `${seconds} detik`;
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest ? `${minutes} menit ${rest} detik` : `${minutes} menit`;
+}
+
+function startLockout(btn, originalText, seconds) {
+    clearInterval(lockoutTimer);
+    const until = Date.now() + seconds * 1000;
+    AuthUI.showToast(`Terlalu banyak percobaan gagal. Coba lagi dalam ${formatWait(seconds)}.`);
+
+    const tick = () => {
+        const left = Math.ceil((until - Date.now()) / 1000);
+        if (left <= 0) {
+            clearInterval(lockoutTimer);
+            btn.innerHTML = originalText;
+            btn.disabled = false;
+            btn.style.opacity = '1';
+            return;
+        }
+        btn.innerHTML = `Tunggu ${formatWait(left)}`;
+    };
+    btn.disabled = true;
+    btn.style.opacity = '0.7';
+    btn.style.background = '';
+    tick();
+    lockoutTimer = setInterval(tick, 1000);
+}
+
+// Short-lived token from the password step, exchanged for a session in handleTotp
+let mfaToken = null;
+
+function showPasswordStep() {
+    mfaToken = null;
+    document.getElementById('totpForm').hidden = true;
+    document.getElementById('loginForm').hidden = false;
+    document.getElementById('password').value = '';
+    document.getElementById('password').focus();
+}
+
 async function handleLogin(e) {
     e.preventDefault();
 
@@ -36,18 +85,40 @@ async function handleLogin(e) {
     btn.style.opacity = '0.7';
 
     try {
-        await Auth.login(email, password);
+        const result = await Auth.login(email, password);
+
+        if (result.mfaRequired) {
+            mfaToken = result.mfaToken;
+            e.target.hidden = true;
+            document.getElementById('totpForm').hidden = false;
+            document.getElementById('totpCode').focus();
+
+            btn.innerHTML = originalText;
+            btn.disabled = false;
+            btn.style.opacity = '1';
+            return;
+        }
 
         // Success
         btn.innerHTML = 'Berhasil!';
         btn.style.background = '#10b981';
 
+        let delay = 500;
+        if (result.deletionCancelled) {
+            AuthUI.showToast('Penghapusan akun dibatalkan. Selamat datang kembali!', 'success');
+            delay = 2000;
+        }
+
         setTimeout(() => {
             window.location.replace('./?t=' + Date.now());
-        }, 500);
+        }, delay);
 
     } catch (err) {
         console.error(err);
+        if (err.code === 'LOGIN_LOCKED') {
+            startLockout(btn, originalText, err.retryAfter);
+            return;
+        }
         if (err.message === 'Failed to fetch') {
             AuthUI.showToast('Gagal terhubung ke server. Periksa koneksi internet.');
         } else {
@@ -61,3 +132,59 @@ async function handleLogin(e) {
         btn.style.background = ''; // Reset to gradient from CSS
     }
 }
+
+
+async function handleTotp(e) {
+    e.preventDefault();
+
+    const code = document.getElementById('totpCode').value.trim();
+    const btn = e.target.querySelector('button[type="submit"]');
+    const originalText = btn.innerHTML;
+
+    btn.innerHTML = 'Memverifikasi...';
+    btn.disabled = true;
+    btn.style.opacity = '0.7';
+
+    try {
+        const result = await Auth.verifyLoginCode(mfaToken, code);
+
+        btn.innerHTML = 'Berhasil!';
+        btn.style.background = '#10b981';
+
+        let delay = 500;
+        if (typeof result.recoveryCodesRemaining === 'number') {
+            AuthUI.showToast(`Kode pemulihan dipakai. Sisa ${result.recoveryCodesRemaining} kode.`);
+            delay = 2000;
+        } else if (result.deletionCancelled) {
+            AuthUI.showToast('Penghapusan akun dibatalkan. Selamat datang kembali!', 'success');
+            delay = 2000;
+        }
+
+        setTimeout(() => {
+            window.location.replace('./?t=' + Date.now());
+        }, delay);
+
+    } catch (err) {
+        console.error(err);
+        if (err.code === 'LOGIN_LOCKED') {
+            startLockout(btn, originalText, err.retryAfter);
+            return;
+        }
+
+        btn.innerHTML = originalText;
+        btn.disabled = false;
+        btn.style.opacity = '1';
+        btn.style.background = '';
+
+        if (err.message === 'Failed to fetch') {
+            AuthUI.showToast('Gagal terhubung ke server. Periksa koneksi internet.');
+        } else if (err.code === 'MFA_EXPIRED') {
+            AuthUI.showToast('Waktu verifikasi habis. Silakan masukkan password lagi.');
+            e.target.reset();
+            showPasswordStep();
+        } else {
+            AuthUI.showToast(err.message || 'Kode salah.');
+            document.getElementById('totpCode').select();
+        }
+    }
+}
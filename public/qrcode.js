@@ -0,0 +1,336 @@
+/**
+ * Minimal QR Code generator (byte mode, error correction level M, versions 1-10)
+ * Enough for otpauth:// URIs (up to 213 bytes). No dependencies, CSP friendly (draws SVG nodes).
+ * Follows ISO/IEC 18004; mask choice uses penalty rules 1, 2 and 4.
+ */
+
+const QRCode = {
+    MAX_VERSION: 10,
+    // Level M, index = version
+    ECC_CODEWORDS_PER_BLOCK: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+    NUM_ECC_BLOCKS: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+    FORMAT_BITS_M: 0,
+
+    // Renders `text` into `container` as an <svg> (replaces its content)
+    render(container, text, { size = 200 } = {}) {
+        const modules = this.encode(text);
+        const count = modules.length;
+        const quiet = 4;
+        const ns = 'http://www.w3.org/2000/svg';
+
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + quiet},${y + quiet}h1v1h-1z`;
+        }));
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${count + quiet * 2} ${count + quiet * 2}`);
+        svg.setAttribute('width', size);
+        svg.setAttribute('height', size);
+        svg.setAttribute('shape-rendering', 'crispEdges');
+
+        const bg = document.createElementNS(ns, 'rect');
+        bg.setAttribute('width', '100%');
+        bg.setAttribute('height', '100%');
+        bg.setAttribute('fill', '#ffffff');
+
+        const fg = document.createElementNS(ns, 'path');
+        fg.setAttribute('d', path);
+        fg.setAttribute('fill', '#000000');
+
+        svg.append(bg, fg);
+        container.replaceChildren(svg);
+    },
+
+    // text -> square boolean matrix (true = dark)
+    encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        let version = 1;
+        while (version <= this.MAX_VERSION && this.dataCapacityBits(version) < 4 + this.countBits(version) + bytes.length * 8) version++;
+        if (version > this.MAX_VERSION) throw new Error('QR: text too long');
+
+        // Data bits: mode (byte), length, payload, terminator, pad to bytes, pad codewords
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+        push(0b0100, 4);
+        push(bytes.length, this.countBits(version));
+        bytes.forEach(b => push(b, 8));
+
+        const capacity = this.dataCapacityBits(version);
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+        const codewords = this.addEccAndInterleave(data, version);
+        const { modules, isFunction } = this.drawFunctionPatterns(version);
+        this.drawCodewords(modules, isFunction, codewords);
+
+        // Try every mask, keep the one with the lowest penalty
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const candidate = modules.map(row => row.slice());
+            this.applyMask(candidate, isFunction, mask);
+            this.drawFormatBits(candidate, mask);
+            const penalty = this.penalty(candidate);
+            if (!best || penalty < best.penalty) best = { modules: candidate, penalty };
+        }
+        return best.modules;
+    },
+
+    countBits(version) {
+        return version < 10 ? 8 : 16;
+    },
+
+    size(version) {
+        return version * 4 + 17;
+    },
+
+    numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    dataCapacityBits(version) {
+        const codewords = Math.floor(this.numRawDataModules(version) / 8) - this.ECC_CODEWORDS_PER_BLOCK[version] * this.NUM_ECC_BLOCKS[version];
+        return codewords * 8;
+    },
+
+    alignmentPositions(version) {
+        if (version === 1) return [];
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = this.size(version) - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+        return result;
+    },
+
+    // --- Reed-Solomon over GF(256), polynomial 0x11D ---
+
+    gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    },
+
+    rsRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= this.gfMultiply(coef, factor); });
+        });
+        return result;
+    },
+
+    addEccAndInterleave(data, version) {
+        const numBlocks = this.NUM_ECC_BLOCKS[version];
+        const eccLen = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.numRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = this.rsDivisor(eccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = this.rsRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0); // Placeholder, skipped when interleaving
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    // --- Matrix ---
+
+    drawFunctionPatterns(version) {
+        const size = this.size(version);
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns (with separators)
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx, y = cy + dy;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        // Alignment patterns (not over the finders)
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }));
+
+        // Reserve format areas (real bits are drawn per mask) + the always-dark module
+        for (let i = 0; i < 9; i++) {
+            isFunction[8][i] = isFunction[i][8] = true;
+        }
+        for (let i = 0; i < 8; i++) {
+            isFunction[8][size - 1 - i] = isFunction[size - 1 - i][8] = true;
+        }
+        set(8, size - 8, true);
+
+        // Version information (v7+)
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + i % 3, b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+
+        return { modules, isFunction };
+    },
+
+    // Zig-zag from the bottom-right corner, two columns at a time, skipping the vertical timing column
+    drawCodewords(modules, isFunction, codewords) {
+        const size = modules.length;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    applyMask(modules, isFunction, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = conditions[mask];
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (!isFunction[y][x] && invert(x, y)) row[x] = !dark;
+        }));
+    },
+
+    drawFormatBits(modules, mask) {
+        const size = modules.length;
+        const data = (this.FORMAT_BITS_M << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+        modules[7][8] = bit(6);
+        modules[8][8] = bit(7);
+        modules[8][7] = bit(8);
+        for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+
+        // Copy split between the other two finders
+        for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+        for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+        modules[size - 8][8] = true;
+    },
+
+    // Rule 1 (runs of 5+), rule 2 (2x2 blocks), rule 4 (dark/light balance)
+    penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+
+        const scoreRuns = (get) => {
+            for (let a = 0; a < size; a++) {
+                let run = 1;
+                for (let b = 1; b <= size; b++) {
+                    if (b < size && get(a, b) === get(a, b - 1)) {
+                        run++;
+                        continue;
+                    }
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+        };
+        scoreRuns((y, x) => modules[y][x]);
+        scoreRuns((x, y) => modules[y][x]);
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const c = modules[y][x];
+                    if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+        return score;
+    }
+};
@@ -34,11 +34,11 @@ async function handleRegister(e) {
 
     try {
         await Auth.register(email, password, username);
-        AuthUI.showToast('Registrasi berhasil! Silakan login.', 'success');
+        AuthUI.showToast('Registrasi berhasil! Cek email Anda untuk verifikasi, lalu login.', 'success');
 
         setTimeout(() => {
             window.location.href = 'login.html';
-        }, 1500);
+        }, 2500);
 
     } catch (err) {
         console.error(err);
@@ -0,0 +1,80 @@
+// Reset Password Page Logic
+// Without a token: request a reset link. Opened from the email link (#token=...): set a new password.
+
+document.addEventListener('DOMContentLoaded', () => {
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+
+    if (token) {
+        // Keep the token out of history / screenshots once it's read
+        history.replaceState(null, '', window.location.pathname);
+
+        document.getElementById('forgotForm').hidden = true;
+        document.getElementById('resetForm').hidden = false;
+        document.getElementById('resetHeading').innerText = 'Buat Password Baru';
+        document.getElementById('resetSubtitle').innerText = 'Setelah disimpan, semua perangkat yang masuk dengan password lama akan keluar.';
+        document.getElementById('resetForm').addEventListener('submit', (e) => handleReset(e, token));
+    } else {
+        document.getElementById('forgotForm').addEventListener('submit', handleForgot);
+    }
+});
+
+async function handleForgot(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('email').value;
+    const btn = e.target.querySelector('button[type="submit"]');
+    const originalText = btn.innerHTML;
+
+    btn.innerHTML = 'Mengirim...';
+    btn.disabled = true;
+
+    try {
+        await Auth.requestPasswordReset(email);
+        AuthUI.showToast('Jika email terdaftar, tautan reset sudah dikirim. Cek kotak masuk Anda.', 'success');
+        btn.innerHTML = 'Terkirim';
+    } catch (err) {
+        console.error(err);
+        AuthUI.showToast(err.message === 'Failed to fetch' ? 'Gagal terhubung ke server. Periksa koneksi internet.' : (err.message || 'Permintaan gagal.'));
+        btn.innerHTML = originalText;
+        btn.disabled = false;
+    }
+}
+
+async function handleReset(e, token) {
+    e.preventDefault();
+
+    const password = document.getElementById('newPassword').value;
+    const confirm = document.getElementById('confirmPassword').value;
+
+    if (password.length < 8) {
+        AuthUI.showToast('Password minimal 8 karakter');
+        return;
+    }
+    if (password !== confirm) {
+        AuthUI.showToast('Konfirmasi password tidak sama');
+        return;
+    }
+
+    const btn = e.target.querySelector('button[type="submit"]');
+    const originalText = btn.innerHTML;
+
+    btn.innerHTML = 'Menyimpan...';
+    btn.disabled = true;
+
+    try {
+        await Auth.resetPassword(token, password);
+        AuthUI.showToast('Password berhasil diubah! Silakan login.', 'success');
+
+        setTimeout(() => {
+            window.location.replace('login.html');
+        }, 1500);
+
+    } catch (err) {
+        console.error(err);
+        const expired = err.message === 'Invalid or expired reset link';
+        AuthUI.showToast(expired ? 'Tautan reset tidak valid atau sudah kedaluwarsa. Minta tautan baru.' : 'Gagal reset: ' + (err.message || 'Error'));
+
+        btn.innerHTML = originalText;
+        btn.disabled = false;
+    }
+}
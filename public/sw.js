@@ -8,7 +8,7 @@
  * ======================================================================
  */
 
-const CACHE_VERSION = 'journal-finance-v2.2.0';
+const CACHE_VERSION = 'journal-finance-v2.14.2';
 const CACHE_NAME = `${CACHE_VERSION}-static`;
 const CACHE_DYNAMIC = `${CACHE_VERSION}-dynamic`;
 const CACHE_IMAGES = `${CACHE_VERSION}-images`;
@@ -21,6 +21,7 @@ const STATIC_ASSETS = [
     './OptimizedDB.js',
     './app.js',
     './auth.js',
+    './qrcode.js',
     './favicon.png',
     './icons/icon-72x72.png',
     './icons/icon-96x96.png',
@@ -103,6 +104,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Public share pages (and their images) stay live so revoked or expired links stop working
+    if (url.pathname.startsWith('/s/')) {
+        return;
+    }
+
     // Different strategies for different content types
     if (request.destination === 'image') {
         // Images: Cache First, Network Fallback
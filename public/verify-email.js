@@ -0,0 +1,38 @@
+// Verify Email Page Logic
+// Opened from the email link (#token=...): confirms the address, no login required.
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const token = new URLSearchParams(window.location.hash.slice(1)).get('token');
+    const heading = document.getElementById('verifyHeading');
+    const subtitle = document.getElementById('verifySubtitle');
+    const next = document.getElementById('verifyContinue');
+
+    if (!token) {
+        heading.innerText = 'Tautan Tidak Lengkap';
+        subtitle.innerText = 'Buka tautan verifikasi langsung dari email Anda.';
+        return;
+    }
+
+    // Keep the token out of history once it's read
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+        const result = await Auth.verifyEmail(token);
+        heading.innerText = 'Email Terverifikasi';
+        subtitle.innerText = `${result.email} sudah dikonfirmasi. Semua fitur akun kini aktif.`;
+        AuthUI.showToast('Email berhasil diverifikasi!', 'success');
+    } catch (err) {
+        console.error(err);
+        heading.innerText = 'Verifikasi Gagal';
+        subtitle.innerText = err.message === 'Failed to fetch'
+            ? 'Gagal terhubung ke server. Periksa koneksi internet lalu muat ulang halaman ini.'
+            : 'Tautan tidak valid atau sudah kedaluwarsa. Kirim ulang email verifikasi dari aplikasi.';
+    }
+
+    // Signed in on this browser: straight back to the app, otherwise to the login page
+    if (!Auth.isAuthenticated()) {
+        next.href = 'login.html';
+        next.innerText = 'Masuk';
+    }
+    next.hidden = false;
+});